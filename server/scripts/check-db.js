@@ -39,8 +39,11 @@ async function checkDatabase() {
       const schemaPath = path.join(__dirname, '..', 'src', 'config', 'database.sql');
       const schema = fs.readFileSync(schemaPath, 'utf8');
       
-      // Split into individual statements and execute them
+      // Split into individual statements and execute them; comments may contain semicolons
       const statements = schema
+        .split('\n')
+        .filter(line => !line.trim().startsWith('--'))
+        .join('\n')
         .split(';')
         .map(statement => statement.trim())
         .filter(statement => statement.length > 0);
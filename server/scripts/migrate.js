@@ -0,0 +1,75 @@
+import mysql from 'mysql2/promise';
+import dotenv from 'dotenv';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Load environment variables
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const pool = mysql.createPool({
+  host: process.env.DB_HOST || 'localhost',
+  user: process.env.DB_USER || 'root',
+  password: process.env.DB_PASSWORD || '',
+  database: process.env.DB_NAME || 'global_outreach',
+  waitForConnections: true,
+  connectionLimit: 10,
+  queueLimit: 0
+});
+
+// database.sql creates any missing tables, upgrade.sql adds the columns,
+// indexes and keys that tables created by an earlier version are missing
+const SCHEMA_FILES = ['database.sql', 'upgrade.sql'];
+
+// Errors meaning the statement was applied before, so running this again is safe
+const ALREADY_APPLIED = ['ER_DUP_FIELDNAME', 'ER_DUP_KEYNAME', 'ER_FK_DUP_NAME', 'ER_DUP_KEY'];
+
+// Split a schema file into statements, leaving out comments (which may contain
+// semicolons) and the database selection, which comes from DB_NAME instead
+const readStatements = (file) =>
+  fs.readFileSync(path.join(__dirname, '..', 'src', 'config', file), 'utf8')
+    .split('\n')
+    .filter(line => !line.trim().startsWith('--'))
+    .join('\n')
+    .split(';')
+    .map(statement => statement.trim())
+    .filter(statement => statement.length > 0 && !/^(CREATE DATABASE|USE)\b/i.test(statement));
+
+async function migrate() {
+  let connection;
+  try {
+    connection = await pool.getConnection();
+    console.log('✅ Successfully connected to MySQL database');
+
+    for (const file of SCHEMA_FILES) {
+      let applied = 0;
+      let skipped = 0;
+
+      for (const statement of readStatements(file)) {
+        try {
+          await connection.query(statement);
+          applied += 1;
+        } catch (err) {
+          if (!ALREADY_APPLIED.includes(err.code)) {
+            console.error(`Error executing statement: ${statement}\n`, err);
+            throw err;
+          }
+          skipped += 1;
+        }
+      }
+
+      console.log(`✅ ${file}: ${applied} statements run, ${skipped} already applied`);
+    }
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exitCode = 1;
+  } finally {
+    if (connection) await connection.release();
+    await pool.end();
+  }
+}
+
+migrate();
@@ -14,10 +14,94 @@ CREATE TABLE IF NOT EXISTS users (
     avatar VARCHAR(255),
     is_active BOOLEAN DEFAULT TRUE,
     last_login DATETIME,
+    -- Self-registered accounts start unverified; accounts created any other way count as verified
+    email_verified_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    email_verification_sent_at DATETIME,
+    -- Carried by every token issued; raising it signs the user out everywhere
+    token_version INT NOT NULL DEFAULT 0,
+    -- TOTP secret (base32); 2FA is on once enrollment is confirmed
+    two_factor_secret VARCHAR(64),
+    two_factor_enabled_at DATETIME,
+    -- Last time step accepted, so a code can't be used twice
+    two_factor_last_step BIGINT,
+    -- Failed logins in a row; too many lock the account for a while
+    failed_login_count INT NOT NULL DEFAULT 0,
+    last_failed_login_at DATETIME,
+    locked_until DATETIME,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
 ) ENGINE=InnoDB;
 
+-- Login attempts, for brute-force protection and for admins to review
+CREATE TABLE IF NOT EXISTS login_events (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    -- Empty when the email doesn't belong to an account
+    user_id INT,
+    email VARCHAR(100),
+    ip_address VARCHAR(45),
+    user_agent VARCHAR(255),
+    outcome ENUM('success', 'failure', 'blocked') NOT NULL,
+    -- invalid_credentials, invalid_code, deactivated, locked, too_soon, ip_limit
+    reason VARCHAR(50),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_user_created (user_id, created_at),
+    INDEX idx_ip_outcome_created (ip_address, outcome, created_at),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+) ENGINE=InnoDB;
+
+-- Single-use recovery codes for when the authenticator app is lost; only hashes are stored
+CREATE TABLE IF NOT EXISTS two_factor_recovery_codes (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    code_hash CHAR(64) NOT NULL,
+    used_at DATETIME,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_user_code (user_id, code_hash),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+) ENGINE=InnoDB;
+
+-- Password reset links; only a hash of the token is stored
+CREATE TABLE IF NOT EXISTS password_resets (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    token_hash CHAR(64) NOT NULL UNIQUE,
+    expires_at DATETIME NOT NULL,
+    used_at DATETIME,
+    requested_ip VARCHAR(45),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_user_created (user_id, created_at),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+) ENGINE=InnoDB;
+
+-- Signed-in sessions; access tokens name their session, so revoking it signs them out
+CREATE TABLE IF NOT EXISTS user_sessions (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    -- The user's token version when signing in; raising it ends the session
+    token_version INT NOT NULL DEFAULT 0,
+    ip_address VARCHAR(45),
+    user_agent VARCHAR(255),
+    last_used_at DATETIME,
+    revoked_at DATETIME,
+    -- logout, reuse, admin, deactivated, password_reset, token_version
+    revoked_reason VARCHAR(50),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_user_revoked (user_id, revoked_at),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+) ENGINE=InnoDB;
+
+-- Refresh tokens, rotated on every use; only a hash of the token is stored
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    session_id INT NOT NULL,
+    token_hash CHAR(64) NOT NULL UNIQUE,
+    expires_at DATETIME NOT NULL,
+    -- Set when the token is exchanged; presenting it again means it was stolen
+    used_at DATETIME,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (session_id) REFERENCES user_sessions(id) ON DELETE CASCADE
+) ENGINE=InnoDB;
+
 -- Pages table for website content
 CREATE TABLE IF NOT EXISTS pages (
     id INT AUTO_INCREMENT PRIMARY KEY,
@@ -88,27 +172,197 @@ CREATE TABLE IF NOT EXISTS events (
     is_featured BOOLEAN DEFAULT FALSE,
     is_published BOOLEAN DEFAULT FALSE,
     registration_url VARCHAR(255),
+    capacity INT NULL,
+    recurrence_rule VARCHAR(255) NULL,
+    recurrence_exdates TEXT NULL,
+    recurrence_end DATETIME NULL,
     created_by INT,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
 ) ENGINE=InnoDB;
 
+-- Changes to a single occurrence of a recurring event, keyed by its original start
+CREATE TABLE IF NOT EXISTS event_occurrence_overrides (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    event_id INT NOT NULL,
+    occurrence_start DATETIME NOT NULL,
+    title VARCHAR(255) NULL,
+    description TEXT NULL,
+    start_datetime DATETIME NULL,
+    end_datetime DATETIME NULL,
+    location VARCHAR(255) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY unique_event_occurrence (event_id, occurrence_start),
+    FOREIGN KEY (event_id) REFERENCES events(id) ON DELETE CASCADE
+) ENGINE=InnoDB;
+
+-- Event registrations (first-party RSVPs)
+CREATE TABLE IF NOT EXISTS event_registrations (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    event_id INT NOT NULL,
+    -- Original start of the occurrence registered for; NULL for one-off events,
+    -- whose duplicate registrations are refused while the event row is locked
+    occurrence_start DATETIME NULL,
+    name VARCHAR(100) NOT NULL,
+    email VARCHAR(100) NOT NULL,
+    phone VARCHAR(50),
+    status ENUM('registered', 'waitlisted', 'cancelled') DEFAULT 'registered',
+    waitlisted_at DATETIME NULL,
+    cancelled_at DATETIME NULL,
+    -- Carried by the attendee's cancellation link; replaced on each registration
+    cancel_nonce VARCHAR(64) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY unique_event_email (event_id, occurrence_start, email),
+    INDEX idx_event_status (event_id, occurrence_start, status),
+    FOREIGN KEY (event_id) REFERENCES events(id) ON DELETE CASCADE
+) ENGINE=InnoDB;
+
+-- Fundraising campaigns that donations can be given to
+CREATE TABLE IF NOT EXISTS campaigns (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    title VARCHAR(255) NOT NULL,
+    slug VARCHAR(255) NOT NULL UNIQUE,
+    description TEXT,
+    goal_amount DECIMAL(12, 2) NOT NULL,
+    currency VARCHAR(3) DEFAULT 'USD',
+    start_date DATETIME NOT NULL,
+    end_date DATETIME NULL,
+    page_id INT NULL,
+    post_id INT NULL,
+    is_published BOOLEAN DEFAULT FALSE,
+    created_by INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (page_id) REFERENCES pages(id) ON DELETE SET NULL,
+    FOREIGN KEY (post_id) REFERENCES posts(id) ON DELETE SET NULL,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+) ENGINE=InnoDB;
+
+-- Exchange rates to the reporting currency: 1 unit of currency = rate units of the reporting currency
+CREATE TABLE IF NOT EXISTS exchange_rates (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    currency VARCHAR(3) NOT NULL,
+    rate DECIMAL(18, 8) NOT NULL,
+    effective_date DATE NOT NULL,
+    created_by INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY unique_currency_date (currency, effective_date),
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+) ENGINE=InnoDB;
+
+-- Donor profiles grouping donations by normalized email
+CREATE TABLE IF NOT EXISTS donors (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    email VARCHAR(100) NOT NULL UNIQUE,
+    name VARCHAR(100) NOT NULL,
+    notes TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+) ENGINE=InnoDB;
+
+-- Extra emails of a donor, kept when duplicate profiles are merged
+CREATE TABLE IF NOT EXISTS donor_aliases (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    donor_id INT NOT NULL,
+    email VARCHAR(100) NOT NULL UNIQUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (donor_id) REFERENCES donors(id) ON DELETE CASCADE
+) ENGINE=InnoDB;
+
 -- Donations table
 CREATE TABLE IF NOT EXISTS donations (
     id INT AUTO_INCREMENT PRIMARY KEY,
     donor_name VARCHAR(100) NOT NULL,
     donor_email VARCHAR(100) NOT NULL,
+    donor_id INT NULL,
     amount DECIMAL(10, 2) NOT NULL,
     currency VARCHAR(3) DEFAULT 'USD',
+    exchange_rate DECIMAL(18, 8) NULL,
+    reporting_amount DECIMAL(12, 2) NULL,
+    refunded_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
     payment_method VARCHAR(50),
+    payment_provider VARCHAR(50),
     payment_status ENUM('pending', 'completed', 'failed', 'refunded') DEFAULT 'pending',
-    transaction_id VARCHAR(255),
+    transaction_id VARCHAR(255) UNIQUE,
+    -- SHA-256 of the client secret the public confirm endpoint requires
+    client_secret_hash CHAR(64) NULL,
     is_recurring BOOLEAN DEFAULT FALSE,
     recurring_frequency ENUM('monthly', 'quarterly', 'yearly'),
+    subscription_id INT NULL,
+    campaign_id INT NULL,
+    is_anonymous BOOLEAN DEFAULT FALSE,
     message TEXT,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_subscription (subscription_id),
+    INDEX idx_donor_email (donor_email),
+    INDEX idx_campaign_status (campaign_id, payment_status),
+    INDEX idx_donor_status (donor_id, payment_status),
+    INDEX idx_currency_created (currency, created_at),
+    FOREIGN KEY (campaign_id) REFERENCES campaigns(id) ON DELETE SET NULL,
+    FOREIGN KEY (donor_id) REFERENCES donors(id) ON DELETE SET NULL
+) ENGINE=InnoDB;
+
+-- Recurring gifts: one subscription per recurring donor, charged by the scheduler
+CREATE TABLE IF NOT EXISTS donation_subscriptions (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    donor_name VARCHAR(100) NOT NULL,
+    donor_email VARCHAR(100) NOT NULL,
+    donor_id INT NULL,
+    amount DECIMAL(10, 2) NOT NULL,
+    currency VARCHAR(3) DEFAULT 'USD',
+    frequency ENUM('monthly', 'quarterly', 'yearly') NOT NULL,
+    payment_provider VARCHAR(50) NOT NULL,
+    payment_method VARCHAR(50),
+    campaign_id INT NULL,
+    is_anonymous BOOLEAN DEFAULT FALSE,
+    status ENUM('active', 'paused', 'past_due', 'cancelled') DEFAULT 'active',
+    initial_donation_id INT NULL UNIQUE,
+    anchor_day TINYINT NOT NULL,
+    next_charge_at DATETIME NOT NULL,
+    retry_at DATETIME NULL,
+    failure_count INT DEFAULT 0,
+    last_charged_at DATETIME NULL,
+    cancelled_at DATETIME NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_status_next_charge (status, next_charge_at),
+    FOREIGN KEY (initial_donation_id) REFERENCES donations(id) ON DELETE SET NULL,
+    FOREIGN KEY (campaign_id) REFERENCES campaigns(id) ON DELETE SET NULL,
+    FOREIGN KEY (donor_id) REFERENCES donors(id) ON DELETE SET NULL
+) ENGINE=InnoDB;
+
+-- Full and partial refunds issued against a donation
+CREATE TABLE IF NOT EXISTS donation_refunds (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    donation_id INT NOT NULL,
+    amount DECIMAL(10, 2) NOT NULL,
+    currency VARCHAR(3) NOT NULL,
+    reason_code ENUM('requested_by_donor', 'duplicate', 'fraudulent', 'processing_error', 'other') NOT NULL,
+    reason_note TEXT,
+    status ENUM('pending', 'succeeded', 'failed') DEFAULT 'pending',
+    payment_provider VARCHAR(50),
+    provider_refund_id VARCHAR(255) UNIQUE,
+    failure_message VARCHAR(255),
+    confirmation_number VARCHAR(32) NOT NULL UNIQUE,
+    refunded_by INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_donation_status (donation_id, status),
+    FOREIGN KEY (donation_id) REFERENCES donations(id),
+    FOREIGN KEY (refunded_by) REFERENCES users(id) ON DELETE SET NULL
+) ENGINE=InnoDB;
+
+-- Tax receipts; the auto-increment id is the sequential receipt number
+CREATE TABLE IF NOT EXISTS donation_receipts (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    donation_id INT NOT NULL UNIQUE,
+    issued_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (donation_id) REFERENCES donations(id)
 ) ENGINE=InnoDB;
 
 -- Contact form submissions
@@ -119,7 +373,51 @@ CREATE TABLE IF NOT EXISTS contact_submissions (
     subject VARCHAR(255),
     message TEXT NOT NULL,
     is_read BOOLEAN DEFAULT FALSE,
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    folder ENUM('inbox', 'spam') NOT NULL DEFAULT 'inbox',
+    spam_score INT NOT NULL DEFAULT 0,
+    spam_reasons VARCHAR(255),
+    ip_address VARCHAR(45),
+    user_agent VARCHAR(255),
+    -- The form token a submission came with; each token works once
+    form_token_id VARCHAR(36) UNIQUE,
+    assigned_to INT,
+    archived_at TIMESTAMP NULL,
+    last_replied_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_folder_created (folder, created_at),
+    INDEX idx_assigned (assigned_to, is_read),
+    FOREIGN KEY (assigned_to) REFERENCES users(id) ON DELETE SET NULL
+) ENGINE=InnoDB;
+
+-- Internal staff notes on contact submissions, never sent to the sender
+CREATE TABLE IF NOT EXISTS contact_notes (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    submission_id INT NOT NULL,
+    user_id INT,
+    body TEXT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_submission (submission_id, created_at),
+    FOREIGN KEY (submission_id) REFERENCES contact_submissions(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+) ENGINE=InnoDB;
+
+-- Email replies to contact submissions, threaded through their Message-IDs
+CREATE TABLE IF NOT EXISTS contact_replies (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    submission_id INT NOT NULL,
+    user_id INT,
+    subject VARCHAR(255) NOT NULL,
+    body TEXT NOT NULL,
+    message_id VARCHAR(255) NOT NULL UNIQUE,
+    in_reply_to VARCHAR(255),
+    status ENUM('pending', 'sent', 'failed') DEFAULT 'pending',
+    failure_message VARCHAR(255),
+    sent_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_submission (submission_id, created_at),
+    FOREIGN KEY (submission_id) REFERENCES contact_submissions(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
 ) ENGINE=InnoDB;
 
 -- Media library
@@ -142,8 +440,102 @@ CREATE TABLE IF NOT EXISTS newsletter_subscribers (
     email VARCHAR(100) NOT NULL UNIQUE,
     first_name VARCHAR(50),
     last_name VARCHAR(50),
-    is_active BOOLEAN DEFAULT TRUE,
+    -- Only confirmed (double opt-in) subscribers are active
+    is_active BOOLEAN DEFAULT FALSE,
     subscribed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    confirmation_nonce VARCHAR(64),
+    confirmation_sent_at TIMESTAMP NULL,
+    confirmed_at TIMESTAMP NULL,
+    consent_source VARCHAR(100),
+    consent_ip VARCHAR(45),
     unsubscribed_at TIMESTAMP NULL,
     last_sent_at TIMESTAMP NULL
 ) ENGINE=InnoDB;
+
+-- Site settings editable from the admin panel, stored as JSON values
+CREATE TABLE IF NOT EXISTS settings (
+    setting_key VARCHAR(100) PRIMARY KEY,
+    value TEXT,
+    updated_by INT,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL
+) ENGINE=InnoDB;
+
+-- Newsletter issues composed in the admin panel
+CREATE TABLE IF NOT EXISTS newsletter_campaigns (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    subject VARCHAR(255) NOT NULL,
+    html_body MEDIUMTEXT NOT NULL,
+    text_body MEDIUMTEXT,
+    -- Audience filter; active subscribers only, narrowed by these when set
+    audience_source VARCHAR(100),
+    audience_confirmed_after DATETIME,
+    audience_confirmed_before DATETIME,
+    status ENUM('draft', 'scheduled', 'sending', 'sent', 'cancelled') DEFAULT 'draft',
+    scheduled_at DATETIME,
+    started_at DATETIME,
+    completed_at DATETIME,
+    created_by INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_status_scheduled (status, scheduled_at),
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+) ENGINE=InnoDB;
+
+-- One row per subscriber a campaign goes to, with its delivery status
+CREATE TABLE IF NOT EXISTS newsletter_campaign_recipients (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    campaign_id INT NOT NULL,
+    subscriber_id INT NOT NULL,
+    email VARCHAR(100) NOT NULL,
+    status ENUM('queued', 'sent', 'failed', 'skipped') DEFAULT 'queued',
+    attempts INT NOT NULL DEFAULT 0,
+    message_id VARCHAR(255),
+    error VARCHAR(255),
+    sent_at DATETIME,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_campaign_subscriber (campaign_id, subscriber_id),
+    INDEX idx_campaign_status (campaign_id, status),
+    FOREIGN KEY (campaign_id) REFERENCES newsletter_campaigns(id) ON DELETE CASCADE,
+    FOREIGN KEY (subscriber_id) REFERENCES newsletter_subscribers(id) ON DELETE CASCADE
+) ENGINE=InnoDB;
+
+-- Post digests; each covers the posts published in its period and is sent as a campaign
+CREATE TABLE IF NOT EXISTS newsletter_digests (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    campaign_id INT,
+    period_start DATETIME NOT NULL,
+    period_end DATETIME NOT NULL,
+    post_count INT NOT NULL DEFAULT 0,
+    -- skipped: nothing was published and empty digests are not sent
+    status ENUM('queued', 'skipped') NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_period_end (period_end),
+    FOREIGN KEY (campaign_id) REFERENCES newsletter_campaigns(id) ON DELETE SET NULL
+) ENGINE=InnoDB;
+
+-- Transactional emails, stored before they are sent so failed sends can be retried
+CREATE TABLE IF NOT EXISTS mail_outbox (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    template VARCHAR(50),
+    -- Identifies the event the email is about, so it is only queued once
+    dedupe_key VARCHAR(191) UNIQUE,
+    to_address VARCHAR(255) NOT NULL,
+    from_address VARCHAR(255) NOT NULL,
+    subject VARCHAR(255) NOT NULL,
+    html_body MEDIUMTEXT,
+    text_body MEDIUMTEXT,
+    headers TEXT,
+    -- The bodies are cleared once the message is sent, e.g. for emails with login links
+    sensitive BOOLEAN DEFAULT FALSE,
+    message_id VARCHAR(255) NOT NULL UNIQUE,
+    status ENUM('pending', 'sent', 'failed') DEFAULT 'pending',
+    attempts INT NOT NULL DEFAULT 0,
+    last_error VARCHAR(255),
+    next_attempt_at DATETIME,
+    sent_at DATETIME,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_status_next_attempt (status, next_attempt_at),
+    INDEX idx_to_address (to_address)
+) ENGINE=InnoDB;
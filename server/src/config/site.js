@@ -0,0 +1,9 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Links end up in emails, so they need public addresses: the API for links
+// it handles itself, the website for everything else
+export const API_URL = (process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/+$/, '');
+export const SITE_URL = (process.env.SITE_URL || 'http://localhost:3000').replace(/\/+$/, '');
+export const SITE_NAME = process.env.SITE_NAME || 'Global Outreach';
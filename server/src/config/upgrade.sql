@@ -0,0 +1,70 @@
+-- Bring a database created from an earlier database.sql up to date.
+-- New tables come from database.sql itself (CREATE TABLE IF NOT EXISTS);
+-- these statements add what changed in the tables that already existed.
+-- Run both with `npm run migrate`, which skips statements already applied.
+
+-- Users: email verification, sessions, two-factor authentication and lockouts.
+-- Existing accounts get the current time as email_verified_at, so they count as verified.
+ALTER TABLE users ADD COLUMN email_verified_at DATETIME DEFAULT CURRENT_TIMESTAMP AFTER last_login;
+ALTER TABLE users ADD COLUMN email_verification_sent_at DATETIME AFTER email_verified_at;
+ALTER TABLE users ADD COLUMN token_version INT NOT NULL DEFAULT 0 AFTER email_verification_sent_at;
+ALTER TABLE users ADD COLUMN two_factor_secret VARCHAR(64) AFTER token_version;
+ALTER TABLE users ADD COLUMN two_factor_enabled_at DATETIME AFTER two_factor_secret;
+ALTER TABLE users ADD COLUMN two_factor_last_step BIGINT AFTER two_factor_enabled_at;
+ALTER TABLE users ADD COLUMN failed_login_count INT NOT NULL DEFAULT 0 AFTER two_factor_last_step;
+ALTER TABLE users ADD COLUMN last_failed_login_at DATETIME AFTER failed_login_count;
+ALTER TABLE users ADD COLUMN locked_until DATETIME AFTER last_failed_login_at;
+
+-- Events: capacity and recurrence
+ALTER TABLE events ADD COLUMN capacity INT NULL AFTER registration_url;
+ALTER TABLE events ADD COLUMN recurrence_rule VARCHAR(255) NULL AFTER capacity;
+ALTER TABLE events ADD COLUMN recurrence_exdates TEXT NULL AFTER recurrence_rule;
+ALTER TABLE events ADD COLUMN recurrence_end DATETIME NULL AFTER recurrence_exdates;
+
+-- Donations: donors, currencies, payment providers, subscriptions, campaigns and refunds
+ALTER TABLE donations ADD COLUMN donor_id INT NULL AFTER donor_email;
+ALTER TABLE donations ADD COLUMN exchange_rate DECIMAL(18, 8) NULL AFTER currency;
+ALTER TABLE donations ADD COLUMN reporting_amount DECIMAL(12, 2) NULL AFTER exchange_rate;
+ALTER TABLE donations ADD COLUMN refunded_amount DECIMAL(10, 2) NOT NULL DEFAULT 0 AFTER reporting_amount;
+ALTER TABLE donations ADD COLUMN payment_provider VARCHAR(50) AFTER payment_method;
+ALTER TABLE donations ADD COLUMN client_secret_hash CHAR(64) NULL AFTER transaction_id;
+ALTER TABLE donations ADD COLUMN subscription_id INT NULL AFTER recurring_frequency;
+ALTER TABLE donations ADD COLUMN campaign_id INT NULL AFTER subscription_id;
+ALTER TABLE donations ADD COLUMN is_anonymous BOOLEAN DEFAULT FALSE AFTER campaign_id;
+ALTER TABLE donations ADD UNIQUE KEY transaction_id (transaction_id);
+ALTER TABLE donations ADD INDEX idx_subscription (subscription_id);
+ALTER TABLE donations ADD INDEX idx_donor_email (donor_email);
+ALTER TABLE donations ADD INDEX idx_campaign_status (campaign_id, payment_status);
+ALTER TABLE donations ADD INDEX idx_donor_status (donor_id, payment_status);
+ALTER TABLE donations ADD INDEX idx_currency_created (currency, created_at);
+ALTER TABLE donations ADD CONSTRAINT fk_donations_campaign FOREIGN KEY (campaign_id) REFERENCES campaigns(id) ON DELETE SET NULL;
+ALTER TABLE donations ADD CONSTRAINT fk_donations_donor FOREIGN KEY (donor_id) REFERENCES donors(id) ON DELETE SET NULL;
+
+-- Donor profiles for the donations made before they existed, grouped by normalized email
+INSERT IGNORE INTO donors (email, name)
+SELECT LOWER(TRIM(donor_email)), MAX(donor_name) FROM donations WHERE donor_id IS NULL GROUP BY LOWER(TRIM(donor_email));
+UPDATE donations d JOIN donors o ON o.email = LOWER(TRIM(d.donor_email)) SET d.donor_id = o.id WHERE d.donor_id IS NULL;
+
+-- Contact submissions: spam filtering, form tokens and the staff inbox
+ALTER TABLE contact_submissions ADD COLUMN folder ENUM('inbox', 'spam') NOT NULL DEFAULT 'inbox' AFTER is_read;
+ALTER TABLE contact_submissions ADD COLUMN spam_score INT NOT NULL DEFAULT 0 AFTER folder;
+ALTER TABLE contact_submissions ADD COLUMN spam_reasons VARCHAR(255) AFTER spam_score;
+ALTER TABLE contact_submissions ADD COLUMN ip_address VARCHAR(45) AFTER spam_reasons;
+ALTER TABLE contact_submissions ADD COLUMN user_agent VARCHAR(255) AFTER ip_address;
+ALTER TABLE contact_submissions ADD COLUMN form_token_id VARCHAR(36) UNIQUE AFTER user_agent;
+ALTER TABLE contact_submissions ADD COLUMN assigned_to INT AFTER form_token_id;
+ALTER TABLE contact_submissions ADD COLUMN archived_at TIMESTAMP NULL AFTER assigned_to;
+ALTER TABLE contact_submissions ADD COLUMN last_replied_at TIMESTAMP NULL AFTER archived_at;
+ALTER TABLE contact_submissions ADD COLUMN updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP AFTER created_at;
+ALTER TABLE contact_submissions ADD INDEX idx_folder_created (folder, created_at);
+ALTER TABLE contact_submissions ADD INDEX idx_assigned (assigned_to, is_read);
+ALTER TABLE contact_submissions ADD CONSTRAINT fk_contact_submissions_assigned FOREIGN KEY (assigned_to) REFERENCES users(id) ON DELETE SET NULL;
+
+-- Newsletter subscribers: double opt-in. Existing subscribers stay active;
+-- new ones only become active once they confirm.
+ALTER TABLE newsletter_subscribers ALTER COLUMN is_active SET DEFAULT FALSE;
+ALTER TABLE newsletter_subscribers ADD COLUMN confirmation_nonce VARCHAR(64) AFTER subscribed_at;
+ALTER TABLE newsletter_subscribers ADD COLUMN confirmation_sent_at TIMESTAMP NULL AFTER confirmation_nonce;
+ALTER TABLE newsletter_subscribers ADD COLUMN confirmed_at TIMESTAMP NULL AFTER confirmation_sent_at;
+ALTER TABLE newsletter_subscribers ADD COLUMN consent_source VARCHAR(100) AFTER confirmed_at;
+ALTER TABLE newsletter_subscribers ADD COLUMN consent_ip VARCHAR(45) AFTER consent_source;
@@ -1,9 +1,75 @@
 import User from '../models/User.js';
+import PasswordReset from '../models/PasswordReset.js';
+import Session from '../models/Session.js';
+import TwoFactor from '../models/TwoFactor.js';
+import LoginEvent from '../models/LoginEvent.js';
 import { validationResult } from 'express-validator';
+import { signToken, verifyToken } from '../utils/tokens.js';
+import { getUnverifiedEmailPolicy, isTwoFactorRequired } from '../services/security.js';
+import {
+  checkLoginAttempt,
+  recordLoginBlocked,
+  recordLoginFailure,
+  recordLoginSuccess
+} from '../services/loginProtection.js';
+import { sendPasswordResetEmail, sendVerificationEmail, sendWelcomeEmail } from '../services/notifications.js';
+
+const RESET_EXPIRY_MINUTES = Number(process.env.PASSWORD_RESET_EXPIRY_MINUTES || 60);
+const RESET_RESEND_MINUTES = Number(process.env.PASSWORD_RESET_RESEND_MINUTES || 2);
+const VERIFICATION_EXPIRY_HOURS = Number(process.env.EMAIL_VERIFICATION_EXPIRY_HOURS || 24);
+const VERIFICATION_RESEND_MINUTES = Number(process.env.EMAIL_VERIFICATION_RESEND_MINUTES || 5);
+// Time to enter the 2FA code after the password
+const TWO_FACTOR_CHALLENGE_MINUTES = Number(process.env.TWO_FACTOR_CHALLENGE_MINUTES || 5);
+
+// Why User.login refused a login, as recorded in the login events
+const LOGIN_FAILURES = {
+  'Invalid credentials': 'invalid_credentials',
+  'Account is deactivated': 'deactivated'
+};
+
+// Map the errors thrown by Session.rotate to HTTP status codes
+const REFRESH_ERRORS = {
+  'Invalid refresh token': 401,
+  'Refresh token reuse detected': 401
+};
+
+const clientInfo = (req) => ({
+  ip: req.ip,
+  userAgent: req.get('User-Agent')?.slice(0, 255) || null
+});
+
+// The user as the API returns it, without password or 2FA secret
+const publicUser = ({ password, two_factor_secret, ...user }) => user;
+
+// Email a link that verifies the user's current address. The address is
+// part of the token, so changing it voids links sent to the old one.
+const sendVerificationLink = async (user) => {
+  const token = signToken(
+    'email-verification',
+    { id: user.id, email: user.email },
+    { expiresIn: `${VERIFICATION_EXPIRY_HOURS}h` }
+  );
+  await User.recordVerificationSent(user.id);
+  await sendVerificationEmail(user, token, VERIFICATION_EXPIRY_HOURS * 60);
+};
+
+// Refuse a login attempt while the account or IP address has to wait
+const refuseLoginAttempt = async (res, attempt, blocked) => {
+  await recordLoginBlocked({ ...attempt, reason: blocked.reason });
+  res.set('Retry-After', String(blocked.retryAfter));
+  return res.status(429).json({ message: blocked.message });
+};
+
+// Start a session for a signed-in user and issue its first pair of tokens
+const startSession = async (user, req) => {
+  const { session, refreshToken } = await Session.create(user.id, clientInfo(req));
+  return { token: User.generateJwt(user, session.id), refreshToken };
+};
 
 /**
  * @route   POST /api/auth/register
- * @desc    Register a new user
+ * @desc    Register a new user and email a link to verify their address.
+ *          No tokens are issued while unverified accounts can't log in.
  * @access  Public
  */
 export const register = async (req, res) => {
@@ -35,18 +101,25 @@ export const register = async (req, res) => {
       password,
       firstName,
       lastName,
-      role: 'viewer' // Default role
+      role: 'viewer', // Default role
+      emailVerified: false
     });
+    await sendVerificationLink(user);
 
-    // Generate JWT token
-    const token = User.generateJwt(user);
+    if (await getUnverifiedEmailPolicy(user) === 'block') {
+      return res.status(201).json({
+        user: publicUser(user),
+        emailVerificationRequired: true,
+        message: 'Please check your email to verify your address before logging in.'
+      });
+    }
 
-    // Remove password from response
-    const { password: _, ...userWithoutPassword } = user;
+    const { token, refreshToken } = await startSession(user, req);
 
     res.status(201).json({
-      user: userWithoutPassword,
-      token
+      user: publicUser(user),
+      token,
+      refreshToken
     });
   } catch (error) {
     console.error('Registration error:', error);
@@ -56,7 +129,8 @@ export const register = async (req, res) => {
 
 /**
  * @route   POST /api/auth/login
- * @desc    Authenticate user & get token
+ * @desc    Authenticate user & get token. With 2FA on, a challenge to pass
+ *          to /api/auth/login/2fa is returned instead.
  * @access  Public
  */
 export const login = async (req, res) => {
@@ -69,16 +143,170 @@ export const login = async (req, res) => {
   const { email, password } = req.body;
 
   try {
-    // Authenticate user
-    const { user, token } = await User.login(email, password);
-    
+    const account = await User.findByEmail(email);
+    const attempt = { user: account, email, ...clientInfo(req) };
+
+    // The password isn't even checked while the account or IP has to wait
+    const blocked = await checkLoginAttempt({ user: account, ip: req.ip });
+    if (blocked) {
+      return refuseLoginAttempt(res, attempt, blocked);
+    }
+
+    let user;
+    try {
+      // Authenticate user
+      user = await User.login(email, password);
+    } catch (error) {
+      if (!LOGIN_FAILURES[error.message]) throw error;
+      await recordLoginFailure({ ...attempt, reason: LOGIN_FAILURES[error.message] });
+      return res.status(401).json({ message: error.message });
+    }
+
+    if (await getUnverifiedEmailPolicy(user) === 'block') {
+      await recordLoginFailure({ ...attempt, reason: 'email_unverified' });
+      return res.status(403).json({
+        message: 'Please verify your email address before logging in',
+        emailVerificationRequired: true
+      });
+    }
+
+    // With 2FA on, the login is recorded once the code has been checked
+    if (TwoFactor.isEnabled(user)) {
+      const challenge = signToken(
+        'two-factor-login',
+        { id: user.id, tokenVersion: user.token_version || 0 },
+        { expiresIn: `${TWO_FACTOR_CHALLENGE_MINUTES}m` }
+      );
+      return res.json({ twoFactorRequired: true, challenge });
+    }
+
+    await recordLoginSuccess({ user, ...clientInfo(req) });
+    const { token, refreshToken } = await startSession(user, req);
+
     res.json({
       user,
-      token
+      token,
+      refreshToken,
+      // The tokens only work for turning 2FA on until it is
+      twoFactorSetupRequired: await isTwoFactorRequired(user)
     });
   } catch (error) {
     console.error('Login error:', error);
-    res.status(401).json({ message: error.message || 'Invalid credentials' });
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * @route   POST /api/auth/login/2fa
+ * @desc    Finish logging in with the challenge from /api/auth/login and a
+ *          code from the authenticator app or a recovery code
+ * @access  Public
+ */
+export const verifyTwoFactorLogin = async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { challenge, code } = req.body;
+
+  try {
+    const payload = verifyToken('two-factor-login', challenge);
+    const user = payload && await User.findById(payload.id);
+
+    // The challenge is void once the account is deactivated or its tokens revoked
+    if (!user || !user.is_active || !TwoFactor.isEnabled(user) || payload.tokenVersion !== user.token_version) {
+      return res.status(401).json({ message: 'Invalid or expired login challenge' });
+    }
+
+    // Wrong codes count toward the lockout like wrong passwords
+    const attempt = { user, email: user.email, ...clientInfo(req) };
+    const blocked = await checkLoginAttempt({ user, ip: req.ip });
+    if (blocked) {
+      return refuseLoginAttempt(res, attempt, blocked);
+    }
+
+    let method;
+    try {
+      method = await TwoFactor.verify(user, code);
+    } catch (error) {
+      if (error.message !== 'Invalid verification code') throw error;
+      await recordLoginFailure({ ...attempt, reason: 'invalid_code' });
+      return res.status(401).json({ message: error.message });
+    }
+
+    await recordLoginSuccess({ user, ...clientInfo(req) });
+    const { token, refreshToken } = await startSession(user, req);
+
+    res.json({
+      user: publicUser(user),
+      token,
+      refreshToken,
+      // Using a recovery code is a hint to set up a new device or codes
+      ...(method === 'recovery_code' && { recoveryCodesRemaining: await TwoFactor.countRecoveryCodes(user.id) })
+    });
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Exchange a refresh token for a new access token and refresh token.
+ *          Each refresh token works once; presenting a used one again signs
+ *          out its session.
+ * @access  Public
+ */
+export const refresh = async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { session, refreshToken } = await Session.rotate(req.body.refreshToken, clientInfo(req));
+    const user = await User.findById(session.user_id);
+
+    if (!user || !user.is_active) {
+      await Session.revoke(session.id, 'deactivated');
+      return res.status(401).json({ message: 'User account is deactivated' });
+    }
+
+    res.json({
+      token: User.generateJwt(user, session.id),
+      refreshToken
+    });
+  } catch (error) {
+    if (REFRESH_ERRORS[error.message]) {
+      return res.status(REFRESH_ERRORS[error.message]).json({ message: error.message });
+    }
+    console.error('Refresh token error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * @route   POST /api/auth/logout
+ * @desc    Sign out the session of a refresh token; its access tokens stop
+ *          working too
+ * @access  Public
+ */
+export const logout = async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    await Session.revokeByToken(req.body.refreshToken, 'logout');
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Server error' });
   }
 };
 
@@ -95,10 +323,7 @@ export const getCurrentUser = async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
     
-    // Remove password from response
-    const { password, ...userWithoutPassword } = user;
-    
-    res.json(userWithoutPassword);
+    res.json(publicUser(user));
   } catch (error) {
     console.error('Get current user error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -136,7 +361,12 @@ export const updateProfile = async (req, res) => {
       avatar
     });
 
-    res.json(updatedUser);
+    // A new address has to be verified again
+    if (!updatedUser.email_verified_at && updatedUser.email !== req.user.email) {
+      await sendVerificationLink(updatedUser);
+    }
+
+    res.json(publicUser(updatedUser));
   } catch (error) {
     console.error('Update profile error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -166,6 +396,136 @@ export const changePassword = async (req, res) => {
   }
 };
 
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Email a password reset link. The response is the same whether or
+ *          not an account exists for the email.
+ * @access  Public
+ */
+export const forgotPassword = async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const user = await User.findByEmail(req.body.email);
+
+    if (user && user.is_active) {
+      // Repeated requests don't send a new email every time
+      const latest = await PasswordReset.findLatest(user.id);
+      const recentlySent = latest
+        && Date.now() - new Date(latest.created_at).getTime() < RESET_RESEND_MINUTES * 60 * 1000;
+
+      if (!recentlySent) {
+        const token = await PasswordReset.create(user.id, {
+          expiresAt: new Date(Date.now() + RESET_EXPIRY_MINUTES * 60 * 1000),
+          ip: req.ip
+        });
+        await sendPasswordResetEmail(user, token, RESET_EXPIRY_MINUTES);
+      }
+    }
+
+    res.status(202).json({ message: 'If an account exists for this email, a password reset link has been sent.' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * @route   POST /api/auth/verify-email
+ * @desc    Verify an email address with the token from a verification link
+ * @access  Public
+ */
+export const verifyEmail = async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const payload = verifyToken('email-verification', req.body.token);
+    const user = payload && await User.findById(payload.id);
+
+    if (!user || user.email !== payload.email) {
+      return res.status(400).json({ message: 'Invalid or expired verification link' });
+    }
+
+    // Following the link again is harmless
+    if (await User.markEmailVerified(user.id, payload.email)) {
+      await sendWelcomeEmail(user);
+    }
+
+    res.json({ message: 'Your email address has been verified.' });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * @route   POST /api/auth/verify-email/resend
+ * @desc    Email a new verification link. The response is the same whether
+ *          or not an unverified account exists for the email.
+ * @access  Public
+ */
+export const resendVerificationEmail = async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const user = await User.findByEmail(req.body.email);
+
+    if (user && user.is_active && !user.email_verified_at) {
+      // Repeated requests don't send a new email every time
+      const recentlySent = user.email_verification_sent_at
+        && Date.now() - new Date(user.email_verification_sent_at).getTime() < VERIFICATION_RESEND_MINUTES * 60 * 1000;
+
+      if (!recentlySent) {
+        await sendVerificationLink(user);
+      }
+    }
+
+    res.status(202).json({ message: 'If an unverified account exists for this email, a new verification link has been sent.' });
+  } catch (error) {
+    console.error('Resend verification email error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Set a new password with the token from a reset link; every
+ *          existing session is signed out
+ * @access  Public
+ */
+export const resetPassword = async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { token, newPassword } = req.body;
+
+  try {
+    await PasswordReset.reset(token, newPassword);
+    res.json({ message: 'Your password has been reset. Please log in with your new password.' });
+  } catch (error) {
+    if (error.message === 'Invalid or expired reset link') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Reset password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
 /**
  * @route   GET /api/auth/users
  * @desc    Get all users (admin only)
@@ -219,9 +579,107 @@ export const toggleUserStatus = async (req, res) => {
     }
 
     const updatedUser = await User.toggleUserStatus(id);
+
+    // A deactivated user is signed out everywhere, so reactivating the
+    // account doesn't bring old sessions back
+    if (!updatedUser.is_active) {
+      await Session.revokeAllForUser(id, 'deactivated');
+    }
+
     res.json(updatedUser);
   } catch (error) {
     console.error('Toggle user status error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 };
+
+/**
+ * @route   GET /api/auth/users/:id/sessions
+ * @desc    Get the active sessions of a user (admin only)
+ * @access  Private/Admin
+ */
+export const getUserSessions = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const sessions = await Session.findByUser(user.id);
+    res.json(sessions);
+  } catch (error) {
+    console.error('Get user sessions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * @route   DELETE /api/auth/users/:id/sessions
+ * @desc    Sign a user out of every session, invalidating their access and
+ *          refresh tokens (admin only)
+ * @access  Private/Admin
+ */
+export const revokeUserSessions = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const revoked = await Session.revokeAllForUser(user.id, 'admin');
+    res.json({ message: 'All sessions revoked', revoked });
+  } catch (error) {
+    console.error('Revoke user sessions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * @route   PUT /api/auth/users/:id/unlock
+ * @desc    Lift a login lockout and clear the failed attempts (admin only)
+ * @access  Private/Admin
+ */
+export const unlockUser = async (req, res) => {
+  try {
+    const user = await User.unlock(req.params.id);
+    res.json(publicUser(user));
+  } catch (error) {
+    if (error.message === 'User not found') {
+      return res.status(404).json({ message: error.message });
+    }
+    console.error('Unlock user error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * @route   GET /api/auth/users/:id/login-events
+ * @desc    Get the login attempts of a user (admin only)
+ * @access  Private/Admin
+ */
+export const getUserLoginEvents = async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { outcome, page, limit } = req.query;
+
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const events = await LoginEvent.findByUser(user.id, {
+      outcome: outcome || null,
+      page: page || 1,
+      limit: limit || 20
+    });
+    res.json(events);
+  } catch (error) {
+    console.error('Get login events error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
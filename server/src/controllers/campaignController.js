@@ -0,0 +1,256 @@
+import Campaign from '../models/Campaign.js';
+import { validationResult } from 'express-validator';
+
+const RECENT_DONORS_DEFAULT = 10;
+
+// Pick the writable campaign fields out of a validated body
+const campaignFields = (body) => ({
+  title: body.title,
+  slug: body.slug,
+  description: body.description,
+  goalAmount: body.goalAmount,
+  currency: body.currency,
+  startDate: body.startDate,
+  endDate: body.endDate,
+  pageId: body.pageId,
+  postId: body.postId,
+  isPublished: body.isPublished
+});
+
+// Map save errors (duplicate slug, unknown page or post) to a 400
+const saveErrorMessage = (error) => {
+  if (error.code === 'ER_DUP_ENTRY') {
+    return 'Slug is already in use';
+  }
+  if (error.code === 'ER_NO_REFERENCED_ROW_2') {
+    return 'The linked page or post does not exist';
+  }
+  return null;
+};
+
+/**
+ * @route   GET /api/campaigns
+ * @desc    Get all campaigns, including drafts
+ * @access  Private/Editor
+ */
+export const getCampaigns = async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const campaigns = await Campaign.findAll({
+      search: req.query.search || '',
+      status: req.query.status || 'all',
+      page: req.query.page || 1,
+      limit: req.query.limit || 10
+    });
+    res.json(campaigns);
+  } catch (error) {
+    console.error('Get campaigns error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * @route   GET /api/campaigns/:id
+ * @desc    Get a single campaign with its progress
+ * @access  Private/Editor
+ */
+export const getCampaign = async (req, res) => {
+  try {
+    const campaign = await Campaign.findById(req.params.id);
+
+    if (!campaign) {
+      return res.status(404).json({ message: 'Campaign not found' });
+    }
+
+    res.json(campaign);
+  } catch (error) {
+    console.error('Get campaign error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * @route   POST /api/campaigns
+ * @desc    Create a campaign
+ * @access  Private/Editor
+ */
+export const createCampaign = async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    if (await Campaign.slugExists(req.body.slug)) {
+      return res.status(400).json({ message: 'Slug is already in use' });
+    }
+
+    const campaign = await Campaign.create({
+      ...campaignFields(req.body),
+      createdBy: req.user.id
+    });
+
+    res.status(201).json(campaign);
+  } catch (error) {
+    const message = saveErrorMessage(error);
+    if (message) {
+      return res.status(400).json({ message });
+    }
+    console.error('Create campaign error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * @route   PUT /api/campaigns/:id
+ * @desc    Update a campaign
+ * @access  Private/Editor
+ */
+export const updateCampaign = async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    if (await Campaign.slugExists(req.body.slug, req.params.id)) {
+      return res.status(400).json({ message: 'Slug is already in use' });
+    }
+
+    const campaign = await Campaign.update(req.params.id, campaignFields(req.body));
+    res.json(campaign);
+  } catch (error) {
+    if (error.message === 'Campaign not found') {
+      return res.status(404).json({ message: error.message });
+    }
+    if (error.message === 'The currency cannot be changed once the campaign has donations') {
+      return res.status(409).json({ message: error.message });
+    }
+    const message = saveErrorMessage(error);
+    if (message) {
+      return res.status(400).json({ message });
+    }
+    console.error('Update campaign error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * @route   DELETE /api/campaigns/:id
+ * @desc    Delete a campaign (its donations are kept)
+ * @access  Private/Admin
+ */
+export const deleteCampaign = async (req, res) => {
+  try {
+    const deleted = await Campaign.delete(req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({ message: 'Campaign not found' });
+    }
+
+    res.json({ message: 'Campaign deleted' });
+  } catch (error) {
+    console.error('Delete campaign error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * @route   GET /api/public/campaigns
+ * @desc    Get published campaigns with their progress
+ * @access  Public
+ */
+export const getPublicCampaigns = async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const campaigns = await Campaign.findAll({
+      search: req.query.search || '',
+      status: req.query.status || 'active',
+      published: true,
+      page: req.query.page || 1,
+      limit: req.query.limit || 10
+    });
+    res.json(campaigns);
+  } catch (error) {
+    console.error('Get public campaigns error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * @route   GET /api/public/campaigns/:slug
+ * @desc    Get a published campaign with its progress
+ * @access  Public
+ */
+export const getPublicCampaign = async (req, res) => {
+  try {
+    const campaign = await Campaign.findBySlug(req.params.slug);
+
+    if (!campaign || !campaign.is_published) {
+      return res.status(404).json({ message: 'Campaign not found' });
+    }
+
+    res.json(campaign);
+  } catch (error) {
+    console.error('Get public campaign error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * @route   GET /api/public/campaigns/:slug/progress
+ * @desc    Get the raised total, donor count, percent of goal and recent donors
+ * @access  Public
+ */
+export const getCampaignProgress = async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const recent = req.query.recent === undefined ? RECENT_DONORS_DEFAULT : req.query.recent;
+
+  try {
+    const campaign = await Campaign.findBySlug(req.params.slug);
+
+    if (!campaign || !campaign.is_published) {
+      return res.status(404).json({ message: 'Campaign not found' });
+    }
+
+    let recentDonors = recent > 0 ? await Campaign.findRecentDonors(campaign.id, recent) : [];
+    // ?anonymous=true hides every donor name, e.g. for a public display screen
+    if (req.query.anonymous) {
+      recentDonors = recentDonors.map((donor) => ({ ...donor, donor_name: 'Anonymous' }));
+    }
+
+    // Progress changes with every donation, so don't let proxies cache it
+    res.set('Cache-Control', 'no-store');
+    res.json({
+      id: campaign.id,
+      slug: campaign.slug,
+      goal_amount: campaign.goal_amount,
+      currency: campaign.currency,
+      raised: campaign.raised,
+      donor_count: campaign.donor_count,
+      percent_of_goal: campaign.percent_of_goal,
+      is_open: Campaign.isOpen(campaign),
+      recent_donors: recentDonors
+    });
+  } catch (error) {
+    console.error('Get campaign progress error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
@@ -0,0 +1,367 @@
+import crypto from 'crypto';
+import ContactSubmission from '../models/ContactSubmission.js';
+import ContactReply from '../models/ContactReply.js';
+import User from '../models/User.js';
+import { validationResult } from 'express-validator';
+import { createMessageId, sendMail } from '../services/mail/index.js';
+import { sendContactAutoReply } from '../services/notifications.js';
+import { scoreSubmission } from '../utils/spamFilter.js';
+import { signToken, verifyToken } from '../utils/tokens.js';
+
+const FORM_TOKEN_PURPOSE = 'contact-form';
+const FORM_TOKEN_EXPIRY = process.env.CONTACT_FORM_TOKEN_EXPIRY || '1d';
+const STAFF_ROLES = ['admin', 'editor'];
+
+// Quote the original message under a reply, the way mail clients do
+const quoteSubmission = (submission) => {
+  const date = new Date(submission.created_at).toUTCString();
+  const quoted = submission.message.split(/\r?\n/).map((line) => `> ${line}`).join('\n');
+  return `On ${date}, ${submission.name} wrote:\n${quoted}`;
+};
+
+// Run an inbox update and answer with the updated submission
+const updateSubmission = (update, label) => async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const submission = await update(req);
+    res.json(submission);
+  } catch (error) {
+    if (error.message === 'Submission not found') {
+      return res.status(404).json({ message: error.message });
+    }
+    console.error(`${label} error:`, error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * @route   GET /api/public/contact/token
+ * @desc    Get the token the contact form sends back, recording when the form was served
+ * @access  Public
+ */
+export const getContactFormToken = (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.json({
+    formToken: signToken(FORM_TOKEN_PURPOSE, { id: crypto.randomUUID() }, { expiresIn: FORM_TOKEN_EXPIRY })
+  });
+};
+
+/**
+ * @route   POST /api/public/contact
+ * @desc    Submit the contact form. Likely spam is kept in the spam folder,
+ *          and gets the same response so bots can't tell.
+ * @access  Public
+ */
+export const submitContactForm = async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { name, email, subject, message, website, formToken } = req.body;
+
+  try {
+    // iat is when the form token was issued, in seconds. A token that was
+    // already used counts as missing, so each one is good for one message.
+    let form = verifyToken(FORM_TOKEN_PURPOSE, formToken);
+    if (form && (!form.id || await ContactSubmission.isFormTokenUsed(form.id))) {
+      form = null;
+    }
+
+    const store = async () => {
+      const { score, reasons, isSpam } = scoreSubmission({
+        name,
+        email,
+        subject,
+        message,
+        honeypot: website,
+        elapsedMs: form ? Date.now() - form.iat * 1000 : null
+      });
+
+      const submission = await ContactSubmission.create({
+        name,
+        email,
+        subject: subject || null,
+        message,
+        folder: isSpam ? 'spam' : 'inbox',
+        spamScore: score,
+        spamReasons: reasons,
+        ipAddress: req.ip,
+        userAgent: (req.get('User-Agent') || '').slice(0, 255) || null,
+        formTokenId: form ? form.id : null
+      });
+      return { submission, isSpam };
+    };
+
+    let stored;
+    try {
+      stored = await store();
+    } catch (error) {
+      if (error.message !== 'Form token already used') throw error;
+      // Another submission with the same token got in first
+      form = null;
+      stored = await store();
+    }
+
+    // Spam, and messages without a fresh form token, get no reply, so the
+    // form can't be used to send mail to others
+    const { submission, isSpam } = stored;
+    if (!isSpam && form) {
+      await sendContactAutoReply(submission);
+    }
+
+    res.status(201).json({ message: 'Thank you for your message. We will get back to you soon.' });
+  } catch (error) {
+    console.error('Contact form error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * @route   GET /api/contact
+ * @desc    Get contact submissions, filtered by folder, read status and assignee
+ * @access  Private/Editor
+ */
+export const getContactSubmissions = async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { folder, archived, status, assignedTo, search, page, limit } = req.query;
+
+  try {
+    const submissions = await ContactSubmission.findAll({
+      folder: folder || 'inbox',
+      archived: archived || false,
+      status: status || null,
+      assignedTo: assignedTo === 'me' ? req.user.id : assignedTo || null,
+      search: search || '',
+      page: page || 1,
+      limit: limit || 20
+    });
+    res.json(submissions);
+  } catch (error) {
+    console.error('Get contact submissions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * @route   GET /api/contact/counts
+ * @desc    Unread, assigned-to-me, unassigned and spam counts for the dashboard
+ * @access  Private/Editor
+ */
+export const getContactCounts = async (req, res) => {
+  try {
+    const counts = await ContactSubmission.counts(req.user.id);
+    res.json(counts);
+  } catch (error) {
+    console.error('Get contact counts error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * @route   GET /api/contact/:id
+ * @desc    Get a submission with its internal notes and reply thread
+ * @access  Private/Editor
+ */
+export const getContactSubmission = async (req, res) => {
+  try {
+    const submission = await ContactSubmission.findById(req.params.id);
+
+    if (!submission) {
+      return res.status(404).json({ message: 'Submission not found' });
+    }
+
+    const [notes, replies] = await Promise.all([
+      ContactSubmission.findNotes(submission.id),
+      ContactReply.findBySubmission(submission.id)
+    ]);
+
+    res.json({ ...submission, notes, replies });
+  } catch (error) {
+    console.error('Get contact submission error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * @route   PUT /api/contact/:id/read
+ * @desc    Mark a submission read or unread
+ * @access  Private/Editor
+ */
+export const markContactSubmissionRead = updateSubmission(
+  (req) => ContactSubmission.setRead(req.params.id, req.body.isRead),
+  'Mark contact submission read'
+);
+
+/**
+ * @route   PUT /api/contact/:id/archive
+ * @desc    Archive or unarchive a submission
+ * @access  Private/Editor
+ */
+export const archiveContactSubmission = updateSubmission(
+  (req) => ContactSubmission.setArchived(req.params.id, req.body.archived),
+  'Archive contact submission'
+);
+
+/**
+ * @route   PUT /api/contact/:id/folder
+ * @desc    Move a submission to the inbox or the spam folder
+ * @access  Private/Editor
+ */
+export const moveContactSubmission = updateSubmission(
+  (req) => ContactSubmission.setFolder(req.params.id, req.body.folder),
+  'Move contact submission'
+);
+
+/**
+ * @route   PUT /api/contact/:id/assign
+ * @desc    Assign a submission to a staff member, or unassign it
+ * @access  Private/Editor
+ */
+export const assignContactSubmission = async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const userId = req.body.userId || null;
+
+  try {
+    if (userId) {
+      const user = await User.findById(userId);
+      if (!user || !user.is_active || !STAFF_ROLES.includes(user.role)) {
+        return res.status(400).json({ message: 'Submissions can only be assigned to active staff members' });
+      }
+    }
+
+    const submission = await ContactSubmission.assign(req.params.id, userId);
+    res.json(submission);
+  } catch (error) {
+    if (error.message === 'Submission not found') {
+      return res.status(404).json({ message: error.message });
+    }
+    console.error('Assign contact submission error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * @route   POST /api/contact/:id/notes
+ * @desc    Add an internal note to a submission
+ * @access  Private/Editor
+ */
+export const addContactNote = async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const submission = await ContactSubmission.findById(req.params.id);
+    if (!submission) {
+      return res.status(404).json({ message: 'Submission not found' });
+    }
+
+    const note = await ContactSubmission.addNote(submission.id, { userId: req.user.id, body: req.body.body });
+    res.status(201).json(note);
+  } catch (error) {
+    console.error('Add contact note error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * @route   POST /api/contact/:id/replies
+ * @desc    Email a reply to the sender, threaded with the earlier replies
+ * @access  Private/Editor
+ */
+export const replyToContactSubmission = async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  let submission;
+  let reply;
+  let thread;
+  try {
+    submission = await ContactSubmission.findById(req.params.id);
+    if (!submission) {
+      return res.status(404).json({ message: 'Submission not found' });
+    }
+
+    thread = await ContactReply.threadHeaders(submission.id);
+    reply = await ContactReply.create(submission.id, {
+      userId: req.user.id,
+      subject: req.body.subject || `Re: ${submission.subject || 'Your message'}`,
+      body: req.body.body,
+      messageId: createMessageId(`contact-${submission.id}`),
+      inReplyTo: thread.inReplyTo
+    });
+  } catch (error) {
+    console.error('Reply to contact submission error:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+
+  // The reply is stored; now hand it to the mail transport
+  try {
+    await sendMail({
+      to: submission.email,
+      subject: reply.subject,
+      text: `${reply.body}\n\n${quoteSubmission(submission)}`,
+      messageId: reply.message_id,
+      inReplyTo: thread.inReplyTo,
+      references: thread.references
+    });
+  } catch (error) {
+    console.error('Contact reply delivery error:', error);
+    try {
+      reply = await ContactReply.markFailed(reply.id, { message: error.message });
+    } catch (recordError) {
+      console.error(`Record failed contact reply error (reply ${reply.id}):`, recordError);
+    }
+    return res.status(502).json({ message: 'The reply could not be sent', reply });
+  }
+
+  // The reply went out; failing to record that does not make it unsent
+  try {
+    reply = await ContactReply.markSent(reply.id);
+  } catch (error) {
+    console.error(`Record sent contact reply error (reply ${reply.id}):`, error);
+  }
+  res.status(201).json(reply);
+};
+
+/**
+ * @route   DELETE /api/contact/:id
+ * @desc    Delete a submission with its notes and replies
+ * @access  Private/Admin
+ */
+export const deleteContactSubmission = async (req, res) => {
+  try {
+    const deleted = await ContactSubmission.delete(req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({ message: 'Submission not found' });
+    }
+
+    res.json({ message: 'Submission deleted' });
+  } catch (error) {
+    console.error('Delete contact submission error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
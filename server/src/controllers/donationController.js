@@ -0,0 +1,242 @@
+import Donation from '../models/Donation.js';
+import Campaign from '../models/Campaign.js';
+import { validationResult } from 'express-validator';
+import { getProvider } from '../services/payments/index.js';
+import { receiptLink } from '../utils/receiptLinks.js';
+import { sendDonationReceiptEmail } from '../services/notifications.js';
+
+/**
+ * @route   POST /api/public/donations
+ * @desc    Create a pending donation and open a payment with the provider
+ * @access  Public
+ */
+export const createDonation = async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const {
+    donorName,
+    donorEmail,
+    amount,
+    currency,
+    paymentMethod,
+    isRecurring,
+    recurringFrequency,
+    message,
+    campaignId,
+    isAnonymous
+  } = req.body;
+
+  try {
+    // Fails before anything is stored when no provider is configured
+    const provider = getProvider();
+
+    let campaign = null;
+    if (campaignId) {
+      campaign = await Campaign.findById(campaignId);
+
+      if (!campaign || !Campaign.isOpen(campaign)) {
+        return res.status(400).json({ message: 'This campaign is not accepting donations' });
+      }
+      // Progress is tracked in the campaign currency
+      if (currency && currency !== campaign.currency) {
+        return res.status(400).json({ message: `Donations to this campaign must be made in ${campaign.currency}` });
+      }
+    }
+
+    let donation = await Donation.create({
+      donorName,
+      donorEmail,
+      amount,
+      currency: campaign ? campaign.currency : currency,
+      paymentMethod,
+      isRecurring,
+      recurringFrequency,
+      message,
+      campaignId: campaign ? campaign.id : null,
+      isAnonymous
+    });
+
+    // Open a payment with the gateway; the client completes it with the secret
+    const intent = await provider.createIntent({
+      amount: Number(donation.amount),
+      currency: donation.currency,
+      donationId: donation.id,
+      donorEmail: donation.donor_email,
+      paymentMethod: donation.payment_method
+    });
+
+    donation = await Donation.attachTransaction(donation.id, {
+      provider: provider.name,
+      transactionId: intent.transactionId,
+      clientSecret: intent.clientSecret
+    });
+
+    res.status(201).json({
+      id: donation.id,
+      amount: donation.amount,
+      currency: donation.currency,
+      payment_status: donation.payment_status,
+      payment_provider: donation.payment_provider,
+      transaction_id: donation.transaction_id,
+      client_secret: intent.clientSecret,
+      is_recurring: donation.is_recurring,
+      recurring_frequency: donation.recurring_frequency,
+      campaign_id: donation.campaign_id,
+      created_at: donation.created_at
+    });
+  } catch (error) {
+    console.error('Create donation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * @route   POST /api/public/donations/:id/confirm
+ * @desc    Confirm the payment of a pending donation with its provider, using
+ *          the client secret returned when the donation was created
+ * @access  Public
+ */
+export const confirmDonation = async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const donation = await Donation.findById(req.params.id);
+
+    // A wrong secret looks the same as a missing donation
+    if (!donation || !donation.transaction_id || !Donation.matchesClientSecret(donation, req.body.clientSecret)) {
+      return res.status(404).json({ message: 'Donation not found' });
+    }
+
+    // Confirming twice simply reports the settled status
+    if (donation.payment_status !== 'pending') {
+      return res.json({ id: donation.id, payment_status: donation.payment_status });
+    }
+
+    let result;
+    try {
+      result = await getProvider(donation.payment_provider).confirm(donation.transaction_id);
+    } catch (error) {
+      if (error.message !== 'Unknown transaction') throw error;
+
+      // The provider lost the payment (the mock forgets it on restart), so it
+      // can never be confirmed; fail it rather than leave it pending
+      const failed = await Donation.updateStatus(donation.id, 'failed');
+      return res.status(409).json({
+        message: 'This payment can no longer be confirmed, please donate again',
+        id: failed.id,
+        payment_status: failed.payment_status
+      });
+    }
+
+    const updated = await Donation.updateStatus(
+      donation.id,
+      result.status === 'succeeded' ? 'completed' : 'failed'
+    );
+    await sendDonationReceiptEmail(updated);
+
+    res.json({
+      id: updated.id,
+      payment_status: updated.payment_status,
+      // Completed donations come with a signed link to their tax receipt
+      receipt_url: updated.payment_status === 'completed' ? receiptLink(updated.id).url : null
+    });
+  } catch (error) {
+    console.error('Confirm donation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * @route   GET /api/donations
+ * @desc    Get donations (status, date range, recurring and amount filters)
+ * @access  Private/Admin
+ */
+export const getDonations = async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { search, status, from, to, recurring, minAmount, maxAmount, currency, campaignId, donorId, missingRate, page, limit } = req.query;
+
+  try {
+    const donations = await Donation.findAll({
+      search: search || '',
+      status: status || null,
+      from: from || null,
+      to: to || null,
+      recurring: recurring === undefined ? null : recurring,
+      minAmount: minAmount === undefined ? null : minAmount,
+      maxAmount: maxAmount === undefined ? null : maxAmount,
+      currency: currency || null,
+      campaignId: campaignId || null,
+      donorId: donorId || null,
+      missingRate: missingRate || false,
+      page: page || 1,
+      limit: limit || 20
+    });
+    res.json(donations);
+  } catch (error) {
+    console.error('Get donations error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * @route   GET /api/donations/:id
+ * @desc    Get a single donation
+ * @access  Private/Admin
+ */
+export const getDonation = async (req, res) => {
+  try {
+    const donation = await Donation.findById(req.params.id);
+
+    if (!donation) {
+      return res.status(404).json({ message: 'Donation not found' });
+    }
+
+    res.json(donation);
+  } catch (error) {
+    console.error('Get donation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * @route   PUT /api/donations/:id/status
+ * @desc    Change the payment status of a donation
+ * @access  Private/Admin
+ */
+export const updateDonationStatus = async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { status, transactionId } = req.body;
+
+  try {
+    const donation = await Donation.updateStatus(req.params.id, status, { transactionId });
+    await sendDonationReceiptEmail(donation);
+    res.json(donation);
+  } catch (error) {
+    if (error.message === 'Donation not found') {
+      return res.status(404).json({ message: error.message });
+    }
+    if (error.message.startsWith('Invalid status transition')) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Update donation status error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
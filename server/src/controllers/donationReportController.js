@@ -0,0 +1,178 @@
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import ExcelJS from 'exceljs';
+import Donation from '../models/Donation.js';
+import DonationReport from '../models/DonationReport.js';
+import { REPORTING_CURRENCY } from '../models/ExchangeRate.js';
+import { validationResult } from 'express-validator';
+import { toCsvRow } from '../utils/csv.js';
+
+const EXPORT_COLUMNS = [
+  { key: 'id', header: 'ID', width: 8 },
+  { key: 'created_at', header: 'Date', width: 22 },
+  { key: 'donor_name', header: 'Donor Name', width: 24 },
+  { key: 'donor_email', header: 'Donor Email', width: 30 },
+  { key: 'amount', header: 'Amount', width: 12 },
+  { key: 'currency', header: 'Currency', width: 10 },
+  { key: 'refunded_amount', header: 'Refunded', width: 12 },
+  { key: 'reporting_amount', header: `Amount (${REPORTING_CURRENCY})`, width: 14 },
+  { key: 'payment_status', header: 'Status', width: 12 },
+  { key: 'payment_method', header: 'Payment Method', width: 16 },
+  { key: 'payment_provider', header: 'Provider', width: 12 },
+  { key: 'transaction_id', header: 'Transaction ID', width: 28 },
+  { key: 'is_recurring', header: 'Recurring', width: 10 },
+  { key: 'recurring_frequency', header: 'Frequency', width: 12 },
+  { key: 'campaign_title', header: 'Campaign', width: 24 },
+  { key: 'is_anonymous', header: 'Anonymous', width: 10 }
+];
+
+const MONEY_COLUMNS = ['amount', 'refunded_amount', 'reporting_amount'];
+
+// Shape a donation row for the export; amounts become numbers so spreadsheets can sum them
+const exportRow = (donation) => {
+  const row = {};
+  for (const { key } of EXPORT_COLUMNS) {
+    const value = donation[key];
+    if (MONEY_COLUMNS.includes(key)) {
+      row[key] = value === null ? null : Number(value);
+    } else if (key === 'is_recurring' || key === 'is_anonymous') {
+      row[key] = value ? 'yes' : 'no';
+    } else {
+      row[key] = value;
+    }
+  }
+  return row;
+};
+
+// Resolve once the response can take more data, or has gone away
+const waitForDrain = (res) => new Promise((resolve) => {
+  const done = () => {
+    res.off('drain', done);
+    res.off('close', done);
+    resolve();
+  };
+  res.on('drain', done);
+  res.on('close', done);
+});
+
+const writeCsv = async (donations, res) => {
+  const csv = new Transform({
+    writableObjectMode: true,
+    transform(donation, encoding, callback) {
+      const row = exportRow(donation);
+      callback(null, toCsvRow(EXPORT_COLUMNS.map(({ key }) => row[key])));
+    }
+  });
+  csv.push(toCsvRow(EXPORT_COLUMNS.map(({ header }) => header)));
+
+  await pipeline(donations, csv, res);
+};
+
+// The workbook writer flushes committed rows, so only the current row is held in memory
+const writeXlsx = async (donations, res) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useSharedStrings: false });
+  const worksheet = workbook.addWorksheet('Donations');
+  worksheet.columns = EXPORT_COLUMNS;
+
+  for await (const donation of donations) {
+    worksheet.addRow(exportRow(donation)).commit();
+
+    if (res.writableNeedDrain) {
+      await waitForDrain(res);
+    }
+    // Client went away; leaving the loop stops the query
+    if (res.destroyed) {
+      return;
+    }
+  }
+
+  worksheet.commit();
+  await workbook.commit();
+};
+
+/**
+ * @route   GET /api/donations/reports
+ * @desc    Donation totals by month, payment method, currency and type, with
+ *          the average gift and donor retention, in the reporting currency
+ * @access  Private/Admin
+ */
+export const getDonationReports = async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { from, to, campaignId, year } = req.query;
+
+  try {
+    const reports = await DonationReport.overview(
+      {
+        from: from || null,
+        to: to || null,
+        campaignId: campaignId || null
+      },
+      { year: year || new Date().getUTCFullYear() }
+    );
+    res.json(reports);
+  } catch (error) {
+    console.error('Get donation reports error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * @route   GET /api/donations/export
+ * @desc    Export the filtered donation list as CSV or XLSX. Rows are streamed
+ *          from the database, so large ranges don't build up in memory.
+ * @access  Private/Admin
+ */
+export const exportDonations = async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { search, status, from, to, recurring, minAmount, maxAmount, currency, campaignId, donorId, missingRate } = req.query;
+  const format = req.query.format || 'csv';
+
+  try {
+    const donations = await Donation.stream({
+      search: search || '',
+      status: status || null,
+      from: from || null,
+      to: to || null,
+      recurring: recurring === undefined ? null : recurring,
+      minAmount: minAmount === undefined ? null : minAmount,
+      maxAmount: maxAmount === undefined ? null : maxAmount,
+      currency: currency || null,
+      campaignId: campaignId || null,
+      donorId: donorId || null,
+      missingRate: missingRate || false
+    });
+
+    const filename = `donations-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+
+    if (format === 'xlsx') {
+      res.set('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      await writeXlsx(donations, res);
+    } else {
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      await writeCsv(donations, res);
+    }
+  } catch (error) {
+    // Part of the file is already out; all we can do is cut the download short
+    if (res.headersSent) {
+      if (error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+        console.error('Export donations error:', error);
+      }
+      return res.destroy();
+    }
+
+    console.error('Export donations error:', error);
+    res.removeHeader('Content-Disposition');
+    res.status(500).json({ message: 'Server error' });
+  }
+};
@@ -0,0 +1,120 @@
+import Donor from '../models/Donor.js';
+import { validationResult } from 'express-validator';
+
+/**
+ * @route   GET /api/donors
+ * @desc    Get donors with giving statistics (search, segment and lifetime filters)
+ * @access  Private/Admin
+ */
+export const getDonors = async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { search, segment, minLifetime, sort, page, limit } = req.query;
+
+  try {
+    const donors = await Donor.findAll({
+      search: search || '',
+      segment: segment || null,
+      minLifetime: minLifetime === undefined ? null : minLifetime,
+      sort: sort || 'recent',
+      page: page || 1,
+      limit: limit || 20
+    });
+    res.json(donors);
+  } catch (error) {
+    console.error('Get donors error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * @route   GET /api/donors/:id
+ * @desc    Get a donor with their donations and merged emails
+ * @access  Private/Admin
+ */
+export const getDonor = async (req, res) => {
+  try {
+    const donor = await Donor.findById(req.params.id);
+
+    if (!donor) {
+      return res.status(404).json({ message: 'Donor not found' });
+    }
+
+    res.json(donor);
+  } catch (error) {
+    console.error('Get donor error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * @route   PUT /api/donors/:id
+ * @desc    Update a donor's name and notes
+ * @access  Private/Admin
+ */
+export const updateDonor = async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { name, notes } = req.body;
+
+  try {
+    const donor = await Donor.update(req.params.id, { name, notes });
+    res.json(donor);
+  } catch (error) {
+    if (error.message === 'Donor not found') {
+      return res.status(404).json({ message: error.message });
+    }
+    console.error('Update donor error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * @route   POST /api/donors/:id/merge
+ * @desc    Merge a duplicate donor (sourceId) into this one
+ * @access  Private/Admin
+ */
+export const mergeDonor = async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const donor = await Donor.merge(req.params.id, req.body.sourceId);
+    res.json(donor);
+  } catch (error) {
+    if (error.message === 'Donor not found') {
+      return res.status(404).json({ message: error.message });
+    }
+    if (error.message === 'Cannot merge a donor into itself') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Merge donor error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * @route   POST /api/donors/link-donations
+ * @desc    Create donor profiles for donations that don't have one yet
+ * @access  Private/Admin
+ */
+export const linkDonations = async (req, res) => {
+  try {
+    const linked = await Donor.linkUnassignedDonations();
+    res.json({ linked });
+  } catch (error) {
+    console.error('Link donations error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
@@ -0,0 +1,398 @@
+import Event from '../models/Event.js';
+import { validationResult } from 'express-validator';
+import { buildCalendar } from '../utils/ical.js';
+
+// How far back the subscription feed reaches, in days
+const ICAL_FEED_PAST_DAYS = parseInt(process.env.ICAL_FEED_PAST_DAYS, 10) || 90;
+
+// Build the findAll filter object from a validated query string
+const buildEventFilters = (query) => ({
+  search: query.search || '',
+  when: query.when || null,
+  featured: query.featured === undefined ? null : query.featured,
+  from: query.from || null,
+  to: query.to || null,
+  page: query.page || 1,
+  limit: query.limit || 10
+});
+
+/**
+ * @route   GET /api/events
+ * @desc    Get all events, including drafts
+ * @access  Private/Editor
+ */
+export const getEvents = async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const events = await Event.findAll({
+      ...buildEventFilters(req.query),
+      status: req.query.status || 'all'
+    });
+    res.json(events);
+  } catch (error) {
+    console.error('Get events error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * @route   GET /api/events/:id
+ * @desc    Get a single event
+ * @access  Private/Editor
+ */
+export const getEvent = async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    res.json(event);
+  } catch (error) {
+    console.error('Get event error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * @route   POST /api/events
+ * @desc    Create an event
+ * @access  Private/Editor
+ */
+export const createEvent = async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const {
+    title,
+    description,
+    startDatetime,
+    endDatetime,
+    location,
+    featuredImage,
+    isFeatured,
+    isPublished,
+    registrationUrl,
+    capacity,
+    recurrence
+  } = req.body;
+
+  try {
+    const event = await Event.create({
+      title,
+      description,
+      startDatetime,
+      endDatetime,
+      location,
+      featuredImage,
+      isFeatured,
+      isPublished,
+      registrationUrl,
+      capacity,
+      recurrence,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json(event);
+  } catch (error) {
+    console.error('Create event error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * @route   PUT /api/events/:id
+ * @desc    Update an event
+ * @access  Private/Editor
+ */
+export const updateEvent = async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const {
+    title,
+    description,
+    startDatetime,
+    endDatetime,
+    location,
+    featuredImage,
+    isFeatured,
+    isPublished,
+    registrationUrl,
+    capacity,
+    recurrence
+  } = req.body;
+
+  try {
+    const event = await Event.update(req.params.id, {
+      title,
+      description,
+      startDatetime,
+      endDatetime,
+      location,
+      featuredImage,
+      isFeatured,
+      isPublished,
+      registrationUrl,
+      capacity,
+      recurrence
+    });
+
+    res.json(event);
+  } catch (error) {
+    if (error.message === 'Event not found') {
+      return res.status(404).json({ message: error.message });
+    }
+    console.error('Update event error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * @route   DELETE /api/events/:id
+ * @desc    Delete an event
+ * @access  Private/Admin
+ */
+export const deleteEvent = async (req, res) => {
+  try {
+    const deleted = await Event.delete(req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    res.json({ message: 'Event deleted' });
+  } catch (error) {
+    console.error('Delete event error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Load a recurring event and check the requested occurrence belongs to it
+const findOccurrenceEvent = async (req, res) => {
+  const event = await Event.findById(req.params.id);
+
+  if (!event) {
+    res.status(404).json({ message: 'Event not found' });
+    return null;
+  }
+  if (!event.recurrence_rule) {
+    res.status(400).json({ message: 'Event is not recurring' });
+    return null;
+  }
+  if (!Event.isOccurrence(event, req.params.occurrenceStart)) {
+    res.status(404).json({ message: 'Occurrence not found' });
+    return null;
+  }
+
+  return event;
+};
+
+/**
+ * @route   GET /api/events/:id/occurrences
+ * @desc    List the occurrences of a recurring event between two dates
+ * @access  Private/Editor
+ */
+export const getEventOccurrences = async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const occurrences = await Event.findSeriesOccurrences(req.params.id, {
+      from: req.query.from,
+      to: req.query.to
+    });
+    res.json({ data: occurrences });
+  } catch (error) {
+    if (error.message === 'Event not found') {
+      return res.status(404).json({ message: error.message });
+    }
+    if (error.message === 'Event is not recurring') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Get event occurrences error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * @route   PUT /api/events/:id/occurrences/:occurrenceStart
+ * @desc    Override the details of a single occurrence
+ * @access  Private/Editor
+ */
+export const overrideOccurrence = async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { title, description, startDatetime, endDatetime, location } = req.body;
+
+  try {
+    const event = await findOccurrenceEvent(req, res);
+    if (!event) return;
+
+    const updated = await Event.saveOverride(event.id, req.params.occurrenceStart, {
+      title,
+      description,
+      startDatetime,
+      endDatetime,
+      location
+    });
+    res.json(updated);
+  } catch (error) {
+    console.error('Override occurrence error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * @route   DELETE /api/events/:id/occurrences/:occurrenceStart/override
+ * @desc    Remove the override of a single occurrence
+ * @access  Private/Editor
+ */
+export const deleteOccurrenceOverride = async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const deleted = await Event.deleteOverride(req.params.id, req.params.occurrenceStart);
+
+    if (!deleted) {
+      return res.status(404).json({ message: 'Override not found' });
+    }
+
+    res.json(await Event.findById(req.params.id));
+  } catch (error) {
+    console.error('Delete occurrence override error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * @route   DELETE /api/events/:id/occurrences/:occurrenceStart
+ * @desc    Cancel a single occurrence (added to the exception dates)
+ * @access  Private/Editor
+ */
+export const cancelOccurrence = async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const event = await findOccurrenceEvent(req, res);
+    if (!event) return;
+
+    const updated = await Event.cancelOccurrence(event.id, req.params.occurrenceStart);
+    res.json(updated);
+  } catch (error) {
+    console.error('Cancel occurrence error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * @route   GET /api/public/events
+ * @desc    Get published events (upcoming/past, featured, date range)
+ * @access  Public
+ */
+export const getPublicEvents = async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const events = await Event.findAll({
+      ...buildEventFilters(req.query),
+      status: 'published'
+    });
+    res.json(events);
+  } catch (error) {
+    console.error('Get public events error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * @route   GET /api/public/events/:id
+ * @desc    Get a single published event
+ * @access  Public
+ */
+export const getPublicEvent = async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+
+    if (!event || !event.is_published) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    res.json(event);
+  } catch (error) {
+    console.error('Get public event error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * @route   GET /api/public/events.ics
+ * @desc    iCalendar subscription feed of published events
+ * @access  Public
+ */
+export const getEventsFeed = async (req, res) => {
+  try {
+    const since = new Date(Date.now() - ICAL_FEED_PAST_DAYS * 24 * 60 * 60 * 1000);
+    const events = await Event.findPublishedSince(since);
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', 'inline; filename="events.ics"');
+    res.send(buildCalendar(events));
+  } catch (error) {
+    console.error('Get events feed error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * @route   GET /api/public/events/:id.ics
+ * @desc    Download a single published event as an .ics file
+ * @access  Public
+ */
+export const getEventIcs = async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+
+    if (!event || !event.is_published) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="event-${event.id}.ics"`);
+    res.send(buildCalendar([event], { name: event.title }));
+  } catch (error) {
+    console.error('Get event ics error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
@@ -0,0 +1,160 @@
+import ExchangeRate, { REPORTING_CURRENCY } from '../models/ExchangeRate.js';
+import { validationResult } from 'express-validator';
+import { parseCsvObjects } from '../utils/csv.js';
+
+const CSV_COLUMNS = ['currency', 'rate', 'effective_date'];
+const MAX_IMPORT_ROWS = 5000;
+
+// Validate one CSV row, returning the rate or an error message
+const parseRateRow = (row) => {
+  const currency = (row.currency || '').toUpperCase();
+  const rate = Number(row.rate);
+  const date = row.effective_date;
+
+  if (!/^[A-Z]{3}$/.test(currency)) {
+    return { error: `Invalid currency "${row.currency}"` };
+  }
+  if (currency === REPORTING_CURRENCY) {
+    return { error: `${REPORTING_CURRENCY} is the reporting currency` };
+  }
+  if (!row.rate || !Number.isFinite(rate) || rate <= 0) {
+    return { error: `Invalid rate "${row.rate}"` };
+  }
+  // Round-trip the date so impossible ones like 2024-02-30 don't roll over
+  const effectiveDate = new Date(`${date}T00:00:00Z`);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || Number.isNaN(effectiveDate.getTime())
+    || effectiveDate.toISOString().slice(0, 10) !== date) {
+    return { error: `Invalid effective_date "${date}", expected YYYY-MM-DD` };
+  }
+
+  return { rate: { currency, rate, effectiveDate } };
+};
+
+/**
+ * @route   GET /api/exchange-rates
+ * @desc    Get exchange rates to the reporting currency
+ * @access  Private/Admin
+ */
+export const getExchangeRates = async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const rates = await ExchangeRate.findAll({
+      currency: req.query.currency || null,
+      page: req.query.page || 1,
+      limit: req.query.limit || 50
+    });
+    res.json(rates);
+  } catch (error) {
+    console.error('Get exchange rates error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * @route   POST /api/exchange-rates
+ * @desc    Enter the rate of a currency from a given date
+ * @access  Private/Admin
+ */
+export const saveExchangeRate = async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { currency, rate, effectiveDate } = req.body;
+
+  try {
+    const result = await ExchangeRate.save([{ currency, rate, effectiveDate }], req.user.id);
+    res.status(201).json(result);
+  } catch (error) {
+    console.error('Save exchange rate error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * @route   POST /api/exchange-rates/import
+ * @desc    Import rates from a CSV file (currency, rate, effective_date).
+ *          Nothing is saved unless every row is valid.
+ * @access  Private/Admin
+ */
+export const importExchangeRates = async (req, res) => {
+  const rows = parseCsvObjects(req.csv);
+
+  if (rows.length === 0) {
+    return res.status(400).json({ message: 'The CSV file has no rows' });
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    return res.status(400).json({ message: `A CSV file may contain at most ${MAX_IMPORT_ROWS} rows` });
+  }
+
+  const missing = CSV_COLUMNS.filter((column) => !(column in rows[0]));
+  if (missing.length > 0) {
+    return res.status(400).json({ message: `Missing CSV columns: ${missing.join(', ')}` });
+  }
+
+  const rates = [];
+  const errors = [];
+  rows.forEach((row, index) => {
+    const { rate, error } = parseRateRow(row);
+    if (error) {
+      // Line numbers count the header row
+      errors.push({ line: index + 2, message: error });
+    } else {
+      rates.push(rate);
+    }
+  });
+
+  if (errors.length > 0) {
+    return res.status(400).json({ errors });
+  }
+
+  try {
+    const result = await ExchangeRate.save(rates, req.user.id);
+    res.status(201).json(result);
+  } catch (error) {
+    console.error('Import exchange rates error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * @route   DELETE /api/exchange-rates/:id
+ * @desc    Delete a rate and re-normalize the donations it applied to
+ * @access  Private/Admin
+ */
+export const deleteExchangeRate = async (req, res) => {
+  try {
+    const deleted = await ExchangeRate.delete(req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({ message: 'Exchange rate not found' });
+    }
+
+    res.json({ message: 'Exchange rate deleted' });
+  } catch (error) {
+    console.error('Delete exchange rate error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * @route   POST /api/exchange-rates/renormalize
+ * @desc    Recompute the reporting amount of every donation
+ * @access  Private/Admin
+ */
+export const renormalizeDonations = async (req, res) => {
+  try {
+    const donations = await ExchangeRate.renormalizeAll();
+    res.json({ donations, reportingCurrency: REPORTING_CURRENCY });
+  } catch (error) {
+    console.error('Renormalize donations error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
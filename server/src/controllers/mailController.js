@@ -0,0 +1,109 @@
+import MailOutbox from '../models/MailOutbox.js';
+import { validationResult } from 'express-validator';
+import { listTemplates, renderTemplate } from '../services/mail/templates/index.js';
+
+// Map the errors thrown by MailOutbox to HTTP status codes
+const OUTBOX_ERRORS = {
+  'Message not found': 404,
+  'Only failed messages can be retried': 409
+};
+
+/**
+ * @route   GET /api/mail/templates
+ * @desc    List the email templates and the variables they take
+ * @access  Private/Admin
+ */
+export const getMailTemplates = (req, res) => {
+  res.json(listTemplates().map((template) => ({
+    name: template.name,
+    subject: template.subject,
+    variables: Object.keys(template.sample)
+  })));
+};
+
+/**
+ * @route   GET /api/mail/templates/:name/preview
+ * @desc    Render a template with sample variables
+ * @access  Private/Admin
+ */
+export const previewMailTemplate = (req, res) => {
+  const template = listTemplates().find((item) => item.name === req.params.name);
+
+  if (!template) {
+    return res.status(404).json({ message: 'Template not found' });
+  }
+
+  try {
+    res.json(renderTemplate(template.name, template.sample));
+  } catch (error) {
+    console.error('Preview mail template error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * @route   GET /api/mail/outbox
+ * @desc    Get outgoing emails with their delivery status
+ * @access  Private/Admin
+ */
+export const getOutbox = async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { status, template, search, page, limit } = req.query;
+
+  try {
+    const messages = await MailOutbox.findAll({
+      status: status || null,
+      template: template || null,
+      search: search || '',
+      page: page || 1,
+      limit: limit || 20
+    });
+    res.json(messages);
+  } catch (error) {
+    console.error('Get mail outbox error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * @route   GET /api/mail/outbox/:id
+ * @desc    Get an outgoing email, with its content
+ * @access  Private/Admin
+ */
+export const getOutboxMessage = async (req, res) => {
+  try {
+    const message = await MailOutbox.findById(req.params.id);
+
+    if (!message) {
+      return res.status(404).json({ message: 'Message not found' });
+    }
+
+    res.json(message);
+  } catch (error) {
+    console.error('Get mail outbox message error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * @route   PUT /api/mail/outbox/:id/retry
+ * @desc    Queue an email that failed for good again; the outbox worker sends it
+ * @access  Private/Admin
+ */
+export const retryOutboxMessage = async (req, res) => {
+  try {
+    const message = await MailOutbox.retry(req.params.id);
+    res.json(message);
+  } catch (error) {
+    if (OUTBOX_ERRORS[error.message]) {
+      return res.status(OUTBOX_ERRORS[error.message]).json({ message: error.message });
+    }
+    console.error('Retry mail outbox message error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
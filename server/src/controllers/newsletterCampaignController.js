@@ -0,0 +1,247 @@
+import NewsletterCampaign from '../models/NewsletterCampaign.js';
+import NewsletterRecipient from '../models/NewsletterRecipient.js';
+import { validationResult } from 'express-validator';
+import { sendMail } from '../services/mail/index.js';
+import { renderCampaign } from '../services/newsletterSender.js';
+
+// Map the errors thrown by NewsletterCampaign to HTTP status codes
+const CAMPAIGN_ERRORS = {
+  'Campaign not found': 404,
+  'Only draft or scheduled campaigns can be edited': 409,
+  'This campaign can no longer be scheduled': 409,
+  'Only scheduled or sending campaigns can be cancelled': 409,
+  'Cancel the campaign before deleting it': 409
+};
+
+const campaignFields = (body) => ({
+  subject: body.subject,
+  htmlBody: body.htmlBody,
+  textBody: body.textBody || null,
+  audienceSource: body.audienceSource || null,
+  audienceConfirmedAfter: body.audienceConfirmedAfter || null,
+  audienceConfirmedBefore: body.audienceConfirmedBefore || null
+});
+
+const handleCampaignError = (res, error, label) => {
+  if (CAMPAIGN_ERRORS[error.message]) {
+    return res.status(CAMPAIGN_ERRORS[error.message]).json({ message: error.message });
+  }
+  console.error(`${label} error:`, error);
+  res.status(500).json({ message: 'Server error' });
+};
+
+/**
+ * @route   GET /api/newsletter/campaigns
+ * @desc    Get newsletter campaigns with their delivery figures
+ * @access  Private/Editor
+ */
+export const getNewsletterCampaigns = async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { search, status, page, limit } = req.query;
+
+  try {
+    const campaigns = await NewsletterCampaign.findAll({
+      search: search || '',
+      status: status || null,
+      page: page || 1,
+      limit: limit || 20
+    });
+    res.json(campaigns);
+  } catch (error) {
+    console.error('Get newsletter campaigns error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * @route   GET /api/newsletter/campaigns/:id
+ * @desc    Get a campaign; until it starts sending, with the size of its audience
+ * @access  Private/Editor
+ */
+export const getNewsletterCampaign = async (req, res) => {
+  try {
+    const campaign = await NewsletterCampaign.findById(req.params.id);
+
+    if (!campaign) {
+      return res.status(404).json({ message: 'Campaign not found' });
+    }
+
+    if (!campaign.started_at) {
+      campaign.audience_count = await NewsletterCampaign.countAudience(campaign);
+    }
+
+    res.json(campaign);
+  } catch (error) {
+    console.error('Get newsletter campaign error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * @route   POST /api/newsletter/campaigns
+ * @desc    Create a draft campaign
+ * @access  Private/Editor
+ */
+export const createNewsletterCampaign = async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const campaign = await NewsletterCampaign.create({
+      ...campaignFields(req.body),
+      createdBy: req.user.id
+    });
+    res.status(201).json(campaign);
+  } catch (error) {
+    console.error('Create newsletter campaign error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * @route   PUT /api/newsletter/campaigns/:id
+ * @desc    Update a campaign that hasn't started sending
+ * @access  Private/Editor
+ */
+export const updateNewsletterCampaign = async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const campaign = await NewsletterCampaign.update(req.params.id, campaignFields(req.body));
+    res.json(campaign);
+  } catch (error) {
+    handleCampaignError(res, error, 'Update newsletter campaign');
+  }
+};
+
+/**
+ * @route   PUT /api/newsletter/campaigns/:id/schedule
+ * @desc    Schedule a campaign for sending
+ * @access  Private/Editor
+ */
+export const scheduleNewsletterCampaign = async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const campaign = await NewsletterCampaign.schedule(req.params.id, req.body.scheduledAt || new Date());
+    res.json(campaign);
+  } catch (error) {
+    handleCampaignError(res, error, 'Schedule newsletter campaign');
+  }
+};
+
+/**
+ * @route   PUT /api/newsletter/campaigns/:id/cancel
+ * @desc    Cancel a scheduled campaign, or stop one that is sending
+ * @access  Private/Editor
+ */
+export const cancelNewsletterCampaign = async (req, res) => {
+  try {
+    const campaign = await NewsletterCampaign.cancel(req.params.id);
+    res.json(campaign);
+  } catch (error) {
+    handleCampaignError(res, error, 'Cancel newsletter campaign');
+  }
+};
+
+/**
+ * @route   POST /api/newsletter/campaigns/:id/test
+ * @desc    Send the campaign to a single address, without queueing or recording it
+ * @access  Private/Editor
+ */
+export const sendTestNewsletter = async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  let campaign;
+  try {
+    campaign = await NewsletterCampaign.findById(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ message: 'Campaign not found' });
+    }
+  } catch (error) {
+    console.error('Test newsletter error:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+
+  try {
+    // Sample values; the unsubscribe link of a test message goes nowhere
+    const message = renderCampaign(
+      campaign,
+      { email: req.body.email, first_name: req.user.first_name, last_name: req.user.last_name },
+      '#'
+    );
+    await sendMail({ ...message, subject: `[Test] ${message.subject}`, to: req.body.email });
+
+    res.json({ message: `Test sent to ${req.body.email}` });
+  } catch (error) {
+    console.error('Test newsletter delivery error:', error);
+    res.status(502).json({ message: 'The test message could not be sent' });
+  }
+};
+
+/**
+ * @route   GET /api/newsletter/campaigns/:id/recipients
+ * @desc    Get the recipients of a campaign with their delivery status
+ * @access  Private/Editor
+ */
+export const getNewsletterRecipients = async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { status, search, page, limit } = req.query;
+
+  try {
+    const campaign = await NewsletterCampaign.findById(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ message: 'Campaign not found' });
+    }
+
+    const recipients = await NewsletterRecipient.findByCampaign(campaign.id, {
+      status: status || null,
+      search: search || '',
+      page: page || 1,
+      limit: limit || 50
+    });
+    res.json(recipients);
+  } catch (error) {
+    console.error('Get newsletter recipients error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * @route   DELETE /api/newsletter/campaigns/:id
+ * @desc    Delete a campaign and its delivery records
+ * @access  Private/Admin
+ */
+export const deleteNewsletterCampaign = async (req, res) => {
+  try {
+    await NewsletterCampaign.delete(req.params.id);
+    res.json({ message: 'Campaign deleted' });
+  } catch (error) {
+    handleCampaignError(res, error, 'Delete newsletter campaign');
+  }
+};
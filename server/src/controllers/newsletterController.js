@@ -0,0 +1,143 @@
+import NewsletterSubscriber from '../models/NewsletterSubscriber.js';
+import { validationResult } from 'express-validator';
+import { sendMail } from '../services/mail/index.js';
+import { confirmLink, verifyConfirmToken, verifyUnsubscribeToken } from '../utils/newsletterLinks.js';
+
+// Don't send another confirmation email to the same address within this window
+const CONFIRMATION_RESEND_MINUTES = Number(process.env.NEWSLETTER_CONFIRMATION_RESEND_MINUTES || 5);
+
+const SUBSCRIBE_RESPONSE = { message: 'Please check your inbox to confirm your subscription' };
+
+const confirmationEmail = (subscriber, link) => {
+  const greeting = subscriber.first_name ? `Hi ${subscriber.first_name},` : 'Hi,';
+  // Someone who opted out before has to say yes again, knowingly
+  const intro = subscriber.unsubscribed_at
+    ? 'You unsubscribed from our newsletter earlier. To subscribe again, please confirm with the link below.'
+    : 'Thank you for subscribing to our newsletter. Please confirm your subscription with the link below.';
+
+  return {
+    to: subscriber.email,
+    subject: subscriber.unsubscribed_at ? 'Confirm you want to resubscribe' : 'Confirm your subscription',
+    text: `${greeting}\n\n${intro}\n\n${link}\n\nIf you didn't ask for this, you can ignore this email.`
+  };
+};
+
+// Unsubscribe tokens come in the query string, or in the body of a one-click POST
+const unsubscribeToken = (req) => req.query.token || req.body?.token;
+
+/**
+ * @route   POST /api/public/newsletter/subscribe
+ * @desc    Request a subscription; it becomes active once the emailed link is followed
+ * @access  Public
+ */
+export const subscribe = async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { email, firstName, lastName, source } = req.body;
+
+  try {
+    // The response is the same whether or not the address is known
+    const existing = await NewsletterSubscriber.findByEmail(email);
+    const recentlySent = existing && existing.confirmation_nonce && existing.confirmation_sent_at
+      && Date.now() - new Date(existing.confirmation_sent_at).getTime() < CONFIRMATION_RESEND_MINUTES * 60 * 1000;
+    if (existing && (existing.is_active || recentlySent)) {
+      return res.status(202).json(SUBSCRIBE_RESPONSE);
+    }
+
+    const { subscriber, nonce } = await NewsletterSubscriber.requestConfirmation({
+      email,
+      firstName: firstName || null,
+      lastName: lastName || null,
+      source: source || 'website'
+    });
+
+    if (nonce) {
+      await sendMail(confirmationEmail(subscriber, confirmLink(subscriber, nonce)));
+      await NewsletterSubscriber.markConfirmationSent(subscriber.id, nonce);
+    }
+
+    res.status(202).json(SUBSCRIBE_RESPONSE);
+  } catch (error) {
+    console.error('Newsletter subscribe error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * @route   GET /api/public/newsletter/confirm
+ * @desc    Confirm a subscription through the emailed double opt-in link
+ * @access  Public
+ */
+export const confirmSubscription = async (req, res) => {
+  const payload = verifyConfirmToken(req.query.token);
+  if (!payload) {
+    return res.status(400).json({ message: 'Invalid or expired confirmation link' });
+  }
+
+  try {
+    const subscriber = await NewsletterSubscriber.confirm(payload.subscriberId, {
+      nonce: payload.nonce,
+      ip: req.ip
+    });
+
+    res.json({ message: 'Your subscription is confirmed', email: subscriber.email });
+  } catch (error) {
+    if (error.message === 'Invalid or expired confirmation link') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Newsletter confirm error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * @route   GET /api/public/newsletter/unsubscribe
+ * @desc    Show which address an unsubscribe link is for, without unsubscribing
+ *          (mail scanners follow links, so only a POST unsubscribes)
+ * @access  Public
+ */
+export const getUnsubscribe = async (req, res) => {
+  const payload = verifyUnsubscribeToken(req.query.token);
+  if (!payload) {
+    return res.status(400).json({ message: 'Invalid unsubscribe link' });
+  }
+
+  try {
+    const subscriber = await NewsletterSubscriber.findById(payload.subscriberId);
+    if (!subscriber) {
+      return res.status(404).json({ message: 'Subscriber not found' });
+    }
+
+    res.json({ email: subscriber.email, status: NewsletterSubscriber.statusOf(subscriber) });
+  } catch (error) {
+    console.error('Newsletter unsubscribe lookup error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * @route   POST /api/public/newsletter/unsubscribe
+ * @desc    Unsubscribe. Also the target of one-click List-Unsubscribe-Post requests.
+ * @access  Public
+ */
+export const unsubscribe = async (req, res) => {
+  const payload = verifyUnsubscribeToken(unsubscribeToken(req));
+  if (!payload) {
+    return res.status(400).json({ message: 'Invalid unsubscribe link' });
+  }
+
+  try {
+    const subscriber = await NewsletterSubscriber.unsubscribe(payload.subscriberId);
+    res.json({ message: 'You have been unsubscribed', email: subscriber.email });
+  } catch (error) {
+    if (error.message === 'Subscriber not found') {
+      return res.status(404).json({ message: error.message });
+    }
+    console.error('Newsletter unsubscribe error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
@@ -0,0 +1,104 @@
+import NewsletterDigest from '../models/NewsletterDigest.js';
+import { validationResult } from 'express-validator';
+import { renderCampaign } from '../services/newsletterSender.js';
+import {
+  getDigestSettings as loadDigestSettings,
+  updateDigestSettings as saveDigestSettings,
+  nextDigestAt,
+  buildDigest,
+  runNewsletterDigest
+} from '../services/newsletterDigest.js';
+
+const digestOverview = async (settings) => {
+  const history = await NewsletterDigest.findRecent(10);
+  return {
+    settings,
+    nextDigestAt: nextDigestAt(history[0] || null, settings.frequency),
+    history
+  };
+};
+
+/**
+ * @route   GET /api/newsletter/digest
+ * @desc    Get the post digest settings, when the next one is due and the latest digests
+ * @access  Private/Admin
+ */
+export const getDigestSettings = async (req, res) => {
+  try {
+    res.json(await digestOverview(await loadDigestSettings()));
+  } catch (error) {
+    console.error('Get digest settings error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * @route   PUT /api/newsletter/digest
+ * @desc    Update how often the post digest goes out and what it contains
+ * @access  Private/Admin
+ */
+export const updateDigestSettings = async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { frequency, skipWhenEmpty, maxPosts } = req.body;
+
+  try {
+    const settings = await saveDigestSettings({ frequency, skipWhenEmpty, maxPosts }, req.user.id);
+    res.json(await digestOverview(settings));
+  } catch (error) {
+    console.error('Update digest settings error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * @route   GET /api/newsletter/digest/preview
+ * @desc    Preview the digest as it would go out now, without queueing it
+ * @access  Private/Admin
+ */
+export const previewDigest = async (req, res) => {
+  try {
+    const digest = await buildDigest(await loadDigestSettings());
+    // Sample values; the unsubscribe link of a preview goes nowhere
+    const message = renderCampaign(
+      { subject: digest.subject, html_body: digest.html, text_body: digest.text },
+      { email: req.user.email, first_name: req.user.first_name, last_name: req.user.last_name },
+      '#'
+    );
+
+    res.json({
+      periodStart: digest.periodStart,
+      periodEnd: digest.periodEnd,
+      postCount: digest.total,
+      ...message
+    });
+  } catch (error) {
+    console.error('Preview digest error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * @route   POST /api/newsletter/digest/run
+ * @desc    Send the digest now instead of waiting until it is due; the next
+ *          one covers the posts published after it
+ * @access  Private/Admin
+ */
+export const runDigest = async (req, res) => {
+  try {
+    const result = await runNewsletterDigest({ force: true });
+
+    if (result.status === 'busy') {
+      return res.status(409).json({ message: 'A digest is already being prepared' });
+    }
+
+    res.status(result.status === 'queued' ? 201 : 200).json(result);
+  } catch (error) {
+    console.error('Run digest error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
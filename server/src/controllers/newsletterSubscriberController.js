@@ -0,0 +1,188 @@
+import validator from 'validator';
+import NewsletterSubscriber from '../models/NewsletterSubscriber.js';
+import { validationResult } from 'express-validator';
+import { parseCsvObjects, toCsv } from '../utils/csv.js';
+
+const MAX_IMPORT_ROWS = 20000;
+// Only the first problems are listed; the counts cover all of them
+const MAX_REPORTED_ERRORS = 100;
+
+// CSV column read for each field unless the mapping says otherwise; matches the export
+const DEFAULT_MAPPING = {
+  email: 'email',
+  firstName: 'first_name',
+  lastName: 'last_name',
+  confirmedAt: 'confirmed_at'
+};
+
+// Column keys double as headers so an export can be imported again as is
+const SUBSCRIBER_CSV_COLUMNS = [
+  'email',
+  'first_name',
+  'last_name',
+  'status',
+  'consent_source',
+  'subscribed_at',
+  'confirmed_at',
+  'unsubscribed_at',
+  'last_sent_at'
+].map((key) => ({ key, header: key }));
+
+const subscriberFilters = (query) => ({
+  search: query.search || '',
+  status: query.status || null,
+  source: query.source || null,
+  confirmedFrom: query.confirmedFrom || null,
+  confirmedTo: query.confirmedTo || null
+});
+
+// Map and normalize one CSV row. Emails are normalized the way the
+// subscribe form does it, so duplicates are found whichever way they came in.
+const parseSubscriberRow = (row, mapping) => {
+  const email = row[mapping.email] || '';
+  if (!validator.isEmail(email)) {
+    return { error: email ? `Invalid email: ${email}` : 'Email is missing' };
+  }
+
+  let confirmedAt = null;
+  if (mapping.confirmedAt in row && row[mapping.confirmedAt]) {
+    confirmedAt = new Date(row[mapping.confirmedAt]);
+    if (Number.isNaN(confirmedAt.getTime())) {
+      return { error: `Invalid consent date: ${row[mapping.confirmedAt]}` };
+    }
+  }
+
+  return {
+    subscriber: {
+      email: validator.normalizeEmail(email),
+      firstName: (row[mapping.firstName] || '').slice(0, 50) || null,
+      lastName: (row[mapping.lastName] || '').slice(0, 50) || null,
+      confirmedAt
+    }
+  };
+};
+
+/**
+ * @route   GET /api/newsletter/subscribers
+ * @desc    Get newsletter subscribers with filtering
+ * @access  Private/Admin
+ */
+export const getSubscribers = async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const subscribers = await NewsletterSubscriber.findAll({
+      ...subscriberFilters(req.query),
+      page: req.query.page || 1,
+      limit: req.query.limit || 20
+    });
+    res.json(subscribers);
+  } catch (error) {
+    console.error('Get subscribers error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * @route   GET /api/newsletter/subscribers/export
+ * @desc    Export the subscribers matching the list filters as CSV
+ * @access  Private/Admin
+ */
+export const exportSubscribers = async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const subscribers = await NewsletterSubscriber.findForExport(subscriberFilters(req.query));
+
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="subscribers-${new Date().toISOString().slice(0, 10)}.csv"`);
+    res.send(toCsv(subscribers, SUBSCRIBER_CSV_COLUMNS));
+  } catch (error) {
+    console.error('Export subscribers error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * @route   POST /api/newsletter/subscribers/import
+ * @desc    Import subscribers from a CSV file (multipart field "file"), or
+ *          preview the outcome with dryRun
+ * @access  Private/Admin
+ */
+export const importSubscribers = async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const rows = parseCsvObjects(req.csv);
+
+  if (rows.length === 0) {
+    return res.status(400).json({ message: 'The CSV file has no rows' });
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    return res.status(400).json({ message: `A CSV file may contain at most ${MAX_IMPORT_ROWS} rows` });
+  }
+
+  // Headers are matched case-insensitively
+  const mapping = Object.fromEntries(
+    Object.entries({ ...DEFAULT_MAPPING, ...req.body.mapping })
+      .map(([field, column]) => [field, column.trim().toLowerCase()])
+  );
+
+  if (!(mapping.email in rows[0])) {
+    return res.status(400).json({ message: `Missing CSV column: ${mapping.email}` });
+  }
+
+  const subscribers = [];
+  const seen = new Set();
+  const problems = [];
+  let invalid = 0;
+  let duplicates = 0;
+
+  rows.forEach((row, index) => {
+    // Line numbers count the header row
+    const line = index + 2;
+    const { subscriber, error } = parseSubscriberRow(row, mapping);
+
+    if (error) {
+      invalid += 1;
+      problems.push({ line, message: error });
+    } else if (seen.has(subscriber.email)) {
+      duplicates += 1;
+      problems.push({ line, message: `Duplicate of an earlier row: ${subscriber.email}` });
+    } else {
+      seen.add(subscriber.email);
+      subscribers.push(subscriber);
+    }
+  });
+
+  const dryRun = req.body.dryRun || false;
+
+  try {
+    const result = subscribers.length > 0
+      ? await NewsletterSubscriber.import(subscribers, { source: req.body.source || 'import', dryRun })
+      : { created: 0, updated: 0, unsubscribed: 0 };
+
+    res.status(dryRun ? 200 : 201).json({
+      dryRun,
+      rows: rows.length,
+      ...result,
+      invalid,
+      duplicates,
+      errors: problems.slice(0, MAX_REPORTED_ERRORS)
+    });
+  } catch (error) {
+    console.error('Import subscribers error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
@@ -0,0 +1,126 @@
+import Donation from '../models/Donation.js';
+import DonationReceipt from '../models/DonationReceipt.js';
+import { validationResult } from 'express-validator';
+import { buildReceiptPdf, buildStatementPdf, sendPdf } from '../utils/receiptPdf.js';
+import {
+  LINK_EXPIRY,
+  receiptLink,
+  statementLink,
+  verifyReceiptToken,
+  verifyStatementToken
+} from '../utils/receiptLinks.js';
+
+// Issue (or look up) the receipt of a donation and stream it as a PDF
+const sendReceipt = async (res, donationId) => {
+  try {
+    const receipt = await DonationReceipt.issue(donationId);
+    sendPdf(res, buildReceiptPdf(receipt), `receipt-${receipt.receipt_number}.pdf`);
+  } catch (error) {
+    if (error.message === 'Donation not found') {
+      return res.status(404).json({ message: error.message });
+    }
+    if (error.message === 'Receipts are only available for completed donations') {
+      return res.status(409).json({ message: error.message });
+    }
+    console.error('Donation receipt error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const sendStatement = async (res, email, year) => {
+  try {
+    const statement = await DonationReceipt.findStatement(email, year);
+    sendPdf(res, buildStatementPdf(statement), `donation-statement-${year}.pdf`);
+  } catch (error) {
+    console.error('Donation statement error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * @route   GET /api/donations/:id/receipt
+ * @desc    Download the PDF receipt of a completed donation
+ * @access  Private/Admin
+ */
+export const getDonationReceipt = (req, res) => sendReceipt(res, req.params.id);
+
+/**
+ * @route   GET /api/donations/:id/receipt/link
+ * @desc    Get a signed receipt link to send to the donor
+ * @access  Private/Admin
+ */
+export const getDonationReceiptLink = async (req, res) => {
+  try {
+    const donation = await Donation.findById(req.params.id);
+
+    if (!donation) {
+      return res.status(404).json({ message: 'Donation not found' });
+    }
+    if (donation.payment_status !== 'completed') {
+      return res.status(409).json({ message: 'Receipts are only available for completed donations' });
+    }
+
+    res.json({ ...receiptLink(donation.id), expiresIn: LINK_EXPIRY });
+  } catch (error) {
+    console.error('Receipt link error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * @route   GET /api/donations/statements
+ * @desc    Download the annual statement of a donor (by email and year)
+ * @access  Private/Admin
+ */
+export const getDonationStatement = (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  return sendStatement(res, req.query.email, req.query.year);
+};
+
+/**
+ * @route   GET /api/donations/statements/link
+ * @desc    Get a signed annual statement link to send to the donor
+ * @access  Private/Admin
+ */
+export const getDonationStatementLink = (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  res.json({ ...statementLink(req.query.email, req.query.year), expiresIn: LINK_EXPIRY });
+};
+
+/**
+ * @route   GET /api/public/donations/receipt
+ * @desc    Download a receipt through a signed donor link
+ * @access  Public
+ */
+export const getPublicReceipt = (req, res) => {
+  const payload = verifyReceiptToken(req.query.token);
+  if (!payload) {
+    return res.status(400).json({ message: 'Invalid or expired link' });
+  }
+
+  return sendReceipt(res, payload.donationId);
+};
+
+/**
+ * @route   GET /api/public/donations/statement
+ * @desc    Download an annual statement through a signed donor link
+ * @access  Public
+ */
+export const getPublicStatement = (req, res) => {
+  const payload = verifyStatementToken(req.query.token);
+  if (!payload) {
+    return res.status(400).json({ message: 'Invalid or expired link' });
+  }
+
+  return sendStatement(res, payload.email, payload.year);
+};
@@ -0,0 +1,155 @@
+import DonationRefund from '../models/DonationRefund.js';
+import { validationResult } from 'express-validator';
+import { getProvider } from '../services/payments/index.js';
+import { buildRefundConfirmationPdf, sendPdf } from '../utils/receiptPdf.js';
+import { signToken, verifyToken } from '../utils/tokens.js';
+
+const CONFIRMATION_TOKEN_PURPOSE = 'refund-confirmation';
+const LINK_EXPIRY = process.env.DONOR_LINK_EXPIRY || '30d';
+
+const REFUND_ERRORS = {
+  'Donation not found': 404,
+  'Only completed donations can be refunded': 409,
+  'Donation has already been fully refunded': 409
+};
+
+/**
+ * Signed link to the refund confirmation, for the donor
+ */
+export const refundConfirmationLink = (refundId) => {
+  const token = signToken(CONFIRMATION_TOKEN_PURPOSE, { refundId: Number(refundId) }, { expiresIn: LINK_EXPIRY });
+  return { token, url: `/api/public/donations/refund-confirmation?token=${encodeURIComponent(token)}` };
+};
+
+const sendConfirmation = async (res, refund) => {
+  if (!refund) {
+    return res.status(404).json({ message: 'Refund not found' });
+  }
+  if (refund.status !== 'succeeded') {
+    return res.status(409).json({ message: 'Only succeeded refunds have a confirmation' });
+  }
+
+  sendPdf(res, buildRefundConfirmationPdf(refund), `refund-${refund.confirmation_number}.pdf`);
+};
+
+// The gateway did not refund: release the reservation and answer with 502
+const failRefund = async (res, refund, reason, message) => {
+  try {
+    refund = await DonationRefund.markFailed(refund.id, { message: reason });
+  } catch (error) {
+    console.error(`Record failed refund error (refund ${refund.id}):`, error);
+  }
+  res.status(502).json({ message, refund });
+};
+
+/**
+ * @route   POST /api/donations/:id/refunds
+ * @desc    Refund a donation in full or in part through its payment provider
+ * @access  Private/Admin
+ */
+export const createRefund = async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { amount, reasonCode, reasonNote } = req.body;
+
+  let refund;
+  try {
+    refund = await DonationRefund.open(req.params.id, {
+      amount: amount === undefined ? null : amount,
+      reasonCode,
+      reasonNote,
+      refundedBy: req.user.id
+    });
+  } catch (error) {
+    if (REFUND_ERRORS[error.message]) {
+      return res.status(REFUND_ERRORS[error.message]).json({ message: error.message });
+    }
+    if (error.message.startsWith('Refund amount exceeds')) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Create refund error:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+
+  // The refund is reserved; now ask the gateway to move the money
+  let result;
+  try {
+    result = await getProvider(refund.payment_provider).refund({
+      transactionId: refund.transaction_id,
+      amount: Number(refund.amount)
+    });
+  } catch (error) {
+    console.error('Refund gateway error:', error);
+    return failRefund(res, refund, error.message, 'The payment provider could not process the refund');
+  }
+
+  if (result.status !== 'succeeded') {
+    return failRefund(res, refund, `Refund ${result.status}`, 'The payment provider declined the refund');
+  }
+
+  // The money has moved. If recording that fails, the refund stays pending,
+  // which keeps its amount reserved so it cannot be refunded a second time.
+  try {
+    refund = await DonationRefund.markSucceeded(refund.id, { providerRefundId: result.refundId });
+    res.status(201).json({ ...refund, confirmation: refundConfirmationLink(refund.id) });
+  } catch (error) {
+    console.error(`Record refund error (refund ${refund.id}, provider refund ${result.refundId}):`, error);
+    res.status(500).json({
+      message: 'The refund went through but could not be recorded; it stays pending',
+      refund: { ...refund, provider_refund_id: result.refundId }
+    });
+  }
+};
+
+/**
+ * @route   GET /api/donations/:id/refunds
+ * @desc    Get the refunds of a donation
+ * @access  Private/Admin
+ */
+export const getRefunds = async (req, res) => {
+  try {
+    const refunds = await DonationRefund.findByDonation(req.params.id);
+    res.json(refunds);
+  } catch (error) {
+    console.error('Get refunds error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * @route   GET /api/donations/:id/refunds/:refundId/confirmation
+ * @desc    Download the donor confirmation of a refund as a PDF
+ * @access  Private/Admin
+ */
+export const getRefundConfirmation = async (req, res) => {
+  try {
+    const refund = await DonationRefund.findById(req.params.refundId);
+    return sendConfirmation(res, refund && String(refund.donation_id) === req.params.id ? refund : null);
+  } catch (error) {
+    console.error('Refund confirmation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * @route   GET /api/public/donations/refund-confirmation
+ * @desc    Download a refund confirmation through a signed donor link
+ * @access  Public
+ */
+export const getPublicRefundConfirmation = async (req, res) => {
+  const payload = verifyToken(CONFIRMATION_TOKEN_PURPOSE, req.query.token);
+  if (!payload) {
+    return res.status(400).json({ message: 'Invalid or expired link' });
+  }
+
+  try {
+    return sendConfirmation(res, await DonationRefund.findById(payload.refundId));
+  } catch (error) {
+    console.error('Refund confirmation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
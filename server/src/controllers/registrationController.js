@@ -0,0 +1,200 @@
+import EventRegistration from '../models/EventRegistration.js';
+import Event from '../models/Event.js';
+import { validationResult } from 'express-validator';
+import { signToken, verifyToken } from '../utils/tokens.js';
+import { toCsv } from '../utils/csv.js';
+import { sendEventConfirmationEmail } from '../services/notifications.js';
+
+const CANCEL_TOKEN_PURPOSE = 'registration-cancel';
+const CANCEL_LINK_EXPIRY = process.env.REGISTRATION_CANCEL_LINK_EXPIRY || '180d';
+
+const ATTENDEE_CSV_COLUMNS = [
+  { key: 'id', header: 'ID' },
+  { key: 'occurrence_start', header: 'Occurrence' },
+  { key: 'name', header: 'Name' },
+  { key: 'email', header: 'Email' },
+  { key: 'phone', header: 'Phone' },
+  { key: 'status', header: 'Status' },
+  { key: 'created_at', header: 'Registered At' },
+  { key: 'waitlisted_at', header: 'Waitlisted At' },
+  { key: 'cancelled_at', header: 'Cancelled At' }
+];
+
+// Map the errors thrown by EventRegistration to HTTP status codes
+const REGISTRATION_ERRORS = {
+  'Event not found': 404,
+  'Registration not found': 404,
+  'Occurrence not found': 404,
+  'Choose an occurrence to register for': 400,
+  'Registration is closed': 400,
+  'Already registered for this event': 400,
+  'Registration is already cancelled': 400,
+  'Invalid cancellation token': 400
+};
+
+/**
+ * @route   POST /api/public/events/:id/register
+ * @desc    Register for an event (waitlisted when the event is full)
+ * @access  Public
+ */
+export const registerForEvent = async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { name, email, phone, occurrenceStart } = req.body;
+
+  try {
+    const registration = await EventRegistration.register(req.params.id, { name, email, phone, occurrenceStart });
+
+    // The token is the attendee's only credential for cancelling
+    const cancelToken = signToken(
+      CANCEL_TOKEN_PURPOSE,
+      { registrationId: registration.id, nonce: registration.cancel_nonce },
+      { expiresIn: CANCEL_LINK_EXPIRY }
+    );
+    await sendEventConfirmationEmail(registration, cancelToken);
+
+    res.status(201).json({
+      registration,
+      cancelToken,
+      message: registration.status === 'waitlisted'
+        ? 'The event is full, you have been added to the waitlist'
+        : 'You are registered for this event'
+    });
+  } catch (error) {
+    if (REGISTRATION_ERRORS[error.message]) {
+      return res.status(REGISTRATION_ERRORS[error.message]).json({ message: error.message });
+    }
+    console.error('Event registration error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * @route   POST /api/public/registrations/cancel
+ * @desc    Cancel a registration using its signed cancellation token
+ * @access  Public
+ */
+export const cancelRegistration = async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const payload = verifyToken(CANCEL_TOKEN_PURPOSE, req.body.token);
+  if (!payload || !payload.nonce) {
+    return res.status(400).json({ message: 'Invalid cancellation token' });
+  }
+
+  try {
+    const { registration } = await EventRegistration.cancel(payload.registrationId, { nonce: payload.nonce });
+    res.json({ registration, message: 'Your registration has been cancelled' });
+  } catch (error) {
+    if (REGISTRATION_ERRORS[error.message]) {
+      return res.status(REGISTRATION_ERRORS[error.message]).json({ message: error.message });
+    }
+    console.error('Cancel registration error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * @route   GET /api/events/:id/registrations
+ * @desc    List the attendees and waitlist of an event, or of one occurrence of a recurring event
+ * @access  Private/Editor
+ */
+export const getEventRegistrations = async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const event = await Event.findById(req.params.id);
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    const occurrenceStart = req.query.occurrenceStart || null;
+    const registrations = await EventRegistration.findByEvent(event.id, {
+      status: req.query.status || null,
+      occurrenceStart
+    });
+
+    res.json({
+      event: {
+        id: event.id,
+        title: event.title,
+        capacity: event.capacity,
+        occurrence_start: occurrenceStart,
+        registered_count: occurrenceStart
+          ? await EventRegistration.countRegistered(event.id, occurrenceStart)
+          : event.registered_count
+      },
+      data: registrations
+    });
+  } catch (error) {
+    console.error('Get event registrations error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * @route   GET /api/events/:id/registrations/export
+ * @desc    Export the attendees of an event as CSV
+ * @access  Private/Editor
+ */
+export const exportEventRegistrations = async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const event = await Event.findById(req.params.id);
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    const registrations = await EventRegistration.findByEvent(event.id, {
+      status: req.query.status || null,
+      occurrenceStart: req.query.occurrenceStart || null
+    });
+
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="event-${event.id}-attendees.csv"`);
+    res.send(toCsv(registrations, ATTENDEE_CSV_COLUMNS));
+  } catch (error) {
+    console.error('Export event registrations error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * @route   DELETE /api/events/:eventId/registrations/:id
+ * @desc    Cancel a registration on behalf of an attendee
+ * @access  Private/Editor
+ */
+export const adminCancelRegistration = async (req, res) => {
+  try {
+    const registration = await EventRegistration.findById(req.params.id);
+    if (!registration || String(registration.event_id) !== String(req.params.eventId)) {
+      return res.status(404).json({ message: 'Registration not found' });
+    }
+
+    const result = await EventRegistration.cancel(registration.id);
+    res.json(result);
+  } catch (error) {
+    if (REGISTRATION_ERRORS[error.message]) {
+      return res.status(REGISTRATION_ERRORS[error.message]).json({ message: error.message });
+    }
+    console.error('Admin cancel registration error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
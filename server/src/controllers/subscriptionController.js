@@ -0,0 +1,89 @@
+import DonationSubscription from '../models/DonationSubscription.js';
+import { validationResult } from 'express-validator';
+
+/**
+ * @route   GET /api/donations/subscriptions
+ * @desc    Get recurring donation subscriptions
+ * @access  Private/Admin
+ */
+export const getSubscriptions = async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { search, status, frequency, page, limit } = req.query;
+
+  try {
+    const subscriptions = await DonationSubscription.findAll({
+      search: search || '',
+      status: status || null,
+      frequency: frequency || null,
+      page: page || 1,
+      limit: limit || 20
+    });
+    res.json(subscriptions);
+  } catch (error) {
+    console.error('Get subscriptions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * @route   GET /api/donations/subscriptions/:id
+ * @desc    Get a subscription with its donations
+ * @access  Private/Admin
+ */
+export const getSubscription = async (req, res) => {
+  try {
+    const subscription = await DonationSubscription.findById(req.params.id);
+
+    if (!subscription) {
+      return res.status(404).json({ message: 'Subscription not found' });
+    }
+
+    res.json(subscription);
+  } catch (error) {
+    console.error('Get subscription error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Shared handler for pause, resume and cancel
+const changeStatus = (status) => async (req, res) => {
+  try {
+    const subscription = await DonationSubscription.updateStatus(req.params.id, status);
+    res.json(subscription);
+  } catch (error) {
+    if (error.message === 'Subscription not found') {
+      return res.status(404).json({ message: error.message });
+    }
+    if (error.message.startsWith('Invalid status transition')) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Update subscription status error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * @route   PUT /api/donations/subscriptions/:id/pause
+ * @desc    Pause a subscription; no charges are made until it is resumed
+ * @access  Private/Admin
+ */
+export const pauseSubscription = changeStatus('paused');
+
+/**
+ * @route   PUT /api/donations/subscriptions/:id/resume
+ * @desc    Resume a paused or past due subscription from its next billing date
+ * @access  Private/Admin
+ */
+export const resumeSubscription = changeStatus('active');
+
+/**
+ * @route   PUT /api/donations/subscriptions/:id/cancel
+ * @desc    Cancel a subscription for good
+ * @access  Private/Admin
+ */
+export const cancelSubscription = changeStatus('cancelled');
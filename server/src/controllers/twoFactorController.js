@@ -0,0 +1,201 @@
+import User from '../models/User.js';
+import TwoFactor from '../models/TwoFactor.js';
+import { validationResult } from 'express-validator';
+import { otpauthUri } from '../utils/totp.js';
+import { SITE_NAME } from '../config/site.js';
+import {
+  getSecuritySettings as loadSecuritySettings,
+  updateSecuritySettings as saveSecuritySettings,
+  isTwoFactorRequired
+} from '../services/security.js';
+
+const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || SITE_NAME;
+
+// Map the errors thrown by TwoFactor to HTTP status codes
+const TWO_FACTOR_ERRORS = {
+  'Two-factor authentication is already enabled': 409,
+  'Two-factor authentication is not enabled': 409,
+  'Start two-factor enrollment first': 409,
+  'Invalid verification code': 400
+};
+
+const handleTwoFactorError = (res, error, label) => {
+  if (TWO_FACTOR_ERRORS[error.message]) {
+    return res.status(TWO_FACTOR_ERRORS[error.message]).json({ message: error.message });
+  }
+  console.error(`${label} error:`, error);
+  res.status(500).json({ message: 'Server error' });
+};
+
+/**
+ * @route   GET /api/auth/2fa
+ * @desc    Get whether two-factor authentication is on for the current user
+ * @access  Private
+ */
+export const getTwoFactorStatus = async (req, res) => {
+  try {
+    const enabled = TwoFactor.isEnabled(req.user);
+
+    res.json({
+      enabled,
+      enabledAt: req.user.two_factor_enabled_at,
+      required: await isTwoFactorRequired(req.user),
+      recoveryCodesRemaining: enabled ? await TwoFactor.countRecoveryCodes(req.user.id) : 0
+    });
+  } catch (error) {
+    console.error('Get two-factor status error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Start enrollment: get a new secret and the otpauth URI to add it
+ *          to an authenticator app
+ * @access  Private
+ */
+export const setupTwoFactor = async (req, res) => {
+  try {
+    const secret = await TwoFactor.startEnrollment(req.user.id);
+
+    res.json({
+      secret,
+      otpauthUri: otpauthUri({ secret, account: req.user.email, issuer: TWO_FACTOR_ISSUER })
+    });
+  } catch (error) {
+    handleTwoFactorError(res, error, 'Set up two-factor');
+  }
+};
+
+/**
+ * @route   POST /api/auth/2fa/enable
+ * @desc    Finish enrollment with a code from the app; returns the recovery
+ *          codes, which are shown only this once
+ * @access  Private
+ */
+export const enableTwoFactor = async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const recoveryCodes = await TwoFactor.confirmEnrollment(req.user.id, req.body.code);
+    res.json({ message: 'Two-factor authentication enabled', recoveryCodes });
+  } catch (error) {
+    handleTwoFactorError(res, error, 'Enable two-factor');
+  }
+};
+
+/**
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @desc    Replace the recovery codes; the old ones stop working
+ * @access  Private
+ */
+export const regenerateRecoveryCodes = async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    await TwoFactor.verify(req.user, req.body.code);
+    const recoveryCodes = await TwoFactor.regenerateRecoveryCodes(req.user.id);
+    res.json({ recoveryCodes });
+  } catch (error) {
+    handleTwoFactorError(res, error, 'Regenerate recovery codes');
+  }
+};
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Turn two-factor authentication off, confirmed with the password and a code
+ * @access  Private
+ */
+export const disableTwoFactor = async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { password, code } = req.body;
+
+  try {
+    if (await isTwoFactorRequired(req.user)) {
+      return res.status(409).json({ message: 'Two-factor authentication is required for your role' });
+    }
+
+    if (!(await User.checkPassword(req.user, password))) {
+      return res.status(400).json({ message: 'Password is incorrect' });
+    }
+
+    await TwoFactor.verify(req.user, code);
+    await TwoFactor.disable(req.user.id);
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    handleTwoFactorError(res, error, 'Disable two-factor');
+  }
+};
+
+/**
+ * @route   DELETE /api/auth/users/:id/2fa
+ * @desc    Turn off two-factor authentication for a user who lost their
+ *          device and recovery codes (admin only)
+ * @access  Private/Admin
+ */
+export const resetUserTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    await TwoFactor.disable(user.id);
+    res.json({ message: 'Two-factor authentication reset' });
+  } catch (error) {
+    console.error('Reset user two-factor error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * @route   GET /api/auth/security-settings
+ * @desc    Get the account security settings
+ * @access  Private/Admin
+ */
+export const getSecuritySettings = async (req, res) => {
+  try {
+    res.json(await loadSecuritySettings());
+  } catch (error) {
+    console.error('Get security settings error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * @route   PUT /api/auth/security-settings
+ * @desc    Update the account security settings, e.g. require 2FA for admins
+ *          or what unverified accounts may do
+ * @access  Private/Admin
+ */
+export const updateSecuritySettings = async (req, res) => {
+  // Validate request
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const settings = await saveSecuritySettings({
+      requireTwoFactorForAdmins: req.body.requireTwoFactorForAdmins,
+      unverifiedEmailPolicy: req.body.unverifiedEmailPolicy
+    }, req.user.id);
+    res.json(settings);
+  } catch (error) {
+    console.error('Update security settings error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
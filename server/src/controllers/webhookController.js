@@ -0,0 +1,61 @@
+import Donation from '../models/Donation.js';
+import DonationRefund from '../models/DonationRefund.js';
+import { getProvider, hasProvider, WEBHOOK_STATUS } from '../services/payments/index.js';
+import { sendDonationReceiptEmail } from '../services/notifications.js';
+
+/**
+ * @route   POST /api/webhooks/payments/:provider
+ * @desc    Receive payment status notifications from a payment provider
+ * @access  Public (HMAC signed)
+ */
+export const handlePaymentWebhook = async (req, res) => {
+  const { provider: providerName } = req.params;
+
+  if (!hasProvider(providerName)) {
+    return res.status(404).json({ message: 'Unknown payment provider' });
+  }
+
+  let event;
+  try {
+    event = getProvider(providerName).parseWebhook(req.rawBody, req.headers);
+  } catch (error) {
+    console.error('Payment webhook rejected:', error.message);
+    return res.status(400).json({ message: 'Invalid webhook signature' });
+  }
+
+  // Acknowledge events we don't act on so the provider stops retrying
+  const status = WEBHOOK_STATUS[event.type];
+  if (!status) {
+    return res.json({ received: true, ignored: true });
+  }
+
+  try {
+    const donation = await Donation.findByTransactionId(event.transactionId);
+
+    if (!donation || donation.payment_provider !== providerName) {
+      return res.status(404).json({ message: 'Donation not found' });
+    }
+
+    // Redelivered events leave the donation untouched
+    if (donation.payment_status === status) {
+      return res.json({ received: true, duplicate: true });
+    }
+
+    // Refunds issued through the refund workflow are tracked there, and a
+    // partial refund must not mark the whole donation as refunded
+    if (status === 'refunded' && (await DonationRefund.findByDonation(donation.id)).length > 0) {
+      return res.json({ received: true, ignored: true });
+    }
+
+    const updated = await Donation.updateStatus(donation.id, status);
+    await sendDonationReceiptEmail(updated);
+    res.json({ received: true });
+  } catch (error) {
+    if (error.message.startsWith('Invalid status transition')) {
+      console.warn(`Payment webhook ${event.id} ignored:`, error.message);
+      return res.json({ received: true, ignored: true });
+    }
+    console.error('Payment webhook error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
@@ -1,12 +1,16 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import Session from '../models/Session.js';
+import { getUnverifiedEmailPolicy, isTwoFactorRequired } from '../services/security.js';
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your_jwt_secret_key';
 
 /**
- * Middleware to verify JWT token and attach user to request
+ * Build the middleware that verifies the JWT token and attaches the user to
+ * the request. With allowTwoFactorSetup it also lets through users who still
+ * have to turn on two-factor authentication.
  */
-export const authenticate = async (req, res, next) => {
+const authenticateUser = ({ allowTwoFactorSetup = false } = {}) => async (req, res, next) => {
   try {
     // Get token from header
     const token = req.header('Authorization')?.replace('Bearer ', '');
@@ -17,6 +21,13 @@ export const authenticate = async (req, res, next) => {
 
     // Verify token
     const decoded = jwt.verify(token, JWT_SECRET);
+
+    // Only session tokens from User.generateJwt sign a user in. Single-purpose
+    // tokens (2FA challenges, emailed links, ...) share the secret but carry a
+    // purpose, and must never work as access tokens.
+    if (decoded.purpose || !decoded.sid) {
+      return res.status(401).json({ message: 'Token is not valid' });
+    }
     
     // Get user from the token
     const user = await User.findById(decoded.id);
@@ -30,8 +41,37 @@ export const authenticate = async (req, res, next) => {
       return res.status(401).json({ message: 'User account is deactivated' });
     }
 
+    // Tokens issued before e.g. a password reset are no longer accepted
+    if ((decoded.tokenVersion || 0) !== user.token_version) {
+      return res.status(401).json({ message: 'Token has been revoked' });
+    }
+
+    // Signing out, or an admin revoking the session, ends it before the token expires
+    const session = await Session.findById(decoded.sid);
+    if (!session || session.revoked_at || session.user_id !== user.id) {
+      return res.status(401).json({ message: 'Token has been revoked' });
+    }
+
+    // Until a user who must use 2FA turns it on, only its setup is open to them
+    if (!allowTwoFactorSetup && !user.two_factor_enabled_at && await isTwoFactorRequired(user)) {
+      return res.status(403).json({
+        message: 'Two-factor authentication is required for your account',
+        twoFactorSetupRequired: true
+      });
+    }
+
+    // Unverified email addresses are refused or limited, depending on the security settings
+    const emailPolicy = await getUnverifiedEmailPolicy(user);
+    if (emailPolicy === 'block') {
+      return res.status(403).json({
+        message: 'Please verify your email address',
+        emailVerificationRequired: true
+      });
+    }
+
     // Attach user to request object
     req.user = user;
+    req.emailVerificationPending = emailPolicy === 'restrict';
     req.token = token;
     
     next();
@@ -50,6 +90,17 @@ export const authenticate = async (req, res, next) => {
   }
 };
 
+/**
+ * Middleware to verify JWT token and attach user to request
+ */
+export const authenticate = authenticateUser();
+
+/**
+ * Like authenticate, for the routes a user needs to turn on two-factor
+ * authentication when their role requires it
+ */
+export const authenticateForTwoFactorSetup = authenticateUser({ allowTwoFactorSetup: true });
+
 /**
  * Middleware to check if user has required role(s)
  */
@@ -65,6 +116,14 @@ export const authorize = (roles = []) => {
       return res.status(401).json({ message: 'Not authorized' });
     }
 
+    // Until their email is verified, users keep only what needs no role
+    if (req.emailVerificationPending) {
+      return res.status(403).json({
+        message: 'Please verify your email address first',
+        emailVerificationRequired: true
+      });
+    }
+
     // Check if user has required role
     if (roles.length && !roles.includes(req.user.role)) {
       return res.status(403).json({ 
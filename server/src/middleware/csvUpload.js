@@ -0,0 +1,35 @@
+import multer from 'multer';
+
+const MAX_CSV_SIZE = 5 * 1024 * 1024; // 5MB
+const CSV_TYPES = ['text/csv', 'application/vnd.ms-excel', 'text/plain', 'application/octet-stream'];
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_CSV_SIZE, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (CSV_TYPES.includes(file.mimetype) || file.originalname.toLowerCase().endsWith('.csv')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only CSV files are allowed'));
+    }
+  }
+}).single('file');
+
+/**
+ * Middleware to accept a single CSV upload in the "file" field. The
+ * content is kept in memory and exposed as a string on req.csv.
+ */
+export const csvUpload = (req, res, next) => {
+  upload(req, res, (error) => {
+    if (error) {
+      const message = error.code === 'LIMIT_FILE_SIZE' ? 'CSV file is too large' : error.message;
+      return res.status(400).json({ message });
+    }
+    if (!req.file) {
+      return res.status(400).json({ message: 'A CSV file is required' });
+    }
+
+    req.csv = req.file.buffer.toString('utf8');
+    next();
+  });
+};
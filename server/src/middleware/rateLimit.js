@@ -0,0 +1,47 @@
+/**
+ * Fixed-window rate limiter, keyed on the client IP by default. Counts live
+ * in memory, so every app instance enforces the limit on its own.
+ */
+export const rateLimit = ({
+  windowMs,
+  max,
+  keyGenerator = (req) => req.ip,
+  message = 'Too many requests, please try again later'
+}) => {
+  const hits = new Map();
+
+  // Forget windows that have ended so the map doesn't grow forever
+  const cleanup = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of hits) {
+      if (entry.resetAt <= now) {
+        hits.delete(key);
+      }
+    }
+  }, windowMs);
+  cleanup.unref();
+
+  return (req, res, next) => {
+    const now = Date.now();
+    const key = keyGenerator(req);
+
+    let entry = hits.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(key, entry);
+    }
+    entry.count += 1;
+
+    const resetSeconds = Math.ceil((entry.resetAt - now) / 1000);
+    res.set('RateLimit-Limit', String(max));
+    res.set('RateLimit-Remaining', String(Math.max(0, max - entry.count)));
+    res.set('RateLimit-Reset', String(resetSeconds));
+
+    if (entry.count > max) {
+      res.set('Retry-After', String(resetSeconds));
+      return res.status(429).json({ message });
+    }
+
+    next();
+  };
+};
@@ -1,4 +1,14 @@
-import { body } from 'express-validator';
+import { body, query } from 'express-validator';
+import { LOGIN_OUTCOMES } from '../../models/LoginEvent.js';
+import { UNVERIFIED_EMAIL_POLICIES } from '../../services/security.js';
+
+// Strength rules for every form that sets a password
+const strongPassword = (field) => field
+  .isLength({ min: 8 }).withMessage('Password must be at least 8 characters long')
+  .matches(/[A-Z]/).withMessage('Password must contain at least one uppercase letter')
+  .matches(/[a-z]/).withMessage('Password must contain at least one lowercase letter')
+  .matches(/\d/).withMessage('Password must contain at least one number')
+  .matches(/[^A-Za-z0-9]/).withMessage('Password must contain at least one special character');
 
 export const registerValidator = [
   body('username')
@@ -13,13 +23,10 @@ export const registerValidator = [
     .isEmail().withMessage('Please provide a valid email')
     .normalizeEmail(),
   
-  body('password')
-    .notEmpty().withMessage('Password is required')
-    .isLength({ min: 8 }).withMessage('Password must be at least 8 characters long')
-    .matches(/[A-Z]/).withMessage('Password must contain at least one uppercase letter')
-    .matches(/[a-z]/).withMessage('Password must contain at least one lowercase letter')
-    .matches(/\d/).withMessage('Password must contain at least one number')
-    .matches(/[^A-Za-z0-9]/).withMessage('Password must contain at least one special character'),
+  strongPassword(
+    body('password')
+      .notEmpty().withMessage('Password is required')
+  ),
   
   body('firstName')
     .trim()
@@ -70,13 +77,10 @@ export const changePasswordValidator = [
   body('currentPassword')
     .notEmpty().withMessage('Current password is required'),
   
-  body('newPassword')
-    .notEmpty().withMessage('New password is required')
-    .isLength({ min: 8 }).withMessage('Password must be at least 8 characters long')
-    .matches(/[A-Z]/).withMessage('Password must contain at least one uppercase letter')
-    .matches(/[a-z]/).withMessage('Password must contain at least one lowercase letter')
-    .matches(/\d/).withMessage('Password must contain at least one number')
-    .matches(/[^A-Za-z0-9]/).withMessage('Password must contain at least one special character')
+  strongPassword(
+    body('newPassword')
+      .notEmpty().withMessage('New password is required')
+  )
     .custom((value, { req }) => {
       if (value === req.body.currentPassword) {
         throw new Error('New password must be different from current password');
@@ -89,3 +93,95 @@ export const updateUserRoleValidator = [
   body('role')
     .isIn(['admin', 'editor', 'viewer']).withMessage('Invalid role')
 ];
+
+export const forgotPasswordValidator = [
+  body('email')
+    .trim()
+    .notEmpty().withMessage('Email is required')
+    .isEmail().withMessage('Please provide a valid email')
+    .normalizeEmail()
+];
+
+export const verifyEmailValidator = [
+  body('token')
+    .trim()
+    .notEmpty().withMessage('Verification token is required')
+];
+
+export const resendVerificationValidator = [
+  body('email')
+    .trim()
+    .notEmpty().withMessage('Email is required')
+    .isEmail().withMessage('Please provide a valid email')
+    .normalizeEmail()
+];
+
+export const resetPasswordValidator = [
+  body('token')
+    .trim()
+    .notEmpty().withMessage('Reset token is required')
+    .isLength({ max: 128 }).withMessage('Invalid reset token'),
+
+  strongPassword(
+    body('newPassword')
+      .notEmpty().withMessage('New password is required')
+  )
+];
+
+export const refreshTokenValidator = [
+  body('refreshToken')
+    .trim()
+    .notEmpty().withMessage('Refresh token is required')
+    .isLength({ max: 128 }).withMessage('Invalid refresh token')
+];
+
+// A code from the authenticator app, or a recovery code
+const verificationCode = (field) => field
+  .trim()
+  .notEmpty().withMessage('Verification code is required')
+  .isLength({ max: 20 }).withMessage('Invalid verification code');
+
+export const twoFactorLoginValidator = [
+  body('challenge')
+    .notEmpty().withMessage('Login challenge is required'),
+
+  verificationCode(body('code'))
+];
+
+export const twoFactorCodeValidator = [
+  verificationCode(body('code'))
+];
+
+export const disableTwoFactorValidator = [
+  body('password')
+    .notEmpty().withMessage('Password is required'),
+
+  verificationCode(body('code'))
+];
+
+export const securitySettingsValidator = [
+  body('requireTwoFactorForAdmins')
+    .optional()
+    .isBoolean().withMessage('requireTwoFactorForAdmins must be a boolean')
+    .toBoolean(),
+
+  body('unverifiedEmailPolicy')
+    .optional()
+    .isIn(UNVERIFIED_EMAIL_POLICIES).withMessage(`unverifiedEmailPolicy must be one of ${UNVERIFIED_EMAIL_POLICIES.join(', ')}`)
+];
+
+export const loginEventsValidator = [
+  query('outcome')
+    .optional()
+    .isIn(LOGIN_OUTCOMES).withMessage(`outcome must be one of ${LOGIN_OUTCOMES.join(', ')}`),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 }).withMessage('page must be a positive integer')
+    .toInt(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100')
+    .toInt()
+];
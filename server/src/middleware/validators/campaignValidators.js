@@ -0,0 +1,97 @@
+import { body, query } from 'express-validator';
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+export const campaignValidator = [
+  body('title')
+    .trim()
+    .notEmpty().withMessage('Title is required')
+    .isLength({ max: 255 }).withMessage('Title cannot be longer than 255 characters'),
+
+  body('slug')
+    .trim()
+    .notEmpty().withMessage('Slug is required')
+    .isLength({ max: 255 }).withMessage('Slug cannot be longer than 255 characters')
+    .matches(SLUG_PATTERN).withMessage('Slug may only contain lowercase letters, numbers and hyphens'),
+
+  body('description')
+    .optional({ nullable: true })
+    .trim(),
+
+  body('goalAmount')
+    .notEmpty().withMessage('Goal amount is required')
+    .isDecimal({ decimal_digits: '0,2' }).withMessage('Goal amount must be a number with at most 2 decimals')
+    .isFloat({ min: 1, max: 9999999999.99 }).withMessage('Goal amount must be between 1 and 9,999,999,999.99')
+    .toFloat(),
+
+  body('currency')
+    .optional()
+    .trim()
+    .toUpperCase()
+    .isISO4217().withMessage('Currency must be a valid ISO 4217 code'),
+
+  body('startDate')
+    .notEmpty().withMessage('Start date is required')
+    .isISO8601().withMessage('Start date must be a valid ISO 8601 date')
+    .toDate(),
+
+  body('endDate')
+    .optional({ nullable: true })
+    .isISO8601().withMessage('End date must be a valid ISO 8601 date')
+    .toDate()
+    .custom((value, { req }) => {
+      if (req.body.startDate && value < req.body.startDate) {
+        throw new Error('End date must be after the start date');
+      }
+      return true;
+    }),
+
+  body('pageId')
+    .optional({ nullable: true })
+    .isInt({ min: 1 }).withMessage('pageId must be a positive integer')
+    .toInt(),
+
+  body('postId')
+    .optional({ nullable: true })
+    .isInt({ min: 1 }).withMessage('postId must be a positive integer')
+    .toInt()
+    .custom((value, { req }) => {
+      if (value && req.body.pageId) {
+        throw new Error('Link the campaign to either a page or a post, not both');
+      }
+      return true;
+    }),
+
+  body('isPublished')
+    .optional()
+    .isBoolean().withMessage('isPublished must be a boolean')
+    .toBoolean()
+];
+
+export const listCampaignsValidator = [
+  query('status')
+    .optional()
+    .isIn(['all', 'active', 'upcoming', 'ended']).withMessage('Invalid campaign status'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 }).withMessage('page must be a positive integer')
+    .toInt(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100')
+    .toInt()
+];
+
+export const campaignProgressValidator = [
+  query('recent')
+    .optional()
+    .isInt({ min: 0, max: 50 }).withMessage('recent must be between 0 and 50')
+    .toInt(),
+
+  query('anonymous')
+    .optional()
+    .isBoolean().withMessage('anonymous must be a boolean')
+    .toBoolean()
+];
@@ -0,0 +1,110 @@
+import { body, query } from 'express-validator';
+import { CONTACT_FOLDERS } from '../../models/ContactSubmission.js';
+
+export const contactValidator = [
+  body('name')
+    .trim()
+    .notEmpty().withMessage('Name is required')
+    .isLength({ max: 100 }).withMessage('Name cannot be longer than 100 characters'),
+
+  body('email')
+    .trim()
+    .notEmpty().withMessage('Email is required')
+    .isEmail().withMessage('Please provide a valid email')
+    .isLength({ max: 100 }).withMessage('Email cannot be longer than 100 characters')
+    .normalizeEmail(),
+
+  body('subject')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 255 }).withMessage('Subject cannot be longer than 255 characters'),
+
+  body('message')
+    .trim()
+    .notEmpty().withMessage('Message is required')
+    .isLength({ max: 5000 }).withMessage('Message cannot be longer than 5000 characters'),
+
+  // Honeypot: hidden from visitors, so it is only ever filled in by bots
+  body('website')
+    .optional({ nullable: true })
+    .isString().withMessage('Invalid website')
+    .trim(),
+
+  body('formToken')
+    .optional({ nullable: true })
+    .isString().withMessage('Invalid form token')
+];
+
+export const listContactSubmissionsValidator = [
+  query('folder')
+    .optional()
+    .isIn(CONTACT_FOLDERS).withMessage(`Folder must be one of ${CONTACT_FOLDERS.join(', ')}`),
+
+  query('archived')
+    .optional()
+    .isBoolean().withMessage('archived must be a boolean')
+    .toBoolean(),
+
+  query('status')
+    .optional()
+    .isIn(['read', 'unread']).withMessage('status must be read or unread'),
+
+  // A user ID, "me" or "none"
+  query('assignedTo')
+    .optional()
+    .custom((value) => value === 'me' || value === 'none' || /^[1-9]\d*$/.test(value))
+    .withMessage('assignedTo must be a user ID, "me" or "none"'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 }).withMessage('page must be a positive integer')
+    .toInt(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100')
+    .toInt()
+];
+
+export const markReadValidator = [
+  body('isRead')
+    .isBoolean().withMessage('isRead must be a boolean')
+    .toBoolean()
+];
+
+export const archiveValidator = [
+  body('archived')
+    .isBoolean().withMessage('archived must be a boolean')
+    .toBoolean()
+];
+
+export const folderValidator = [
+  body('folder')
+    .isIn(CONTACT_FOLDERS).withMessage(`Folder must be one of ${CONTACT_FOLDERS.join(', ')}`)
+];
+
+export const assignValidator = [
+  body('userId')
+    .optional({ nullable: true })
+    .isInt({ min: 1 }).withMessage('userId must be a positive integer')
+    .toInt()
+];
+
+export const noteValidator = [
+  body('body')
+    .trim()
+    .notEmpty().withMessage('Note is required')
+    .isLength({ max: 5000 }).withMessage('Note cannot be longer than 5000 characters')
+];
+
+export const replyValidator = [
+  body('subject')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 255 }).withMessage('Subject cannot be longer than 255 characters'),
+
+  body('body')
+    .trim()
+    .notEmpty().withMessage('Reply is required')
+    .isLength({ max: 10000 }).withMessage('Reply cannot be longer than 10000 characters')
+];
@@ -0,0 +1,223 @@
+import { body, query } from 'express-validator';
+import { REFUND_REASONS } from '../../models/DonationRefund.js';
+
+const RECURRING_FREQUENCIES = ['monthly', 'quarterly', 'yearly'];
+const PAYMENT_STATUSES = ['pending', 'completed', 'failed', 'refunded'];
+// Refunds go through POST /:id/refunds, which moves the money and the refunded amount
+const MANUAL_PAYMENT_STATUSES = PAYMENT_STATUSES.filter((status) => status !== 'refunded');
+const SUBSCRIPTION_STATUSES = ['active', 'paused', 'past_due', 'cancelled'];
+
+export const createDonationValidator = [
+  body('donorName')
+    .trim()
+    .notEmpty().withMessage('Name is required')
+    .isLength({ max: 100 }).withMessage('Name cannot be longer than 100 characters'),
+
+  body('donorEmail')
+    .trim()
+    .notEmpty().withMessage('Email is required')
+    .isEmail().withMessage('Please provide a valid email')
+    .isLength({ max: 100 }).withMessage('Email cannot be longer than 100 characters')
+    .normalizeEmail(),
+
+  body('amount')
+    .notEmpty().withMessage('Amount is required')
+    .isDecimal({ decimal_digits: '0,2' }).withMessage('Amount must be a number with at most 2 decimals')
+    .isFloat({ min: 1, max: 99999999.99 }).withMessage('Amount must be between 1 and 99,999,999.99')
+    .toFloat(),
+
+  body('currency')
+    .optional()
+    .trim()
+    .toUpperCase()
+    .isISO4217().withMessage('Currency must be a valid ISO 4217 code'),
+
+  body('paymentMethod')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 50 }).withMessage('Payment method cannot be longer than 50 characters'),
+
+  body('isRecurring')
+    .optional()
+    .isBoolean().withMessage('isRecurring must be a boolean')
+    .toBoolean(),
+
+  body('recurringFrequency')
+    .if(body('isRecurring').equals('true'))
+    .isIn(RECURRING_FREQUENCIES).withMessage(`Recurring frequency must be one of ${RECURRING_FREQUENCIES.join(', ')}`),
+
+  body('message')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 2000 }).withMessage('Message cannot be longer than 2000 characters'),
+
+  body('campaignId')
+    .optional({ nullable: true })
+    .isInt({ min: 1 }).withMessage('campaignId must be a positive integer')
+    .toInt(),
+
+  body('isAnonymous')
+    .optional()
+    .isBoolean().withMessage('isAnonymous must be a boolean')
+    .toBoolean()
+];
+
+export const confirmDonationValidator = [
+  body('clientSecret')
+    .isString().withMessage('Client secret is required')
+    .notEmpty().withMessage('Client secret is required')
+];
+
+export const updateDonationStatusValidator = [
+  body('status')
+    .isIn(MANUAL_PAYMENT_STATUSES).withMessage('Invalid payment status'),
+
+  body('transactionId')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 255 }).withMessage('Transaction ID cannot be longer than 255 characters')
+];
+
+// Filters shared by the donation list and export
+const donationFilters = [
+  query('status')
+    .optional()
+    .isIn(PAYMENT_STATUSES).withMessage('Invalid payment status'),
+
+  query('from')
+    .optional()
+    .isISO8601().withMessage('from must be a valid ISO 8601 date')
+    .toDate(),
+
+  query('to')
+    .optional()
+    .isISO8601().withMessage('to must be a valid ISO 8601 date')
+    .toDate(),
+
+  query('recurring')
+    .optional()
+    .isBoolean().withMessage('recurring must be a boolean')
+    .toBoolean(),
+
+  query('minAmount')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('minAmount must be a positive number')
+    .toFloat(),
+
+  query('maxAmount')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('maxAmount must be a positive number')
+    .toFloat(),
+
+  query('currency')
+    .optional()
+    .toUpperCase()
+    .isISO4217().withMessage('Currency must be a valid ISO 4217 code'),
+
+  query('campaignId')
+    .optional()
+    .isInt({ min: 1 }).withMessage('campaignId must be a positive integer')
+    .toInt(),
+
+  query('donorId')
+    .optional()
+    .isInt({ min: 1 }).withMessage('donorId must be a positive integer')
+    .toInt(),
+
+  query('missingRate')
+    .optional()
+    .isBoolean().withMessage('missingRate must be a boolean')
+    .toBoolean()
+];
+
+export const listDonationsValidator = [
+  ...donationFilters,
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 }).withMessage('page must be a positive integer')
+    .toInt(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100')
+    .toInt()
+];
+
+export const exportDonationsValidator = [
+  ...donationFilters,
+
+  query('format')
+    .optional()
+    .isIn(['csv', 'xlsx']).withMessage('format must be csv or xlsx')
+];
+
+export const donationReportValidator = [
+  query('from')
+    .optional()
+    .isISO8601().withMessage('from must be a valid ISO 8601 date')
+    .toDate(),
+
+  query('to')
+    .optional()
+    .isISO8601().withMessage('to must be a valid ISO 8601 date')
+    .toDate(),
+
+  query('campaignId')
+    .optional()
+    .isInt({ min: 1 }).withMessage('campaignId must be a positive integer')
+    .toInt(),
+
+  query('year')
+    .optional()
+    .isInt({ min: 2000, max: 2100 }).withMessage('year must be a valid year')
+    .toInt()
+];
+
+export const listSubscriptionsValidator = [
+  query('status')
+    .optional()
+    .isIn(SUBSCRIPTION_STATUSES).withMessage('Invalid subscription status'),
+
+  query('frequency')
+    .optional()
+    .isIn(RECURRING_FREQUENCIES).withMessage(`Frequency must be one of ${RECURRING_FREQUENCIES.join(', ')}`),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 }).withMessage('page must be a positive integer')
+    .toInt(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100')
+    .toInt()
+];
+
+export const statementValidator = [
+  query('email')
+    .trim()
+    .notEmpty().withMessage('Email is required')
+    .isEmail().withMessage('Please provide a valid email')
+    .normalizeEmail(),
+
+  query('year')
+    .isInt({ min: 2000, max: 2100 }).withMessage('year must be a valid year')
+    .toInt()
+];
+
+export const refundValidator = [
+  body('amount')
+    .optional({ nullable: true })
+    .isDecimal({ decimal_digits: '0,2' }).withMessage('Amount must be a number with at most 2 decimals')
+    .isFloat({ min: 0.01 }).withMessage('Amount must be at least 0.01')
+    .toFloat(),
+
+  body('reasonCode')
+    .isIn(REFUND_REASONS).withMessage(`Reason code must be one of ${REFUND_REASONS.join(', ')}`),
+
+  body('reasonNote')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 2000 }).withMessage('Reason note cannot be longer than 2000 characters')
+];
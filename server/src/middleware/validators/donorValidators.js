@@ -0,0 +1,46 @@
+import { body, query } from 'express-validator';
+import { DONOR_SEGMENTS } from '../../models/Donor.js';
+
+export const updateDonorValidator = [
+  body('name')
+    .trim()
+    .notEmpty().withMessage('Name is required')
+    .isLength({ max: 100 }).withMessage('Name cannot be longer than 100 characters'),
+
+  body('notes')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 10000 }).withMessage('Notes cannot be longer than 10000 characters')
+];
+
+export const mergeDonorValidator = [
+  body('sourceId')
+    .notEmpty().withMessage('sourceId is required')
+    .isInt({ min: 1 }).withMessage('sourceId must be a positive integer')
+    .toInt()
+];
+
+export const listDonorsValidator = [
+  query('segment')
+    .optional()
+    .isIn(DONOR_SEGMENTS).withMessage(`Segment must be one of ${DONOR_SEGMENTS.join(', ')}`),
+
+  query('minLifetime')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('minLifetime must be a positive number')
+    .toFloat(),
+
+  query('sort')
+    .optional()
+    .isIn(['recent', 'lifetime', 'name']).withMessage('sort must be one of recent, lifetime, name'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 }).withMessage('page must be a positive integer')
+    .toInt(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100')
+    .toInt()
+];
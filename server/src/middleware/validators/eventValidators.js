@@ -0,0 +1,252 @@
+import { body, param, query } from 'express-validator';
+import { FREQUENCIES, BY_DAY_PATTERN } from '../../utils/recurrence.js';
+
+// Recurrence fields are only validated when a recurrence object is sent
+const whenRecurring = body('recurrence').isObject();
+
+
+export const eventValidator = [
+  body('title')
+    .trim()
+    .notEmpty().withMessage('Title is required')
+    .isLength({ max: 255 }).withMessage('Title cannot be longer than 255 characters'),
+
+  body('description')
+    .optional({ nullable: true })
+    .trim(),
+
+  body('startDatetime')
+    .notEmpty().withMessage('Start date and time is required')
+    .isISO8601().withMessage('Start date and time must be a valid ISO 8601 date')
+    .toDate(),
+
+  body('endDatetime')
+    .notEmpty().withMessage('End date and time is required')
+    .isISO8601().withMessage('End date and time must be a valid ISO 8601 date')
+    .toDate()
+    .custom((value, { req }) => {
+      if (req.body.startDatetime && value < req.body.startDatetime) {
+        throw new Error('End date and time must be after the start');
+      }
+      return true;
+    }),
+
+  body('location')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 255 }).withMessage('Location cannot be longer than 255 characters'),
+
+  body('featuredImage')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 255 }).withMessage('Featured image cannot be longer than 255 characters'),
+
+  body('isFeatured')
+    .optional()
+    .isBoolean().withMessage('isFeatured must be a boolean')
+    .toBoolean(),
+
+  body('isPublished')
+    .optional()
+    .isBoolean().withMessage('isPublished must be a boolean')
+    .toBoolean(),
+
+  body('registrationUrl')
+    .optional({ nullable: true, checkFalsy: true })
+    .isURL().withMessage('Registration URL must be a valid URL'),
+
+  body('capacity')
+    .optional({ nullable: true })
+    .isInt({ min: 1 }).withMessage('Capacity must be a positive integer')
+    .toInt(),
+
+  body('recurrence')
+    .optional({ nullable: true })
+    .isObject().withMessage('Recurrence must be an object'),
+
+  body('recurrence.frequency')
+    .if(whenRecurring)
+    .isIn(FREQUENCIES).withMessage(`Frequency must be one of ${FREQUENCIES.join(', ')}`),
+
+  body('recurrence.interval')
+    .if(whenRecurring)
+    .optional()
+    .isInt({ min: 1, max: 365 }).withMessage('Interval must be between 1 and 365')
+    .toInt(),
+
+  body('recurrence.byDay')
+    .if(whenRecurring)
+    .optional()
+    .isArray().withMessage('byDay must be an array of weekdays')
+    .custom((value, { req }) => {
+      const { frequency } = req.body.recurrence;
+      if (value.length && !['weekly', 'monthly'].includes(frequency)) {
+        throw new Error('byDay is only supported for weekly and monthly recurrence');
+      }
+      for (const entry of value) {
+        const match = BY_DAY_PATTERN.exec(entry);
+        if (!match) {
+          throw new Error(`Invalid weekday ${entry}, expected e.g. MO or 1TU`);
+        }
+        if (match[1] && frequency !== 'monthly') {
+          throw new Error('Numbered weekdays (e.g. 1TU) are only supported for monthly recurrence');
+        }
+      }
+      return true;
+    }),
+
+  body('recurrence.until')
+    .if(whenRecurring)
+    .optional({ nullable: true })
+    .isISO8601().withMessage('until must be a valid ISO 8601 date')
+    .toDate()
+    .custom((value, { req }) => {
+      if (req.body.recurrence.count) {
+        throw new Error('Use either until or count, not both');
+      }
+      return true;
+    }),
+
+  body('recurrence.count')
+    .if(whenRecurring)
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: 1000 }).withMessage('count must be between 1 and 1000')
+    .toInt(),
+
+  body('recurrence.exceptionDates')
+    .if(whenRecurring)
+    .optional()
+    .isArray().withMessage('exceptionDates must be an array of dates'),
+
+  body('recurrence.exceptionDates.*')
+    .isISO8601().withMessage('Exception dates must be valid ISO 8601 dates')
+    .toDate()
+];
+
+export const occurrenceParamValidator = [
+  param('occurrenceStart')
+    .isISO8601().withMessage('Occurrence start must be a valid ISO 8601 date')
+    .toDate()
+];
+
+export const occurrenceOverrideValidator = [
+  ...occurrenceParamValidator,
+
+  body('title')
+    .optional({ nullable: true })
+    .trim()
+    .notEmpty().withMessage('Title cannot be empty')
+    .isLength({ max: 255 }).withMessage('Title cannot be longer than 255 characters'),
+
+  body('description')
+    .optional({ nullable: true })
+    .trim(),
+
+  body('location')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 255 }).withMessage('Location cannot be longer than 255 characters'),
+
+  body('startDatetime')
+    .optional({ nullable: true })
+    .isISO8601().withMessage('Start date and time must be a valid ISO 8601 date')
+    .toDate(),
+
+  body('endDatetime')
+    .optional({ nullable: true })
+    .isISO8601().withMessage('End date and time must be a valid ISO 8601 date')
+    .toDate()
+    .custom((value, { req }) => {
+      if (req.body.startDatetime && value < req.body.startDatetime) {
+        throw new Error('End date and time must be after the start');
+      }
+      return true;
+    })
+];
+
+export const listOccurrencesValidator = [
+  query('from')
+    .notEmpty().withMessage('from is required')
+    .isISO8601().withMessage('from must be a valid ISO 8601 date')
+    .toDate(),
+
+  query('to')
+    .notEmpty().withMessage('to is required')
+    .isISO8601().withMessage('to must be a valid ISO 8601 date')
+    .toDate()
+];
+
+export const registrationValidator = [
+  body('name')
+    .trim()
+    .notEmpty().withMessage('Name is required')
+    .isLength({ max: 100 }).withMessage('Name cannot be longer than 100 characters'),
+
+  body('email')
+    .trim()
+    .notEmpty().withMessage('Email is required')
+    .isEmail().withMessage('Please provide a valid email')
+    .normalizeEmail(),
+
+  body('phone')
+    .optional({ nullable: true, checkFalsy: true })
+    .trim()
+    .isLength({ max: 50 }).withMessage('Phone cannot be longer than 50 characters'),
+
+  // Required for recurring events: the original start of the occurrence
+  body('occurrenceStart')
+    .optional({ nullable: true })
+    .isISO8601().withMessage('Occurrence start must be a valid ISO 8601 date')
+    .toDate()
+];
+
+export const cancelRegistrationValidator = [
+  body('token')
+    .notEmpty().withMessage('Cancellation token is required')
+];
+
+export const listRegistrationsValidator = [
+  query('status')
+    .optional()
+    .isIn(['registered', 'waitlisted', 'cancelled']).withMessage('Invalid status'),
+
+  query('occurrenceStart')
+    .optional()
+    .isISO8601().withMessage('Occurrence start must be a valid ISO 8601 date')
+    .toDate()
+];
+
+export const listEventsValidator = [
+  query('when')
+    .optional()
+    .isIn(['upcoming', 'past']).withMessage('when must be either upcoming or past'),
+
+  query('status')
+    .optional()
+    .isIn(['all', 'published', 'draft']).withMessage('Invalid status'),
+
+  query('featured')
+    .optional()
+    .isBoolean().withMessage('featured must be a boolean')
+    .toBoolean(),
+
+  query('from')
+    .optional()
+    .isISO8601().withMessage('from must be a valid ISO 8601 date')
+    .toDate(),
+
+  query('to')
+    .optional()
+    .isISO8601().withMessage('to must be a valid ISO 8601 date')
+    .toDate(),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 }).withMessage('page must be a positive integer')
+    .toInt(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100')
+    .toInt()
+];
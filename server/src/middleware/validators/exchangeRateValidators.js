@@ -0,0 +1,38 @@
+import { body, query } from 'express-validator';
+import { REPORTING_CURRENCY } from '../../models/ExchangeRate.js';
+
+export const exchangeRateValidator = [
+  body('currency')
+    .trim()
+    .toUpperCase()
+    .isISO4217().withMessage('Currency must be a valid ISO 4217 code')
+    .not().equals(REPORTING_CURRENCY).withMessage(`${REPORTING_CURRENCY} is the reporting currency and always has a rate of 1`),
+
+  body('rate')
+    .isFloat({ gt: 0, max: 9999999999 }).withMessage('Rate must be a positive number')
+    .toFloat(),
+
+  // A calendar day: isISO8601 alone also accepts times and UTC offsets
+  body('effectiveDate')
+    .matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('Effective date must be a valid date (YYYY-MM-DD)')
+    .bail()
+    .isISO8601({ strict: true }).withMessage('Effective date must be a valid date (YYYY-MM-DD)')
+    .toDate()
+];
+
+export const listExchangeRatesValidator = [
+  query('currency')
+    .optional()
+    .toUpperCase()
+    .isISO4217().withMessage('Currency must be a valid ISO 4217 code'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 }).withMessage('page must be a positive integer')
+    .toInt(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 }).withMessage('limit must be between 1 and 200')
+    .toInt()
+];
@@ -0,0 +1,27 @@
+import { query } from 'express-validator';
+import { OUTBOX_STATUSES } from '../../models/MailOutbox.js';
+
+export const listOutboxValidator = [
+  query('status')
+    .optional()
+    .isIn(OUTBOX_STATUSES).withMessage(`status must be one of ${OUTBOX_STATUSES.join(', ')}`),
+
+  query('template')
+    .optional()
+    .trim()
+    .isLength({ max: 50 }).withMessage('template cannot be longer than 50 characters'),
+
+  query('search')
+    .optional()
+    .trim(),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 }).withMessage('page must be a positive integer')
+    .toInt(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100')
+    .toInt()
+];
@@ -0,0 +1,205 @@
+import { body, query } from 'express-validator';
+import { CAMPAIGN_STATUSES } from '../../models/NewsletterCampaign.js';
+import { RECIPIENT_STATUSES } from '../../models/NewsletterRecipient.js';
+import { SUBSCRIBER_STATUSES } from '../../models/NewsletterSubscriber.js';
+import { DIGEST_FREQUENCIES } from '../../services/newsletterDigest.js';
+
+const IMPORT_FIELDS = ['email', 'firstName', 'lastName', 'confirmedAt'];
+
+export const subscribeValidator = [
+  body('email')
+    .trim()
+    .notEmpty().withMessage('Email is required')
+    .isEmail().withMessage('Please provide a valid email')
+    .isLength({ max: 100 }).withMessage('Email cannot be longer than 100 characters')
+    .normalizeEmail(),
+
+  body('firstName')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 50 }).withMessage('First name cannot be longer than 50 characters'),
+
+  body('lastName')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 50 }).withMessage('Last name cannot be longer than 50 characters'),
+
+  // Where the visitor gave consent, e.g. "footer" or "donation-form"
+  body('source')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 100 }).withMessage('Source cannot be longer than 100 characters')
+    .matches(/^[a-z0-9_-]+$/i).withMessage('Source may only contain letters, numbers, hyphens and underscores')
+];
+
+export const newsletterCampaignValidator = [
+  body('subject')
+    .trim()
+    .notEmpty().withMessage('Subject is required')
+    .isLength({ max: 255 }).withMessage('Subject cannot be longer than 255 characters'),
+
+  body('htmlBody')
+    .notEmpty().withMessage('HTML body is required'),
+
+  body('textBody')
+    .optional({ nullable: true })
+    .isString().withMessage('Text body must be a string'),
+
+  body('audienceSource')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 100 }).withMessage('Audience source cannot be longer than 100 characters'),
+
+  body('audienceConfirmedAfter')
+    .optional({ nullable: true })
+    .isISO8601().withMessage('audienceConfirmedAfter must be a valid ISO 8601 date')
+    .toDate(),
+
+  body('audienceConfirmedBefore')
+    .optional({ nullable: true })
+    .isISO8601().withMessage('audienceConfirmedBefore must be a valid ISO 8601 date')
+    .toDate()
+    .custom((value, { req }) => {
+      if (req.body.audienceConfirmedAfter && value < req.body.audienceConfirmedAfter) {
+        throw new Error('audienceConfirmedBefore must be after audienceConfirmedAfter');
+      }
+      return true;
+    })
+];
+
+export const listNewsletterCampaignsValidator = [
+  query('status')
+    .optional()
+    .isIn(CAMPAIGN_STATUSES).withMessage(`Status must be one of ${CAMPAIGN_STATUSES.join(', ')}`),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 }).withMessage('page must be a positive integer')
+    .toInt(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100')
+    .toInt()
+];
+
+// Without a time the campaign goes out on the next run of the send queue
+export const scheduleNewsletterValidator = [
+  body('scheduledAt')
+    .optional({ nullable: true })
+    .isISO8601().withMessage('scheduledAt must be a valid ISO 8601 date')
+    .toDate()
+];
+
+export const testNewsletterValidator = [
+  body('email')
+    .trim()
+    .notEmpty().withMessage('Email is required')
+    .isEmail().withMessage('Please provide a valid email')
+];
+
+export const listNewsletterRecipientsValidator = [
+  query('status')
+    .optional()
+    .isIn(RECIPIENT_STATUSES).withMessage(`Status must be one of ${RECIPIENT_STATUSES.join(', ')}`),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 }).withMessage('page must be a positive integer')
+    .toInt(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 }).withMessage('limit must be between 1 and 200')
+    .toInt()
+];
+
+// Filters shared by the subscriber list and export
+const subscriberFilters = [
+  query('status')
+    .optional()
+    .isIn(SUBSCRIBER_STATUSES).withMessage(`Status must be one of ${SUBSCRIBER_STATUSES.join(', ')}`),
+
+  query('source')
+    .optional()
+    .trim()
+    .isLength({ max: 100 }).withMessage('Source cannot be longer than 100 characters'),
+
+  query('confirmedFrom')
+    .optional()
+    .isISO8601().withMessage('confirmedFrom must be a valid ISO 8601 date')
+    .toDate(),
+
+  query('confirmedTo')
+    .optional()
+    .isISO8601().withMessage('confirmedTo must be a valid ISO 8601 date')
+    .toDate()
+];
+
+export const listSubscribersValidator = [
+  ...subscriberFilters,
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 }).withMessage('page must be a positive integer')
+    .toInt(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100')
+    .toInt()
+];
+
+export const exportSubscribersValidator = subscriberFilters;
+
+// Sent as multipart fields next to the CSV file
+export const importSubscribersValidator = [
+  // JSON object of field -> CSV column header, e.g. {"email": "E-mail address"}
+  body('mapping')
+    .optional()
+    .isJSON().withMessage('mapping must be a JSON object')
+    .bail()
+    .customSanitizer((value) => JSON.parse(value))
+    .custom((value) => {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        throw new Error('mapping must be a JSON object');
+      }
+      for (const [field, column] of Object.entries(value)) {
+        if (!IMPORT_FIELDS.includes(field)) {
+          throw new Error(`mapping fields must be one of ${IMPORT_FIELDS.join(', ')}`);
+        }
+        if (typeof column !== 'string' || !column.trim()) {
+          throw new Error(`mapping for ${field} must be a column name`);
+        }
+      }
+      return true;
+    }),
+
+  body('dryRun')
+    .optional()
+    .isBoolean().withMessage('dryRun must be a boolean')
+    .toBoolean(),
+
+  body('source')
+    .optional()
+    .trim()
+    .isLength({ max: 100 }).withMessage('Source cannot be longer than 100 characters')
+    .matches(/^[a-z0-9_-]+$/i).withMessage('Source may only contain letters, numbers, hyphens and underscores')
+];
+
+export const digestSettingsValidator = [
+  body('frequency')
+    .optional()
+    .isIn(DIGEST_FREQUENCIES).withMessage(`frequency must be one of ${DIGEST_FREQUENCIES.join(', ')}`),
+
+  // Skip the digest when nothing was published in its period
+  body('skipWhenEmpty')
+    .optional()
+    .isBoolean().withMessage('skipWhenEmpty must be a boolean')
+    .toBoolean(),
+
+  body('maxPosts')
+    .optional()
+    .isInt({ min: 1, max: 50 }).withMessage('maxPosts must be between 1 and 50')
+    .toInt()
+];
@@ -0,0 +1,199 @@
+import { pool } from '../config/db.js';
+
+// Completed donations per campaign in the campaign's own currency, net of partial refunds
+const PROGRESS_JOIN = `
+  LEFT JOIN (
+    SELECT campaign_id, currency, SUM(amount - refunded_amount) AS raised, COUNT(DISTINCT donor_email) AS donor_count
+    FROM donations
+    WHERE payment_status = 'completed' AND campaign_id IS NOT NULL
+    GROUP BY campaign_id, currency
+  ) dp ON dp.campaign_id = c.id AND dp.currency = c.currency`;
+
+const SELECT_CAMPAIGN = `
+  SELECT c.*, pg.slug AS page_slug, ps.slug AS post_slug,
+         COALESCE(dp.raised, 0) AS raised, COALESCE(dp.donor_count, 0) AS donor_count
+  FROM campaigns c
+  LEFT JOIN pages pg ON pg.id = c.page_id
+  LEFT JOIN posts ps ON ps.id = c.post_id
+  ${PROGRESS_JOIN}`;
+
+// Attach the progress figures the public endpoints return
+const formatCampaign = (row) => {
+  const raised = Number(row.raised);
+  const goal = Number(row.goal_amount);
+
+  return {
+    ...row,
+    raised: Math.round(raised * 100) / 100,
+    donor_count: Number(row.donor_count),
+    percent_of_goal: goal > 0 ? Math.round((raised / goal) * 1000) / 10 : 0
+  };
+};
+
+class Campaign {
+  // Create a new campaign
+  static async create({
+    title,
+    slug,
+    description = null,
+    goalAmount,
+    currency = 'USD',
+    startDate,
+    endDate = null,
+    pageId = null,
+    postId = null,
+    isPublished = false,
+    createdBy = null
+  }) {
+    const [result] = await pool.execute(
+      `INSERT INTO campaigns
+       (title, slug, description, goal_amount, currency, start_date, end_date, page_id, post_id, is_published, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [title, slug, description, goalAmount, currency, startDate, endDate, pageId, postId, isPublished, createdBy]
+    );
+    return this.findById(result.insertId);
+  }
+
+  // Find campaign by ID, with its progress
+  static async findById(id) {
+    const [rows] = await pool.execute(`${SELECT_CAMPAIGN} WHERE c.id = ?`, [id]);
+    return rows[0] ? formatCampaign(rows[0]) : null;
+  }
+
+  // Find campaign by slug, with its progress
+  static async findBySlug(slug) {
+    const [rows] = await pool.execute(`${SELECT_CAMPAIGN} WHERE c.slug = ?`, [slug]);
+    return rows[0] ? formatCampaign(rows[0]) : null;
+  }
+
+  // Get all campaigns with pagination and filtering
+  static async findAll({ search = '', status = 'all', published = null, page = 1, limit = 10 } = {}) {
+    const offset = (page - 1) * limit;
+    let query = 'WHERE 1=1';
+    const params = [];
+
+    if (search) {
+      query += ' AND (c.title LIKE ? OR c.description LIKE ?)';
+      const searchTerm = `%${search}%`;
+      params.push(searchTerm, searchTerm);
+    }
+
+    if (published !== null) {
+      query += ' AND c.is_published = ?';
+      params.push(published);
+    }
+
+    if (status === 'active') {
+      query += ' AND c.start_date <= NOW() AND (c.end_date IS NULL OR c.end_date >= NOW())';
+    } else if (status === 'upcoming') {
+      query += ' AND c.start_date > NOW()';
+    } else if (status === 'ended') {
+      query += ' AND c.end_date < NOW()';
+    }
+
+    // Get total count for pagination
+    const [countRows] = await pool.execute(`SELECT COUNT(*) as total FROM campaigns c ${query}`, params);
+    const total = countRows[0].total;
+
+    // Add sorting and pagination
+    query += ' ORDER BY c.start_date DESC, c.id DESC LIMIT ? OFFSET ?';
+    params.push(limit, offset);
+
+    const [rows] = await pool.execute(`${SELECT_CAMPAIGN} ${query}`, params);
+
+    return {
+      data: rows.map(formatCampaign),
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  // Most recent completed donations to a campaign. Donors who asked to stay
+  // anonymous are listed as "Anonymous"; emails are never exposed.
+  static async findRecentDonors(id, limit = 10) {
+    const [rows] = await pool.query(
+      `SELECT IF(is_anonymous, 'Anonymous', donor_name) AS donor_name, amount, currency, created_at
+       FROM donations
+       WHERE campaign_id = ? AND payment_status = 'completed'
+       ORDER BY created_at DESC, id DESC
+       LIMIT ?`,
+      [id, limit]
+    );
+    return rows;
+  }
+
+  // Whether a campaign currently takes donations
+  static isOpen(campaign, now = new Date()) {
+    return Boolean(campaign.is_published)
+      && new Date(campaign.start_date) <= now
+      && (!campaign.end_date || new Date(campaign.end_date) >= now);
+  }
+
+  // Update a campaign. Progress only counts donations in the campaign
+  // currency, so the currency is fixed once donations have been made.
+  static async update(id, {
+    title,
+    slug,
+    description = null,
+    goalAmount,
+    currency = 'USD',
+    startDate,
+    endDate = null,
+    pageId = null,
+    postId = null,
+    isPublished = false
+  }) {
+    const [campaigns] = await pool.execute(
+      `SELECT c.currency, EXISTS (SELECT 1 FROM donations d WHERE d.campaign_id = c.id) AS has_donations
+       FROM campaigns c WHERE c.id = ?`,
+      [id]
+    );
+
+    if (campaigns.length === 0) {
+      throw new Error('Campaign not found');
+    }
+    if (campaigns[0].currency !== currency && campaigns[0].has_donations) {
+      throw new Error('The currency cannot be changed once the campaign has donations');
+    }
+
+    const [result] = await pool.execute(
+      `UPDATE campaigns
+       SET title = ?, slug = ?, description = ?, goal_amount = ?, currency = ?,
+           start_date = ?, end_date = ?, page_id = ?, post_id = ?, is_published = ?
+       WHERE id = ?`,
+      [title, slug, description, goalAmount, currency, startDate, endDate, pageId, postId, isPublished, id]
+    );
+
+    if (result.affectedRows === 0) {
+      throw new Error('Campaign not found');
+    }
+
+    return this.findById(id);
+  }
+
+  // Delete a campaign; its donations are kept and simply lose the reference
+  static async delete(id) {
+    const [result] = await pool.execute('DELETE FROM campaigns WHERE id = ?', [id]);
+    return result.affectedRows > 0;
+  }
+
+  // Check if slug exists (for validation)
+  static async slugExists(slug, excludeId = null) {
+    let query = 'SELECT id FROM campaigns WHERE slug = ?';
+    const params = [slug];
+
+    if (excludeId) {
+      query += ' AND id != ?';
+      params.push(excludeId);
+    }
+
+    const [rows] = await pool.execute(query, params);
+    return rows.length > 0;
+  }
+}
+
+export default Campaign;
@@ -0,0 +1,89 @@
+import { pool } from '../config/db.js';
+
+const SELECT_REPLY = `
+  SELECT r.*, u.username
+  FROM contact_replies r
+  LEFT JOIN users u ON u.id = r.user_id`;
+
+class ContactReply {
+  // Record a reply before it is sent
+  static async create(submissionId, { userId, subject, body, messageId, inReplyTo = null }) {
+    const [result] = await pool.execute(
+      `INSERT INTO contact_replies (submission_id, user_id, subject, body, message_id, in_reply_to)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [submissionId, userId, subject, body, messageId, inReplyTo]
+    );
+    return this.findById(result.insertId);
+  }
+
+  // Find reply by ID
+  static async findById(id) {
+    const [rows] = await pool.execute(`${SELECT_REPLY} WHERE r.id = ?`, [id]);
+    return rows[0] || null;
+  }
+
+  // Replies to a submission, oldest first
+  static async findBySubmission(submissionId) {
+    const [rows] = await pool.execute(
+      `${SELECT_REPLY} WHERE r.submission_id = ? ORDER BY r.created_at ASC, r.id ASC`,
+      [submissionId]
+    );
+    return rows;
+  }
+
+  // In-Reply-To and References for the next reply, so mail clients keep the conversation together
+  static async threadHeaders(submissionId) {
+    const [rows] = await pool.execute(
+      `SELECT message_id FROM contact_replies
+       WHERE submission_id = ? AND status = 'sent'
+       ORDER BY sent_at ASC, id ASC`,
+      [submissionId]
+    );
+
+    const references = rows.map((row) => row.message_id);
+    return {
+      inReplyTo: references.length > 0 ? references[references.length - 1] : null,
+      references
+    };
+  }
+
+  // The reply went out: the submission counts as read and answered
+  static async markSent(id) {
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      await connection.execute(
+        "UPDATE contact_replies SET status = 'sent', sent_at = NOW() WHERE id = ?",
+        [id]
+      );
+      await connection.execute(
+        `UPDATE contact_submissions cs
+         JOIN contact_replies r ON r.submission_id = cs.id
+         SET cs.is_read = TRUE, cs.last_replied_at = r.sent_at
+         WHERE r.id = ?`,
+        [id]
+      );
+
+      await connection.commit();
+      return this.findById(id);
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // The mail transport rejected the reply
+  static async markFailed(id, { message }) {
+    await pool.execute(
+      "UPDATE contact_replies SET status = 'failed', failure_message = ? WHERE id = ?",
+      [String(message).slice(0, 255), id]
+    );
+    return this.findById(id);
+  }
+}
+
+export default ContactReply;
@@ -0,0 +1,204 @@
+import { pool } from '../config/db.js';
+
+export const CONTACT_FOLDERS = ['inbox', 'spam'];
+
+const SELECT_SUBMISSION = `
+  SELECT cs.*, u.username AS assigned_username
+  FROM contact_submissions cs
+  LEFT JOIN users u ON u.id = cs.assigned_to`;
+
+// Update a single inbox attribute; columns are fixed by the callers
+const updateColumn = async (id, column, value) => {
+  const [result] = await pool.execute(
+    `UPDATE contact_submissions SET ${column} = ? WHERE id = ?`,
+    [value, id]
+  );
+
+  if (result.affectedRows === 0) {
+    throw new Error('Submission not found');
+  }
+};
+
+class ContactSubmission {
+  // Store a contact form submission in the inbox or the spam folder. Throws
+  // when another submission already used the form token.
+  static async create({
+    name,
+    email,
+    subject = null,
+    message,
+    folder = 'inbox',
+    spamScore = 0,
+    spamReasons = [],
+    ipAddress = null,
+    userAgent = null,
+    formTokenId = null
+  }) {
+    let result;
+    try {
+      [result] = await pool.execute(
+        `INSERT INTO contact_submissions
+         (name, email, subject, message, folder, spam_score, spam_reasons, ip_address, user_agent, form_token_id)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [name, email, subject, message, folder, spamScore, spamReasons.join(',') || null, ipAddress, userAgent, formTokenId]
+      );
+    } catch (error) {
+      // form_token_id is unique: the token was used by a submission stored in the meantime
+      if (error.code === 'ER_DUP_ENTRY' && formTokenId) {
+        throw new Error('Form token already used');
+      }
+      throw error;
+    }
+    return this.findById(result.insertId);
+  }
+
+  // Whether a submission was already made with this form token
+  static async isFormTokenUsed(formTokenId) {
+    const [rows] = await pool.execute(
+      'SELECT id FROM contact_submissions WHERE form_token_id = ?',
+      [formTokenId]
+    );
+    return rows.length > 0;
+  }
+
+  // Find submission by ID, with the assigned staff member
+  static async findById(id) {
+    const [rows] = await pool.execute(`${SELECT_SUBMISSION} WHERE cs.id = ?`, [id]);
+    return rows[0] || null;
+  }
+
+  // Get submissions with pagination and filtering. assignedTo is a user ID or 'none'.
+  static async findAll({
+    folder = 'inbox',
+    archived = false,
+    status = null,
+    assignedTo = null,
+    search = '',
+    page = 1,
+    limit = 20
+  } = {}) {
+    const offset = (page - 1) * limit;
+    let query = 'WHERE cs.folder = ?';
+    const params = [folder];
+
+    // Archived submissions only show up when asked for
+    query += archived ? ' AND cs.archived_at IS NOT NULL' : ' AND cs.archived_at IS NULL';
+
+    if (status === 'unread') {
+      query += ' AND cs.is_read IS NOT TRUE';
+    } else if (status === 'read') {
+      query += ' AND cs.is_read IS TRUE';
+    }
+
+    if (assignedTo === 'none') {
+      query += ' AND cs.assigned_to IS NULL';
+    } else if (assignedTo) {
+      query += ' AND cs.assigned_to = ?';
+      params.push(assignedTo);
+    }
+
+    if (search) {
+      query += ' AND (cs.name LIKE ? OR cs.email LIKE ? OR cs.subject LIKE ? OR cs.message LIKE ?)';
+      const searchTerm = `%${search}%`;
+      params.push(searchTerm, searchTerm, searchTerm, searchTerm);
+    }
+
+    // Get total count for pagination
+    const [countRows] = await pool.execute(`SELECT COUNT(*) as total FROM contact_submissions cs ${query}`, params);
+    const total = countRows[0].total;
+
+    // Add sorting and pagination
+    query += ' ORDER BY cs.created_at DESC, cs.id DESC LIMIT ? OFFSET ?';
+    params.push(limit, offset);
+
+    const [rows] = await pool.query(`${SELECT_SUBMISSION} ${query}`, params);
+
+    return {
+      data: rows,
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  // Dashboard counters for the open (non-archived) inbox, from one user's point of view
+  static async counts(userId) {
+    const [[row]] = await pool.execute(
+      `SELECT
+         COALESCE(SUM(folder = 'inbox' AND archived_at IS NULL AND is_read IS NOT TRUE), 0) AS unread,
+         COALESCE(SUM(folder = 'inbox' AND archived_at IS NULL AND assigned_to = ?), 0) AS assigned_to_me,
+         COALESCE(SUM(folder = 'inbox' AND archived_at IS NULL AND assigned_to = ? AND is_read IS NOT TRUE), 0) AS assigned_to_me_unread,
+         COALESCE(SUM(folder = 'inbox' AND archived_at IS NULL AND assigned_to IS NULL), 0) AS unassigned,
+         COALESCE(SUM(folder = 'spam' AND archived_at IS NULL), 0) AS spam
+       FROM contact_submissions`,
+      [userId, userId]
+    );
+
+    return Object.fromEntries(Object.entries(row).map(([key, value]) => [key, Number(value)]));
+  }
+
+  // Mark a submission read or unread
+  static async setRead(id, isRead) {
+    await updateColumn(id, 'is_read', isRead);
+    return this.findById(id);
+  }
+
+  // Archive a submission, or bring it back to its folder
+  static async setArchived(id, archived) {
+    await updateColumn(id, 'archived_at', archived ? new Date() : null);
+    return this.findById(id);
+  }
+
+  // Move a submission between the inbox and the spam folder
+  static async setFolder(id, folder) {
+    await updateColumn(id, 'folder', folder);
+    return this.findById(id);
+  }
+
+  // Assign a submission to a staff member, or unassign it with null
+  static async assign(id, userId) {
+    await updateColumn(id, 'assigned_to', userId);
+    return this.findById(id);
+  }
+
+  // Add an internal note to a submission
+  static async addNote(id, { userId, body }) {
+    const [result] = await pool.execute(
+      'INSERT INTO contact_notes (submission_id, user_id, body) VALUES (?, ?, ?)',
+      [id, userId, body]
+    );
+
+    const [rows] = await pool.execute(
+      `SELECT n.*, u.username
+       FROM contact_notes n
+       LEFT JOIN users u ON u.id = n.user_id
+       WHERE n.id = ?`,
+      [result.insertId]
+    );
+    return rows[0];
+  }
+
+  // Internal notes of a submission, oldest first
+  static async findNotes(id) {
+    const [rows] = await pool.execute(
+      `SELECT n.*, u.username
+       FROM contact_notes n
+       LEFT JOIN users u ON u.id = n.user_id
+       WHERE n.submission_id = ?
+       ORDER BY n.created_at ASC, n.id ASC`,
+      [id]
+    );
+    return rows;
+  }
+
+  // Delete a submission along with its notes and replies
+  static async delete(id) {
+    const [result] = await pool.execute('DELETE FROM contact_submissions WHERE id = ?', [id]);
+    return result.affectedRows > 0;
+  }
+}
+
+export default ContactSubmission;
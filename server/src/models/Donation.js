@@ -0,0 +1,293 @@
+import crypto from 'crypto';
+import { pool } from '../config/db.js';
+import DonationSubscription from './DonationSubscription.js';
+import DonationReceipt from './DonationReceipt.js';
+import Donor from './Donor.js';
+import ExchangeRate from './ExchangeRate.js';
+
+// Allowed payment_status changes. Refunds only apply to completed donations
+// and a failed donation can only be retried, never refunded.
+const STATUS_TRANSITIONS = {
+  pending: ['completed', 'failed'],
+  failed: ['pending'],
+  completed: ['refunded'],
+  refunded: []
+};
+
+// Client secrets are only kept as a hash, like password reset tokens
+const hashClientSecret = (secret) => crypto.createHash('sha256').update(String(secret)).digest('hex');
+
+// Build the WHERE clause shared by the donation list and export
+const buildFilters = ({
+  search = '',
+  status = null,
+  from = null,
+  to = null,
+  recurring = null,
+  minAmount = null,
+  maxAmount = null,
+  currency = null,
+  campaignId = null,
+  donorId = null,
+  missingRate = false
+} = {}) => {
+  let query = 'WHERE 1=1';
+  const params = [];
+
+  // Apply search filter
+  if (search) {
+    query += ' AND (d.donor_name LIKE ? OR d.donor_email LIKE ? OR d.transaction_id LIKE ?)';
+    const searchTerm = `%${search}%`;
+    params.push(searchTerm, searchTerm, searchTerm);
+  }
+
+  // Apply status filter
+  if (status) {
+    query += ' AND d.payment_status = ?';
+    params.push(status);
+  }
+
+  // Apply date range filter
+  if (from) {
+    query += ' AND d.created_at >= ?';
+    params.push(from);
+  }
+  if (to) {
+    query += ' AND d.created_at <= ?';
+    params.push(to);
+  }
+
+  // Apply recurring filter
+  if (recurring !== null) {
+    query += ' AND d.is_recurring = ?';
+    params.push(recurring);
+  }
+
+  // Apply amount range filter
+  if (minAmount !== null) {
+    query += ' AND d.amount >= ?';
+    params.push(minAmount);
+  }
+  if (maxAmount !== null) {
+    query += ' AND d.amount <= ?';
+    params.push(maxAmount);
+  }
+
+  // Apply currency filter
+  if (currency) {
+    query += ' AND d.currency = ?';
+    params.push(currency);
+  }
+
+  // Apply campaign filter
+  if (campaignId) {
+    query += ' AND d.campaign_id = ?';
+    params.push(campaignId);
+  }
+
+  // Apply donor filter
+  if (donorId) {
+    query += ' AND d.donor_id = ?';
+    params.push(donorId);
+  }
+
+  // Only donations that couldn't be converted to the reporting currency
+  if (missingRate) {
+    query += ' AND d.reporting_amount IS NULL';
+  }
+
+  return { query, params };
+};
+
+class Donation {
+  static STATUSES = Object.keys(STATUS_TRANSITIONS);
+
+  // Check whether a donation may move from one status to another
+  static canTransition(from, to) {
+    return (STATUS_TRANSITIONS[from] || []).includes(to);
+  }
+
+  // Create a new (pending) donation
+  static async create({
+    donorName,
+    donorEmail,
+    amount,
+    currency = 'USD',
+    paymentMethod = null,
+    isRecurring = false,
+    recurringFrequency = null,
+    message = null,
+    subscriptionId = null,
+    campaignId = null,
+    isAnonymous = false
+  }) {
+    const donorId = await Donor.findOrCreate({ email: donorEmail, name: donorName });
+    // Converted at today's rate; stays NULL until a rate for the currency is entered
+    const { exchangeRate, reportingAmount } = await ExchangeRate.normalize(amount, currency);
+
+    const [result] = await pool.execute(
+      `INSERT INTO donations
+       (donor_name, donor_email, donor_id, amount, currency, exchange_rate, reporting_amount, payment_method,
+        payment_status, is_recurring, recurring_frequency, message, subscription_id, campaign_id, is_anonymous)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'pending', ?, ?, ?, ?, ?, ?)`,
+      [donorName, donorEmail, donorId, amount, currency, exchangeRate, reportingAmount, paymentMethod, isRecurring,
+       isRecurring ? recurringFrequency : null, message, subscriptionId, campaignId, isAnonymous]
+    );
+    return this.findById(result.insertId);
+  }
+
+  // Find donation by ID
+  static async findById(id) {
+    const [rows] = await pool.execute('SELECT * FROM donations WHERE id = ?', [id]);
+    return rows[0] || null;
+  }
+
+  // Find donation by payment provider transaction ID
+  static async findByTransactionId(transactionId) {
+    const [rows] = await pool.execute(
+      'SELECT * FROM donations WHERE transaction_id = ?',
+      [transactionId]
+    );
+    return rows[0] || null;
+  }
+
+  // Store the payment provider transaction created for a donation, and a
+  // hash of the client secret the donor confirms it with
+  static async attachTransaction(id, { provider, transactionId, clientSecret = null }) {
+    await pool.execute(
+      'UPDATE donations SET payment_provider = ?, transaction_id = ?, client_secret_hash = ? WHERE id = ?',
+      [provider, transactionId, clientSecret ? hashClientSecret(clientSecret) : null, id]
+    );
+    return this.findById(id);
+  }
+
+  // Whether a client secret is the one of the donation's transaction
+  static matchesClientSecret(donation, clientSecret) {
+    if (!donation.client_secret_hash || !clientSecret) return false;
+    return crypto.timingSafeEqual(
+      Buffer.from(hashClientSecret(clientSecret), 'hex'),
+      Buffer.from(donation.client_secret_hash, 'hex')
+    );
+  }
+
+  // Get all donations with pagination and filtering
+  static async findAll({ page = 1, limit = 20, ...filters } = {}) {
+    const offset = (page - 1) * limit;
+    const { query: where, params } = buildFilters(filters);
+    let query = `FROM donations d ${where}`;
+
+    // Get total count for pagination
+    const [countRows] = await pool.execute(`SELECT COUNT(*) as total ${query}`, params);
+    const total = countRows[0].total;
+
+    // Add sorting and pagination
+    query += ' ORDER BY d.created_at DESC, d.id DESC LIMIT ? OFFSET ?';
+    params.push(limit, offset);
+
+    const [rows] = await pool.execute(`SELECT d.* ${query}`, params);
+
+    return {
+      data: rows,
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  // Stream every donation matching the filters, oldest first, one row at a
+  // time so exports of large ranges never hold the whole result in memory.
+  // The connection is released once the stream ends, or dropped if the
+  // consumer stops early (a half-read result can't go back to the pool).
+  static async stream(filters = {}) {
+    const { query: where, params } = buildFilters(filters);
+    const connection = await pool.getConnection();
+
+    // The promise wrapper has no streaming API, so use the underlying connection
+    const stream = connection.connection
+      .query(
+        `SELECT d.*, c.title AS campaign_title
+         FROM donations d
+         LEFT JOIN campaigns c ON c.id = d.campaign_id
+         ${where}
+         ORDER BY d.created_at ASC, d.id ASC`,
+        params
+      )
+      .stream({ highWaterMark: 100 });
+
+    let finished = false;
+    stream.on('end', () => {
+      finished = true;
+      connection.release();
+    });
+    stream.on('close', () => {
+      if (!finished) {
+        connection.destroy();
+      }
+    });
+
+    return stream;
+  }
+
+  // Move a donation to a new payment status, enforcing the allowed
+  // transitions. Completing a donation issues its receipt and, for the first
+  // gift of a recurring donor, starts the subscription, all in one transaction.
+  static async updateStatus(id, status, { transactionId } = {}) {
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const [rows] = await connection.execute(
+        'SELECT payment_status, is_recurring, subscription_id FROM donations WHERE id = ? FOR UPDATE',
+        [id]
+      );
+
+      if (rows.length === 0) {
+        throw new Error('Donation not found');
+      }
+
+      const current = rows[0].payment_status;
+
+      // Repeating the current status (e.g. a redelivered webhook) is a no-op
+      if (current === status) {
+        await connection.commit();
+        return this.findById(id);
+      }
+
+      if (!this.canTransition(current, status)) {
+        throw new Error(`Invalid status transition from ${current} to ${status}`);
+      }
+
+      await connection.execute(
+        `UPDATE donations
+         SET payment_status = ?, transaction_id = COALESCE(?, transaction_id)
+         WHERE id = ?`,
+        [status, transactionId || null, id]
+      );
+
+      // Receipt numbers follow the order in which donations complete
+      if (status === 'completed') {
+        await DonationReceipt.issue(id, { connection });
+      }
+
+      // The first completed gift of a recurring donor starts their subscription
+      if (status === 'completed' && rows[0].is_recurring && !rows[0].subscription_id) {
+        const [donations] = await connection.execute('SELECT * FROM donations WHERE id = ?', [id]);
+        await DonationSubscription.createFromDonation(donations[0], { connection });
+      }
+
+      await connection.commit();
+      return this.findById(id);
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+}
+
+export default Donation;
@@ -0,0 +1,109 @@
+import dotenv from 'dotenv';
+import { pool } from '../config/db.js';
+
+dotenv.config();
+
+const RECEIPT_NUMBER_PREFIX = process.env.RECEIPT_NUMBER_PREFIX || 'R-';
+
+// Receipt numbers are the row id, zero padded: R-000042
+const formatReceipt = (row) => ({
+  ...row,
+  receipt_number: `${RECEIPT_NUMBER_PREFIX}${String(row.receipt_id).padStart(6, '0')}`
+});
+
+// Add the receipt of a donation unless it has one
+const insertReceipt = async (connection, donationId) => {
+  // Lock the donation so concurrent calls can't both insert (and burn a number)
+  const [donations] = await connection.execute(
+    'SELECT payment_status FROM donations WHERE id = ? FOR UPDATE',
+    [donationId]
+  );
+
+  if (donations.length === 0) {
+    throw new Error('Donation not found');
+  }
+  if (donations[0].payment_status !== 'completed') {
+    throw new Error('Receipts are only available for completed donations');
+  }
+
+  const [existing] = await connection.execute(
+    'SELECT id FROM donation_receipts WHERE donation_id = ?',
+    [donationId]
+  );
+  if (existing.length === 0) {
+    await connection.execute(
+      'INSERT INTO donation_receipts (donation_id) VALUES (?)',
+      [donationId]
+    );
+  }
+};
+
+class DonationReceipt {
+  // Issue the receipt of a completed donation; issuing again returns the same
+  // receipt. Given the connection of an open transaction, the receipt is
+  // issued as part of it and nothing is returned, as it isn't visible yet.
+  static async issue(donationId, { connection: transaction = null } = {}) {
+    if (transaction) {
+      await insertReceipt(transaction, donationId);
+      return null;
+    }
+
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+      await insertReceipt(connection, donationId);
+      await connection.commit();
+      return this.findByDonation(donationId);
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Find the receipt of a donation, with the donation details
+  static async findByDonation(donationId) {
+    const [rows] = await pool.execute(
+      `SELECT r.id AS receipt_id, r.issued_at, d.*
+       FROM donation_receipts r
+       JOIN donations d ON d.id = r.donation_id
+       WHERE r.donation_id = ?`,
+      [donationId]
+    );
+    return rows[0] ? formatReceipt(rows[0]) : null;
+  }
+
+  // Completed donations of a donor during a calendar year (UTC), with totals per currency
+  static async findStatement(email, year) {
+    const [rows] = await pool.execute(
+      `SELECT d.*, r.id AS receipt_id
+       FROM donations d
+       LEFT JOIN donation_receipts r ON r.donation_id = d.id
+       WHERE d.donor_email = ? AND d.payment_status = 'completed'
+         AND d.created_at >= ? AND d.created_at < ?
+       ORDER BY d.created_at ASC, d.id ASC`,
+      [email, `${year}-01-01 00:00:00`, `${year + 1}-01-01 00:00:00`]
+    );
+
+    const totals = {};
+    for (const row of rows) {
+      // Partial refunds are no longer deductible
+      totals[row.currency] = (totals[row.currency] || 0) + Number(row.amount) - Number(row.refunded_amount);
+    }
+
+    return {
+      email,
+      year,
+      donorName: rows.length > 0 ? rows[rows.length - 1].donor_name : null,
+      donations: rows.map((row) => (row.receipt_id ? formatReceipt(row) : { ...row, receipt_number: null })),
+      totals: Object.entries(totals).map(([currency, amount]) => ({
+        currency,
+        amount: Math.round(amount * 100) / 100
+      }))
+    };
+  }
+}
+
+export default DonationReceipt;
@@ -0,0 +1,140 @@
+import crypto from 'crypto';
+import { pool } from '../config/db.js';
+
+export const REFUND_REASONS = ['requested_by_donor', 'duplicate', 'fraudulent', 'processing_error', 'other'];
+
+// Donor-facing reference, e.g. RF-2026-9F3A1C7B
+const confirmationNumber = () =>
+  `RF-${new Date().getUTCFullYear()}-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+
+const SELECT_REFUND = `
+  SELECT r.*, d.donor_name, d.donor_email, d.transaction_id, d.amount AS donation_amount,
+         d.created_at AS donation_date, u.username AS refunded_by_username
+  FROM donation_refunds r
+  JOIN donations d ON d.id = r.donation_id
+  LEFT JOIN users u ON u.id = r.refunded_by`;
+
+class DonationRefund {
+  static REASONS = REFUND_REASONS;
+
+  // Reserve a refund against a completed donation. Pending and succeeded
+  // refunds count towards the refunded total, so concurrent requests can
+  // never refund more than was given. Omitting the amount refunds the rest.
+  static async open(donationId, { amount = null, reasonCode, reasonNote = null, refundedBy = null }) {
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const [donations] = await connection.execute(
+        'SELECT * FROM donations WHERE id = ? FOR UPDATE',
+        [donationId]
+      );
+
+      const donation = donations[0];
+      if (!donation) {
+        throw new Error('Donation not found');
+      }
+      if (donation.payment_status !== 'completed' || !donation.transaction_id) {
+        throw new Error('Only completed donations can be refunded');
+      }
+
+      const [totals] = await connection.execute(
+        `SELECT COALESCE(SUM(amount), 0) AS reserved FROM donation_refunds
+         WHERE donation_id = ? AND status IN ('pending', 'succeeded')`,
+        [donationId]
+      );
+
+      // Work in cents to avoid floating point leftovers
+      const remainingCents = Math.round(Number(donation.amount) * 100) - Math.round(Number(totals[0].reserved) * 100);
+      const amountCents = amount === null ? remainingCents : Math.round(Number(amount) * 100);
+
+      if (remainingCents <= 0) {
+        throw new Error('Donation has already been fully refunded');
+      }
+      if (amountCents > remainingCents) {
+        throw new Error(`Refund amount exceeds the refundable balance of ${(remainingCents / 100).toFixed(2)}`);
+      }
+
+      const [result] = await connection.execute(
+        `INSERT INTO donation_refunds
+         (donation_id, amount, currency, reason_code, reason_note, payment_provider, confirmation_number, refunded_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [donationId, (amountCents / 100).toFixed(2), donation.currency, reasonCode, reasonNote,
+         donation.payment_provider, confirmationNumber(), refundedBy]
+      );
+
+      await connection.commit();
+      return this.findById(result.insertId);
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // The gateway confirmed the refund: add it to the donation's refunded amount
+  // and move the donation to refunded once nothing is left
+  static async markSucceeded(id, { providerRefundId }) {
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const [refunds] = await connection.execute(
+        "SELECT * FROM donation_refunds WHERE id = ? AND status = 'pending' FOR UPDATE",
+        [id]
+      );
+      const refund = refunds[0];
+
+      if (refund) {
+        await connection.execute(
+          "UPDATE donation_refunds SET status = 'succeeded', provider_refund_id = ? WHERE id = ?",
+          [providerRefundId, id]
+        );
+        await connection.execute(
+          `UPDATE donations
+           SET refunded_amount = refunded_amount + ?,
+               payment_status = IF(refunded_amount >= amount, 'refunded', payment_status)
+           WHERE id = ?`,
+          [refund.amount, refund.donation_id]
+        );
+      }
+
+      await connection.commit();
+      return this.findById(id);
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // The gateway refused the refund; the reserved amount becomes refundable again
+  static async markFailed(id, { message = null } = {}) {
+    await pool.execute(
+      "UPDATE donation_refunds SET status = 'failed', failure_message = ? WHERE id = ? AND status = 'pending'",
+      [message ? String(message).slice(0, 255) : null, id]
+    );
+    return this.findById(id);
+  }
+
+  // Find refund by ID
+  static async findById(id) {
+    const [rows] = await pool.execute(`${SELECT_REFUND} WHERE r.id = ?`, [id]);
+    return rows[0] || null;
+  }
+
+  // All refunds of a donation, oldest first
+  static async findByDonation(donationId) {
+    const [rows] = await pool.execute(
+      `${SELECT_REFUND} WHERE r.donation_id = ? ORDER BY r.created_at ASC, r.id ASC`,
+      [donationId]
+    );
+    return rows;
+  }
+}
+
+export default DonationRefund;
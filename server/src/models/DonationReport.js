@@ -0,0 +1,187 @@
+import { pool } from '../config/db.js';
+import { REPORTING_CURRENCY } from './ExchangeRate.js';
+
+// Net amount of a donation in the reporting currency, after partial refunds
+const NET_AMOUNT = 'd.reporting_amount * (d.amount - d.refunded_amount) / d.amount';
+
+// Reports only count completed donations
+const buildFilters = ({ from = null, to = null, campaignId = null } = {}) => {
+  let query = "FROM donations d WHERE d.payment_status = 'completed'";
+  const params = [];
+
+  if (from) {
+    query += ' AND d.created_at >= ?';
+    params.push(from);
+  }
+  if (to) {
+    query += ' AND d.created_at <= ?';
+    params.push(to);
+  }
+  if (campaignId) {
+    query += ' AND d.campaign_id = ?';
+    params.push(campaignId);
+  }
+
+  return { query, params };
+};
+
+const money = (value) => Math.round(Number(value || 0) * 100) / 100;
+
+// Totals of one breakdown group
+const formatGroup = ({ donation_count: count, total, ...rest }) => ({
+  ...rest,
+  donation_count: Number(count),
+  total: money(total)
+});
+
+class DonationReport {
+  // Overall figures: total raised, number of gifts and donors, average gift
+  static async summary(filters = {}) {
+    const { query, params } = buildFilters(filters);
+
+    const [[row]] = await pool.execute(
+      `SELECT COUNT(*) AS donation_count,
+              SUM(${NET_AMOUNT}) AS total,
+              AVG(${NET_AMOUNT}) AS average_gift,
+              MAX(${NET_AMOUNT}) AS largest_gift,
+              COUNT(DISTINCT d.donor_id) AS donor_count,
+              SUM(d.reporting_amount IS NULL) AS unconverted_count
+       ${query}`,
+      params
+    );
+
+    return {
+      donation_count: Number(row.donation_count),
+      total: money(row.total),
+      average_gift: money(row.average_gift),
+      largest_gift: money(row.largest_gift),
+      donor_count: Number(row.donor_count),
+      // Donations without an exchange rate are left out of the amounts
+      unconverted_count: Number(row.unconverted_count || 0)
+    };
+  }
+
+  // Totals per calendar month (UTC)
+  static async byMonth(filters = {}) {
+    const { query, params } = buildFilters(filters);
+
+    const [rows] = await pool.execute(
+      `SELECT DATE_FORMAT(d.created_at, '%Y-%m') AS month,
+              COUNT(*) AS donation_count,
+              SUM(${NET_AMOUNT}) AS total,
+              COUNT(DISTINCT d.donor_id) AS donor_count
+       ${query}
+       GROUP BY month
+       ORDER BY month`,
+      params
+    );
+
+    return rows.map((row) => ({ ...formatGroup(row), donor_count: Number(row.donor_count) }));
+  }
+
+  // Totals per payment method
+  static async byPaymentMethod(filters = {}) {
+    const { query, params } = buildFilters(filters);
+
+    const [rows] = await pool.execute(
+      `SELECT COALESCE(d.payment_method, 'unknown') AS payment_method,
+              COUNT(*) AS donation_count,
+              SUM(${NET_AMOUNT}) AS total
+       ${query}
+       GROUP BY COALESCE(d.payment_method, 'unknown')
+       ORDER BY total DESC`,
+      params
+    );
+
+    return rows.map(formatGroup);
+  }
+
+  // Totals per original currency, both as given and converted
+  static async byCurrency(filters = {}) {
+    const { query, params } = buildFilters(filters);
+
+    const [rows] = await pool.execute(
+      `SELECT d.currency,
+              COUNT(*) AS donation_count,
+              SUM(d.amount - d.refunded_amount) AS amount,
+              SUM(${NET_AMOUNT}) AS total
+       ${query}
+       GROUP BY d.currency
+       ORDER BY total DESC`,
+      params
+    );
+
+    return rows.map((row) => ({ ...formatGroup(row), amount: money(row.amount) }));
+  }
+
+  // Recurring versus one-off gifts
+  static async byType(filters = {}) {
+    const { query, params } = buildFilters(filters);
+
+    const [rows] = await pool.execute(
+      `SELECT IF(d.is_recurring, 'recurring', 'one_off') AS type,
+              COUNT(*) AS donation_count,
+              SUM(${NET_AMOUNT}) AS total,
+              AVG(${NET_AMOUNT}) AS average_gift
+       ${query}
+       GROUP BY type`,
+      params
+    );
+
+    return rows.map((row) => ({ ...formatGroup(row), average_gift: money(row.average_gift) }));
+  }
+
+  // Share of last year's donors who gave again this year (UTC calendar years)
+  static async retention(year, { campaignId = null } = {}) {
+    const previousStart = new Date(Date.UTC(year - 1, 0, 1));
+    const yearStart = new Date(Date.UTC(year, 0, 1));
+    const nextStart = new Date(Date.UTC(year + 1, 0, 1));
+
+    const { query, params } = buildFilters({ from: previousStart, campaignId });
+
+    const [[row]] = await pool.execute(
+      `SELECT COUNT(*) AS previous_donors, COALESCE(SUM(retained), 0) AS retained_donors
+       FROM (
+         SELECT d.donor_id, MAX(d.created_at >= ?) AS retained
+         ${query} AND d.created_at < ? AND d.donor_id IS NOT NULL
+         GROUP BY d.donor_id
+         HAVING MIN(d.created_at) < ?
+       ) donors_by_year`,
+      [yearStart, ...params, nextStart, yearStart]
+    );
+
+    const previous = Number(row.previous_donors);
+    const retained = Number(row.retained_donors);
+
+    return {
+      year,
+      previous_donors: previous,
+      retained_donors: retained,
+      retention_rate: previous > 0 ? Math.round((retained / previous) * 1000) / 10 : null
+    };
+  }
+
+  // Every report at once, for the dashboard
+  static async overview(filters = {}, { year = new Date().getUTCFullYear() } = {}) {
+    const [summary, byMonth, byPaymentMethod, byCurrency, byType, retention] = await Promise.all([
+      this.summary(filters),
+      this.byMonth(filters),
+      this.byPaymentMethod(filters),
+      this.byCurrency(filters),
+      this.byType(filters),
+      this.retention(year, filters)
+    ]);
+
+    return {
+      reportingCurrency: REPORTING_CURRENCY,
+      summary,
+      byMonth,
+      byPaymentMethod,
+      byCurrency,
+      byType,
+      retention
+    };
+  }
+}
+
+export default DonationReport;
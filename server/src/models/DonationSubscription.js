@@ -0,0 +1,198 @@
+import { pool } from '../config/db.js';
+import { addBillingPeriod, nextBillingDateAfter } from '../utils/billing.js';
+
+// Status changes admins can make. past_due is only set by the scheduler
+// once retries are exhausted; resuming puts the donor back on schedule.
+const STATUS_TRANSITIONS = {
+  active: ['paused', 'cancelled'],
+  paused: ['active', 'cancelled'],
+  past_due: ['active', 'cancelled'],
+  cancelled: []
+};
+
+class DonationSubscription {
+  // Start a subscription from the first completed gift of a recurring donor.
+  // Given the connection of an open transaction, it is created as part of it
+  // and only its id is returned, as it isn't visible outside yet.
+  static async createFromDonation(donation, { connection = null } = {}) {
+    const db = connection || pool;
+    const chargedAt = new Date(donation.created_at);
+    const anchorDay = chargedAt.getUTCDate();
+
+    const [result] = await db.execute(
+      `INSERT IGNORE INTO donation_subscriptions
+       (donor_name, donor_email, donor_id, amount, currency, frequency, payment_provider, payment_method,
+        campaign_id, is_anonymous, initial_donation_id, anchor_day, next_charge_at, last_charged_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [donation.donor_name, donation.donor_email, donation.donor_id, donation.amount, donation.currency,
+       donation.recurring_frequency, donation.payment_provider, donation.payment_method,
+       donation.campaign_id, donation.is_anonymous,
+       donation.id, anchorDay, addBillingPeriod(chargedAt, donation.recurring_frequency, anchorDay),
+       chargedAt]
+    );
+
+    // INSERT IGNORE skips donations that already started a subscription
+    if (result.affectedRows === 0) {
+      const [rows] = await db.execute(
+        'SELECT id FROM donation_subscriptions WHERE initial_donation_id = ?',
+        [donation.id]
+      );
+      return connection ? rows[0].id : this.findById(rows[0].id);
+    }
+
+    await db.execute(
+      'UPDATE donations SET subscription_id = ? WHERE id = ?',
+      [result.insertId, donation.id]
+    );
+
+    return connection ? result.insertId : this.findById(result.insertId);
+  }
+
+  // Find subscription by ID, with its donations
+  static async findById(id) {
+    const [rows] = await pool.execute('SELECT * FROM donation_subscriptions WHERE id = ?', [id]);
+    if (rows.length === 0) return null;
+
+    const subscription = rows[0];
+    const [donations] = await pool.execute(
+      `SELECT id, amount, currency, payment_status, transaction_id, created_at
+       FROM donations WHERE subscription_id = ?
+       ORDER BY created_at DESC, id DESC`,
+      [id]
+    );
+    subscription.donations = donations;
+
+    return subscription;
+  }
+
+  // Get all subscriptions with pagination and filtering
+  static async findAll({ search = '', status = null, frequency = null, page = 1, limit = 20 } = {}) {
+    const offset = (page - 1) * limit;
+    let query = 'FROM donation_subscriptions s WHERE 1=1';
+    const params = [];
+
+    if (search) {
+      query += ' AND (s.donor_name LIKE ? OR s.donor_email LIKE ?)';
+      const searchTerm = `%${search}%`;
+      params.push(searchTerm, searchTerm);
+    }
+
+    if (status) {
+      query += ' AND s.status = ?';
+      params.push(status);
+    }
+
+    if (frequency) {
+      query += ' AND s.frequency = ?';
+      params.push(frequency);
+    }
+
+    // Get total count for pagination
+    const [countRows] = await pool.execute(`SELECT COUNT(*) as total ${query}`, params);
+    const total = countRows[0].total;
+
+    query += ' ORDER BY s.created_at DESC, s.id DESC LIMIT ? OFFSET ?';
+    params.push(limit, offset);
+
+    const [rows] = await pool.execute(`SELECT s.* ${query}`, params);
+
+    return {
+      data: rows,
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  // Active subscriptions whose charge (or retry) is due
+  static async findDue(now = new Date(), limit = 50) {
+    const [rows] = await pool.query(
+      `SELECT * FROM donation_subscriptions
+       WHERE status = 'active' AND COALESCE(retry_at, next_charge_at) <= ?
+       ORDER BY COALESCE(retry_at, next_charge_at) ASC
+       LIMIT ?`,
+      [now, limit]
+    );
+    return rows;
+  }
+
+  // A charge went through: move on to the next billing period
+  static async recordSuccess(id, { chargedAt = new Date() } = {}) {
+    const subscription = await this.findById(id);
+
+    await pool.execute(
+      `UPDATE donation_subscriptions
+       SET next_charge_at = ?, retry_at = NULL, failure_count = 0, last_charged_at = ?
+       WHERE id = ?`,
+      [addBillingPeriod(subscription.next_charge_at, subscription.frequency, subscription.anchor_day),
+       chargedAt, id]
+    );
+    return this.findById(id);
+  }
+
+  // A charge failed: retry later, or mark the subscription past due
+  static async recordFailure(id, { retryAt = null } = {}) {
+    await pool.execute(
+      `UPDATE donation_subscriptions
+       SET failure_count = failure_count + 1, retry_at = ?,
+           status = IF(? IS NULL, 'past_due', status)
+       WHERE id = ?`,
+      [retryAt, retryAt, id]
+    );
+    return this.findById(id);
+  }
+
+  // Pause, resume or cancel a subscription
+  static async updateStatus(id, status) {
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const [rows] = await connection.execute(
+        'SELECT * FROM donation_subscriptions WHERE id = ? FOR UPDATE',
+        [id]
+      );
+
+      const subscription = rows[0];
+      if (!subscription) {
+        throw new Error('Subscription not found');
+      }
+      if (!(STATUS_TRANSITIONS[subscription.status] || []).includes(status)) {
+        throw new Error(`Invalid status transition from ${subscription.status} to ${status}`);
+      }
+
+      if (status === 'active') {
+        // Periods missed while paused are skipped rather than charged in bulk
+        await connection.execute(
+          `UPDATE donation_subscriptions
+           SET status = 'active', next_charge_at = ?, retry_at = NULL, failure_count = 0
+           WHERE id = ?`,
+          [nextBillingDateAfter(subscription.next_charge_at, subscription.frequency, subscription.anchor_day),
+           id]
+        );
+      } else {
+        await connection.execute(
+          `UPDATE donation_subscriptions
+           SET status = ?, retry_at = NULL,
+               cancelled_at = IF(? = 'cancelled', NOW(), cancelled_at)
+           WHERE id = ?`,
+          [status, status, id]
+        );
+      }
+
+      await connection.commit();
+      return this.findById(id);
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+}
+
+export default DonationSubscription;
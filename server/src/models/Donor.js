@@ -0,0 +1,271 @@
+import { pool } from '../config/db.js';
+import { REPORTING_CURRENCY } from './ExchangeRate.js';
+
+export const DONOR_SEGMENTS = ['active', 'lapsed', 'new', 'recurring'];
+
+const SORT_ORDERS = {
+  recent: 'st.last_gift_at IS NULL, st.last_gift_at DESC, d.id DESC',
+  lifetime: 'lifetime_giving DESC, d.id DESC',
+  name: 'd.name ASC, d.id ASC'
+};
+
+// Donations are grouped case-insensitively on the trimmed address
+const normalizeEmail = (email) => String(email).trim().toLowerCase();
+
+// Giving statistics per donor, from completed donations only. Amounts are
+// in the reporting currency so gifts made in different currencies add up,
+// and lifetime giving leaves out partial refunds.
+const STATS_JOIN = `
+  LEFT JOIN (
+    SELECT donor_id,
+           SUM(reporting_amount * (amount - refunded_amount) / amount) AS lifetime_giving,
+           COUNT(*) AS donation_count,
+           MIN(created_at) AS first_gift_at,
+           MAX(created_at) AS last_gift_at,
+           MAX(reporting_amount) AS largest_gift
+    FROM donations
+    WHERE payment_status = 'completed' AND donor_id IS NOT NULL
+    GROUP BY donor_id
+  ) st ON st.donor_id = d.id`;
+
+const SELECT_DONOR = `
+  SELECT d.*,
+         COALESCE(st.lifetime_giving, 0) AS lifetime_giving,
+         COALESCE(st.donation_count, 0) AS donation_count,
+         st.first_gift_at, st.last_gift_at,
+         COALESCE(st.largest_gift, 0) AS largest_gift,
+         EXISTS (
+           SELECT 1 FROM donation_subscriptions s
+           WHERE s.donor_id = d.id AND s.status = 'active'
+         ) AS is_recurring
+  FROM donors d
+  ${STATS_JOIN}`;
+
+// Calendar years are UTC, like the stored timestamps
+const yearStart = (year) => new Date(Date.UTC(year, 0, 1));
+
+const formatDonor = (row) => ({
+  ...row,
+  reporting_currency: REPORTING_CURRENCY,
+  lifetime_giving: Number(row.lifetime_giving),
+  donation_count: Number(row.donation_count),
+  largest_gift: Number(row.largest_gift),
+  is_recurring: Boolean(row.is_recurring)
+});
+
+class Donor {
+  static SEGMENTS = DONOR_SEGMENTS;
+
+  // Find the donor of an email (or one of its merged aliases), creating the profile if needed
+  static async findOrCreate({ email, name }, connection = pool) {
+    const normalized = normalizeEmail(email);
+
+    const [aliases] = await connection.execute(
+      'SELECT donor_id FROM donor_aliases WHERE email = ?',
+      [normalized]
+    );
+    if (aliases.length > 0) {
+      return aliases[0].donor_id;
+    }
+
+    // LAST_INSERT_ID(id) hands back the existing row when another request created it first
+    const [result] = await connection.execute(
+      `INSERT INTO donors (email, name) VALUES (?, ?)
+       ON DUPLICATE KEY UPDATE id = LAST_INSERT_ID(id)`,
+      [normalized, name]
+    );
+    return result.insertId;
+  }
+
+  // Find donor by ID, with giving statistics, aliases and donations
+  static async findById(id) {
+    const [rows] = await pool.execute(`${SELECT_DONOR} WHERE d.id = ?`, [id]);
+    if (rows.length === 0) return null;
+
+    const donor = formatDonor(rows[0]);
+
+    const [aliases] = await pool.execute(
+      'SELECT email, created_at FROM donor_aliases WHERE donor_id = ? ORDER BY created_at ASC',
+      [id]
+    );
+    donor.aliases = aliases.map((alias) => alias.email);
+
+    const [donations] = await pool.execute(
+      `SELECT id, donor_email, amount, currency, reporting_amount, payment_status, is_recurring, campaign_id, created_at
+       FROM donations WHERE donor_id = ?
+       ORDER BY created_at DESC, id DESC`,
+      [id]
+    );
+    donor.donations = donations;
+
+    return donor;
+  }
+
+  // Get all donors with pagination, search and segment filters
+  static async findAll({
+    search = '',
+    segment = null,
+    minLifetime = null,
+    sort = 'recent',
+    page = 1,
+    limit = 20,
+    now = new Date()
+  } = {}) {
+    const offset = (page - 1) * limit;
+    const thisYear = yearStart(now.getUTCFullYear());
+    const lastYear = yearStart(now.getUTCFullYear() - 1);
+    let query = 'WHERE 1=1';
+    const params = [];
+
+    // Apply search filter (aliases included)
+    if (search) {
+      query += ` AND (d.name LIKE ? OR d.email LIKE ? OR EXISTS (
+        SELECT 1 FROM donor_aliases a WHERE a.donor_id = d.id AND a.email LIKE ?
+      ))`;
+      const searchTerm = `%${search}%`;
+      params.push(searchTerm, searchTerm, searchTerm);
+    }
+
+    // Apply segment filter
+    if (segment === 'active') {
+      // Gave this year
+      query += ' AND st.last_gift_at >= ?';
+      params.push(thisYear);
+    } else if (segment === 'lapsed') {
+      // Gave last year but not this year
+      query += ' AND st.last_gift_at >= ? AND st.last_gift_at < ?';
+      params.push(lastYear, thisYear);
+    } else if (segment === 'new') {
+      // First gift this year
+      query += ' AND st.first_gift_at >= ?';
+      params.push(thisYear);
+    } else if (segment === 'recurring') {
+      query += ` AND EXISTS (
+        SELECT 1 FROM donation_subscriptions s WHERE s.donor_id = d.id AND s.status = 'active'
+      )`;
+    }
+
+    // Apply lifetime giving filter
+    if (minLifetime !== null) {
+      query += ' AND COALESCE(st.lifetime_giving, 0) >= ?';
+      params.push(minLifetime);
+    }
+
+    // Get total count for pagination
+    const [countRows] = await pool.execute(
+      `SELECT COUNT(*) as total FROM donors d ${STATS_JOIN} ${query}`,
+      params
+    );
+    const total = countRows[0].total;
+
+    // Add sorting and pagination
+    query += ` ORDER BY ${SORT_ORDERS[sort] || SORT_ORDERS.recent} LIMIT ? OFFSET ?`;
+    params.push(limit, offset);
+
+    const [rows] = await pool.execute(`${SELECT_DONOR} ${query}`, params);
+
+    return {
+      data: rows.map(formatDonor),
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  // Update a donor's name and notes
+  static async update(id, { name, notes = null }) {
+    const [result] = await pool.execute(
+      'UPDATE donors SET name = ?, notes = ? WHERE id = ?',
+      [name, notes, id]
+    );
+
+    if (result.affectedRows === 0) {
+      throw new Error('Donor not found');
+    }
+
+    return this.findById(id);
+  }
+
+  // Merge a duplicate donor into another one. The duplicate's donations,
+  // subscriptions and emails move over and its profile is deleted.
+  static async merge(targetId, sourceId) {
+    if (Number(targetId) === Number(sourceId)) {
+      throw new Error('Cannot merge a donor into itself');
+    }
+
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const [rows] = await connection.query(
+        'SELECT * FROM donors WHERE id IN (?) FOR UPDATE',
+        [[targetId, sourceId]]
+      );
+      const target = rows.find((row) => row.id === Number(targetId));
+      const source = rows.find((row) => row.id === Number(sourceId));
+
+      if (!target || !source) {
+        throw new Error('Donor not found');
+      }
+
+      await connection.execute('UPDATE donations SET donor_id = ? WHERE donor_id = ?', [target.id, source.id]);
+      await connection.execute(
+        'UPDATE donation_subscriptions SET donor_id = ? WHERE donor_id = ?',
+        [target.id, source.id]
+      );
+      await connection.execute('UPDATE donor_aliases SET donor_id = ? WHERE donor_id = ?', [target.id, source.id]);
+
+      // The source profile goes away first so its email can become an alias
+      await connection.execute('DELETE FROM donors WHERE id = ?', [source.id]);
+      await connection.execute(
+        'INSERT INTO donor_aliases (donor_id, email) VALUES (?, ?)',
+        [target.id, source.email]
+      );
+
+      if (source.notes) {
+        const notes = target.notes ? `${target.notes}\n\n${source.notes}` : source.notes;
+        await connection.execute('UPDATE donors SET notes = ? WHERE id = ?', [notes, target.id]);
+      }
+
+      await connection.commit();
+      return this.findById(target.id);
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Create profiles for donations recorded before donors existed.
+  // Returns the number of donations that were linked.
+  static async linkUnassignedDonations() {
+    const [emails] = await pool.execute(
+      `SELECT donor_email, MAX(donor_name) AS donor_name
+       FROM donations WHERE donor_id IS NULL
+       GROUP BY donor_email`
+    );
+
+    let linked = 0;
+    for (const { donor_email: email, donor_name: name } of emails) {
+      const donorId = await this.findOrCreate({ email, name });
+      const [result] = await pool.execute(
+        'UPDATE donations SET donor_id = ? WHERE donor_id IS NULL AND donor_email = ?',
+        [donorId, email]
+      );
+      await pool.execute(
+        'UPDATE donation_subscriptions SET donor_id = ? WHERE donor_id IS NULL AND donor_email = ?',
+        [donorId, email]
+      );
+      linked += result.affectedRows;
+    }
+
+    return linked;
+  }
+}
+
+export default Donor;
@@ -0,0 +1,532 @@
+import { pool } from '../config/db.js';
+import EventRegistration from './EventRegistration.js';
+import {
+  parseRule,
+  formatRule,
+  formatExdates,
+  parseExdates,
+  expandOccurrences,
+  getSeriesEnd
+} from '../utils/recurrence.js';
+
+// Confirmed attendee count, selected alongside event rows. For a recurring
+// event this covers the whole series; occurrences get their own counts.
+const REGISTERED_COUNT = `(SELECT COUNT(*) FROM event_registrations r
+   WHERE r.event_id = e.id AND r.status = 'registered') as registered_count`;
+
+// How far from now open-ended date windows reach when expanding recurring events
+const RECURRENCE_HORIZON_DAYS = parseInt(process.env.RECURRENCE_HORIZON_DAYS, 10) || 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fields of a single occurrence that an override may replace
+const OVERRIDE_FIELDS = ['title', 'description', 'location', 'start_datetime', 'end_datetime'];
+
+// Column values stored for a recurrence definition (or its absence)
+const recurrenceColumns = (recurrence, startDatetime, endDatetime) => {
+  if (!recurrence) {
+    return { rule: null, exdates: null, end: null };
+  }
+
+  const rule = formatRule(recurrence);
+  const duration = new Date(endDatetime) - new Date(startDatetime);
+
+  return {
+    rule,
+    exdates: formatExdates(recurrence.exceptionDates || []),
+    end: getSeriesEnd(parseRule(rule), { dtstart: new Date(startDatetime), duration })
+  };
+};
+
+// Attach the parsed recurrence definition to an event row
+const formatEvent = (event) => {
+  event.recurrence = event.recurrence_rule
+    ? { ...parseRule(event.recurrence_rule), exceptionDates: parseExdates(event.recurrence_exdates) }
+    : null;
+  return event;
+};
+
+// Build one occurrence of a recurring event, applying its override if any
+const buildOccurrence = (event, start, override, registeredCount) => {
+  const duration = new Date(event.end_datetime) - new Date(event.start_datetime);
+  const occurrence = {
+    ...event,
+    occurrence_start: start,
+    start_datetime: start,
+    end_datetime: new Date(start.getTime() + duration),
+    registered_count: registeredCount,
+    is_override: false
+  };
+
+  if (override) {
+    for (const field of OVERRIDE_FIELDS) {
+      if (override[field] !== null) occurrence[field] = override[field];
+    }
+    // Moving the start without an explicit end keeps the series duration
+    if (override.start_datetime && !override.end_datetime) {
+      occurrence.end_datetime = new Date(new Date(override.start_datetime).getTime() + duration);
+    }
+    occurrence.is_override = true;
+  }
+
+  delete occurrence.overrides;
+  return occurrence;
+};
+
+// Expand a recurring event into occurrences starting within a range. Registrations
+// are per occurrence, so each gets its own count from the countByOccurrence rows.
+const expandSeries = (event, overrides, counts, { rangeStart = null, rangeEnd = null }) => {
+  const byStart = new Map(overrides.map(override => [new Date(override.occurrence_start).getTime(), override]));
+  const countByStart = new Map(counts.map(row => [new Date(row.occurrence_start).getTime(), row.total]));
+
+  return expandOccurrences(parseRule(event.recurrence_rule), {
+    dtstart: event.start_datetime,
+    exdates: parseExdates(event.recurrence_exdates),
+    rangeStart,
+    rangeEnd
+  }).map(start =>
+    buildOccurrence(event, start, byStart.get(start.getTime()), countByStart.get(start.getTime()) || 0)
+  );
+};
+
+// WHERE clause for the search, status and featured filters
+const buildFilters = ({ search, status, featured }) => {
+  let where = 'WHERE 1=1';
+  const params = [];
+
+  // Apply search filter
+  if (search) {
+    where += ' AND (e.title LIKE ? OR e.description LIKE ? OR e.location LIKE ?)';
+    const searchTerm = `%${search}%`;
+    params.push(searchTerm, searchTerm, searchTerm);
+  }
+
+  // Apply status filter
+  if (status === 'published') {
+    where += ' AND e.is_published = TRUE';
+  } else if (status === 'draft') {
+    where += ' AND e.is_published = FALSE';
+  }
+
+  // Apply featured filter
+  if (featured !== null) {
+    where += ' AND e.is_featured = ?';
+    params.push(featured);
+  }
+
+  return { where, params };
+};
+
+class Event {
+  // Create a new event
+  static async create({
+    title,
+    description = null,
+    startDatetime,
+    endDatetime,
+    location = null,
+    featuredImage = null,
+    isFeatured = false,
+    isPublished = false,
+    registrationUrl = null,
+    capacity = null,
+    recurrence = null,
+    createdBy = null
+  }) {
+    const { rule, exdates, end } = recurrenceColumns(recurrence, startDatetime, endDatetime);
+
+    const [result] = await pool.execute(
+      `INSERT INTO events
+       (title, description, start_datetime, end_datetime, location, featured_image, is_featured, is_published,
+        registration_url, capacity, recurrence_rule, recurrence_exdates, recurrence_end, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [title, description, startDatetime, endDatetime, location, featuredImage, isFeatured, isPublished,
+       registrationUrl, capacity, rule, exdates, end, createdBy]
+    );
+    return this.findById(result.insertId);
+  }
+
+  // Find event by ID
+  static async findById(id) {
+    const [rows] = await pool.execute(
+      `SELECT e.*, u.username as created_by_username, ${REGISTERED_COUNT}
+       FROM events e
+       LEFT JOIN users u ON e.created_by = u.id
+       WHERE e.id = ?`,
+      [id]
+    );
+
+    if (rows.length === 0) return null;
+
+    const event = formatEvent(rows[0]);
+    if (event.recurrence_rule) {
+      event.overrides = await this.findOverrides(event.id);
+    }
+
+    return event;
+  }
+
+  // Get all events with pagination and filtering. Queries for a date window
+  // (upcoming, past, from/to) list individual occurrences of recurring events.
+  static async findAll(filters = {}) {
+    if (filters.when || filters.from || filters.to) {
+      return this.findOccurrences(filters);
+    }
+
+    const { search = '', status = 'published', featured = null, page = 1, limit = 10 } = filters;
+    const offset = (page - 1) * limit;
+    const { where, params } = buildFilters({ search, status, featured });
+
+    // Get total count for pagination
+    const [countRows] = await pool.execute(`SELECT COUNT(*) as total FROM events e ${where}`, params);
+    const total = countRows[0].total;
+
+    const [rows] = await pool.execute(
+      `SELECT e.*, u.username as created_by_username, ${REGISTERED_COUNT}
+       FROM events e
+       LEFT JOIN users u ON e.created_by = u.id
+       ${where}
+       ORDER BY e.start_datetime ASC
+       LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+
+    return {
+      data: rows.map(formatEvent),
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  // Get one-off events and expanded recurring occurrences within a date window
+  static async findOccurrences({
+    search = '',
+    status = 'published',
+    when = null,
+    featured = null,
+    from = null,
+    to = null,
+    page = 1,
+    limit = 10
+  } = {}) {
+    const offset = (page - 1) * limit;
+    const now = new Date();
+    const { where, params } = buildFilters({ search, status, featured });
+
+    // Upcoming events are those that have not finished yet.
+    // A from/to range matches any event overlapping it.
+    let windowClause = '';
+    const windowParams = [];
+    if (when === 'upcoming') {
+      windowClause += ' AND e.end_datetime >= UTC_TIMESTAMP()';
+    } else if (when === 'past') {
+      windowClause += ' AND e.end_datetime < UTC_TIMESTAMP()';
+    }
+    if (from) {
+      windowClause += ' AND e.end_datetime >= ?';
+      windowParams.push(from);
+    }
+    if (to) {
+      windowClause += ' AND e.start_datetime <= ?';
+      windowParams.push(to);
+    }
+
+    // Past events read most recent first, everything else chronologically
+    const descending = when === 'past';
+    const order = descending ? 'DESC' : 'ASC';
+
+    // One-off events: only the rows that can land on this page are needed
+    const [countRows] = await pool.execute(
+      `SELECT COUNT(*) as total FROM events e
+       ${where} AND e.recurrence_rule IS NULL ${windowClause}`,
+      [...params, ...windowParams]
+    );
+
+    const [single] = await pool.execute(
+      `SELECT e.*, u.username as created_by_username, ${REGISTERED_COUNT}
+       FROM events e
+       LEFT JOIN users u ON e.created_by = u.id
+       ${where} AND e.recurrence_rule IS NULL ${windowClause}
+       ORDER BY e.start_datetime ${order}
+       LIMIT ?`,
+      [...params, ...windowParams, offset + limit]
+    );
+
+    // Recurring events are expanded within the window, bounded by the
+    // horizon when one side of it is left open
+    const lowerBounds = [from, when === 'upcoming' ? now : null].filter(Boolean);
+    const upperBounds = [to, when === 'past' ? now : null].filter(Boolean);
+    const rangeStart = lowerBounds.length
+      ? new Date(Math.max(...lowerBounds))
+      : new Date(now.getTime() - RECURRENCE_HORIZON_DAYS * DAY_MS);
+    const rangeEnd = upperBounds.length
+      ? new Date(Math.min(...upperBounds))
+      : new Date(now.getTime() + RECURRENCE_HORIZON_DAYS * DAY_MS);
+
+    const [series] = await pool.execute(
+      `SELECT e.*, u.username as created_by_username, ${REGISTERED_COUNT}
+       FROM events e
+       LEFT JOIN users u ON e.created_by = u.id
+       ${where} AND e.recurrence_rule IS NOT NULL
+         AND e.start_datetime <= ?
+         AND (e.recurrence_end IS NULL OR e.recurrence_end >= ?)`,
+      [...params, rangeEnd, rangeStart]
+    );
+
+    const overrides = await this.findOverrides(series.map(event => event.id));
+    const counts = await EventRegistration.countByOccurrence(series.map(event => event.id));
+
+    const inWindow = ({ start_datetime: start, end_datetime: end }) =>
+      end >= rangeStart && start <= rangeEnd &&
+      (when !== 'upcoming' || end >= now) &&
+      (when !== 'past' || end < now);
+
+    const occurrences = [];
+    for (const event of series.map(formatEvent)) {
+      const duration = new Date(event.end_datetime) - new Date(event.start_datetime);
+      // Occurrences starting up to one duration before the window still overlap it
+      const expanded = expandSeries(
+        event,
+        overrides.filter(override => override.event_id === event.id),
+        counts.filter(row => row.event_id === event.id),
+        { rangeStart: new Date(rangeStart.getTime() - duration), rangeEnd }
+      );
+      occurrences.push(...expanded.filter(inWindow));
+    }
+
+    const rows = [...single.map(formatEvent), ...occurrences].sort((a, b) =>
+      descending ? b.start_datetime - a.start_datetime : a.start_datetime - b.start_datetime
+    );
+    const total = countRows[0].total + occurrences.length;
+
+    return {
+      data: rows.slice(offset, offset + limit),
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  // Expand the occurrences of one recurring event between two dates
+  static async findSeriesOccurrences(id, { from = null, to = null } = {}) {
+    const event = await this.findById(id);
+    if (!event) {
+      throw new Error('Event not found');
+    }
+    if (!event.recurrence_rule) {
+      throw new Error('Event is not recurring');
+    }
+
+    const counts = await EventRegistration.countByOccurrence(event.id);
+    return expandSeries(event, event.overrides, counts, { rangeStart: from, rangeEnd: to });
+  }
+
+  // Check that a date is the original start of one of the event's occurrences
+  static isOccurrence(event, date) {
+    if (!event.recurrence_rule) return false;
+
+    return expandOccurrences(parseRule(event.recurrence_rule), {
+      dtstart: event.start_datetime,
+      exdates: parseExdates(event.recurrence_exdates),
+      rangeStart: date,
+      rangeEnd: date
+    }).length === 1;
+  }
+
+  // Get the occurrence overrides of one or more recurring events
+  static async findOverrides(eventIds) {
+    const ids = [].concat(eventIds);
+    if (ids.length === 0) return [];
+
+    const [rows] = await pool.query(
+      `SELECT * FROM event_occurrence_overrides
+       WHERE event_id IN (?)
+       ORDER BY occurrence_start ASC`,
+      [ids]
+    );
+    return rows;
+  }
+
+  // Create or replace the override of a single occurrence
+  static async saveOverride(eventId, occurrenceStart, {
+    title = null,
+    description = null,
+    startDatetime = null,
+    endDatetime = null,
+    location = null
+  }) {
+    await pool.execute(
+      `INSERT INTO event_occurrence_overrides
+       (event_id, occurrence_start, title, description, start_datetime, end_datetime, location)
+       VALUES (?, ?, ?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE
+         title = VALUES(title), description = VALUES(description),
+         start_datetime = VALUES(start_datetime), end_datetime = VALUES(end_datetime),
+         location = VALUES(location)`,
+      [eventId, occurrenceStart, title, description, startDatetime, endDatetime, location]
+    );
+    return this.findById(eventId);
+  }
+
+  // Remove the override of a single occurrence, restoring the series values
+  static async deleteOverride(eventId, occurrenceStart) {
+    const [result] = await pool.execute(
+      'DELETE FROM event_occurrence_overrides WHERE event_id = ? AND occurrence_start = ?',
+      [eventId, occurrenceStart]
+    );
+    return result.affectedRows > 0;
+  }
+
+  // Cancel a single occurrence by adding it to the exception dates
+  static async cancelOccurrence(eventId, occurrenceStart) {
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const [rows] = await connection.execute(
+        'SELECT recurrence_exdates FROM events WHERE id = ? FOR UPDATE',
+        [eventId]
+      );
+      if (rows.length === 0) {
+        throw new Error('Event not found');
+      }
+
+      const exdates = parseExdates(rows[0].recurrence_exdates);
+      exdates.push(new Date(occurrenceStart));
+
+      await connection.execute(
+        'UPDATE events SET recurrence_exdates = ? WHERE id = ?',
+        [formatExdates(exdates), eventId]
+      );
+      await connection.execute(
+        'DELETE FROM event_occurrence_overrides WHERE event_id = ? AND occurrence_start = ?',
+        [eventId, occurrenceStart]
+      );
+
+      await connection.commit();
+      return this.findById(eventId);
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Get every published event ending after the given date (no pagination).
+  // Recurring events are included while their series is still running.
+  static async findPublishedSince(since) {
+    const [rows] = await pool.execute(
+      `SELECT e.*
+       FROM events e
+       WHERE e.is_published = TRUE
+         AND (e.end_datetime >= ?
+              OR (e.recurrence_rule IS NOT NULL AND (e.recurrence_end IS NULL OR e.recurrence_end >= ?)))
+       ORDER BY e.start_datetime ASC`,
+      [since, since]
+    );
+
+    const events = rows.map(formatEvent);
+    const overrides = await this.findOverrides(
+      events.filter(event => event.recurrence_rule).map(event => event.id)
+    );
+    for (const event of events) {
+      if (event.recurrence_rule) {
+        event.overrides = overrides.filter(override => override.event_id === event.id);
+      }
+    }
+
+    return events;
+  }
+
+  // Update an event. Occurrences cancelled earlier stay cancelled, and
+  // overrides of occurrences the new rule no longer has are dropped.
+  static async update(id, {
+    title,
+    description = null,
+    startDatetime,
+    endDatetime,
+    location = null,
+    featuredImage = null,
+    isFeatured = false,
+    isPublished = false,
+    registrationUrl = null,
+    capacity = null,
+    recurrence = null
+  }) {
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const [events] = await connection.execute(
+        'SELECT recurrence_exdates FROM events WHERE id = ? FOR UPDATE',
+        [id]
+      );
+      if (events.length === 0) {
+        throw new Error('Event not found');
+      }
+
+      if (recurrence) {
+        const exceptionDates = [...(recurrence.exceptionDates || []), ...parseExdates(events[0].recurrence_exdates)]
+          .map(date => new Date(date));
+        recurrence = {
+          ...recurrence,
+          exceptionDates: exceptionDates.filter((date, index) =>
+            exceptionDates.findIndex(other => other.getTime() === date.getTime()) === index)
+        };
+      }
+      const { rule, exdates, end } = recurrenceColumns(recurrence, startDatetime, endDatetime);
+
+      await connection.execute(
+        `UPDATE events
+         SET title = ?, description = ?, start_datetime = ?, end_datetime = ?,
+             location = ?, featured_image = ?, is_featured = ?, is_published = ?,
+             registration_url = ?, capacity = ?,
+             recurrence_rule = ?, recurrence_exdates = ?, recurrence_end = ?
+         WHERE id = ?`,
+        [title, description, startDatetime, endDatetime, location, featuredImage,
+         isFeatured, isPublished, registrationUrl, capacity, rule, exdates, end, id]
+      );
+
+      const [overrides] = await connection.execute(
+        'SELECT id, occurrence_start FROM event_occurrence_overrides WHERE event_id = ?',
+        [id]
+      );
+      const series = { recurrence_rule: rule, recurrence_exdates: exdates, start_datetime: new Date(startDatetime) };
+      const orphaned = overrides
+        .filter(override => !this.isOccurrence(series, new Date(override.occurrence_start)))
+        .map(override => override.id);
+      if (orphaned.length > 0) {
+        await connection.query('DELETE FROM event_occurrence_overrides WHERE id IN (?)', [orphaned]);
+      }
+
+      // Raising (or removing) the capacity frees spots for the waitlist.
+      // The event row is locked above, as promotion requires.
+      await EventRegistration.promoteWaitlisted(id, connection);
+
+      await connection.commit();
+      return this.findById(id);
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Delete an event
+  static async delete(id) {
+    const [result] = await pool.execute('DELETE FROM events WHERE id = ?', [id]);
+    return result.affectedRows > 0;
+  }
+}
+
+export default Event;
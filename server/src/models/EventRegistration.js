@@ -0,0 +1,247 @@
+import crypto from 'crypto';
+import { pool } from '../config/db.js';
+import Event from './Event.js';
+
+class EventRegistration {
+  // Register an attendee, waitlisting them when the event is full. Registrations
+  // for a recurring event are for one occurrence, given by its original start.
+  // Each registration gets a new cancel nonce, so older cancellation links stop working.
+  static async register(eventId, { name, email, phone = null, occurrenceStart = null }) {
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      // Lock the event row so concurrent registrations can't overfill it
+      const [events] = await connection.execute(
+        `SELECT id, capacity, is_published, start_datetime, end_datetime, recurrence_rule, recurrence_exdates
+         FROM events WHERE id = ? FOR UPDATE`,
+        [eventId]
+      );
+
+      const event = events[0];
+      if (!event || !event.is_published) {
+        throw new Error('Event not found');
+      }
+
+      let occurrence = null;
+      let endsAt = new Date(event.end_datetime);
+      if (event.recurrence_rule) {
+        if (!occurrenceStart) {
+          throw new Error('Choose an occurrence to register for');
+        }
+        occurrence = new Date(occurrenceStart);
+        if (!Event.isOccurrence(event, occurrence)) {
+          throw new Error('Occurrence not found');
+        }
+        endsAt = new Date(occurrence.getTime() + (new Date(event.end_datetime) - new Date(event.start_datetime)));
+      }
+      if (endsAt < new Date()) {
+        throw new Error('Registration is closed');
+      }
+
+      const [existing] = await connection.execute(
+        'SELECT id, status FROM event_registrations WHERE event_id = ? AND occurrence_start <=> ? AND email = ?',
+        [eventId, occurrence, email]
+      );
+
+      if (existing.length > 0 && existing[0].status !== 'cancelled') {
+        throw new Error('Already registered for this event');
+      }
+
+      const registeredCount = await this.countRegistered(eventId, occurrence, connection);
+      const isFull = event.capacity !== null && registeredCount >= event.capacity;
+      const status = isFull ? 'waitlisted' : 'registered';
+      const waitlistedAt = isFull ? new Date() : null;
+      const cancelNonce = crypto.randomBytes(24).toString('hex');
+
+      let registrationId;
+
+      if (existing.length > 0) {
+        // Someone who cancelled earlier is signing up again
+        registrationId = existing[0].id;
+        await connection.execute(
+          `UPDATE event_registrations
+           SET name = ?, phone = ?, status = ?, waitlisted_at = ?, cancelled_at = NULL, cancel_nonce = ?
+           WHERE id = ?`,
+          [name, phone, status, waitlistedAt, cancelNonce, registrationId]
+        );
+      } else {
+        const [result] = await connection.execute(
+          `INSERT INTO event_registrations
+             (event_id, occurrence_start, name, email, phone, status, waitlisted_at, cancel_nonce)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+          [eventId, occurrence, name, email, phone, status, waitlistedAt, cancelNonce]
+        );
+        registrationId = result.insertId;
+      }
+
+      await connection.commit();
+      return this.findById(registrationId);
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Cancel a registration and promote the next person on the waitlist.
+  // An attendee's cancellation link carries the nonce, which must be current.
+  static async cancel(id, { nonce = null } = {}) {
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const [rows] = await connection.execute(
+        'SELECT id, event_id, status, cancel_nonce FROM event_registrations WHERE id = ?',
+        [id]
+      );
+
+      const registration = rows[0];
+      if (!registration) {
+        throw new Error('Registration not found');
+      }
+      if (registration.status === 'cancelled') {
+        throw new Error('Registration is already cancelled');
+      }
+      if (nonce !== null && registration.cancel_nonce !== nonce) {
+        throw new Error('Invalid cancellation token');
+      }
+
+      await connection.execute(
+        'SELECT id FROM events WHERE id = ? FOR UPDATE',
+        [registration.event_id]
+      );
+
+      await connection.execute(
+        `UPDATE event_registrations
+         SET status = 'cancelled', waitlisted_at = NULL, cancelled_at = NOW(), cancel_nonce = NULL
+         WHERE id = ?`,
+        [id]
+      );
+
+      const promoted = await this.promoteWaitlisted(registration.event_id, connection);
+
+      await connection.commit();
+      return { registration: await this.findById(id), promoted };
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Move waitlisted attendees into free spots, oldest first. Each occurrence of
+  // a recurring event has its own capacity and waitlist.
+  // Expects the caller to hold a lock on the event row.
+  static async promoteWaitlisted(eventId, connection = pool) {
+    const [events] = await connection.execute(
+      'SELECT capacity FROM events WHERE id = ?',
+      [eventId]
+    );
+    if (events.length === 0) return [];
+
+    const { capacity } = events[0];
+    const [occurrences] = await connection.execute(
+      `SELECT DISTINCT occurrence_start FROM event_registrations
+       WHERE event_id = ? AND status = 'waitlisted'`,
+      [eventId]
+    );
+
+    const ids = [];
+    for (const { occurrence_start: occurrenceStart } of occurrences) {
+      let query = `SELECT id FROM event_registrations
+                   WHERE event_id = ? AND occurrence_start <=> ? AND status = 'waitlisted'
+                   ORDER BY waitlisted_at ASC, id ASC`;
+      const params = [eventId, occurrenceStart];
+
+      if (capacity !== null) {
+        const freeSpots = capacity - await this.countRegistered(eventId, occurrenceStart, connection);
+        if (freeSpots <= 0) continue;
+        query += ' LIMIT ?';
+        params.push(freeSpots);
+      }
+
+      const [waitlisted] = await connection.query(query, params);
+      ids.push(...waitlisted.map(row => row.id));
+    }
+    if (ids.length === 0) return [];
+
+    await connection.query(
+      `UPDATE event_registrations
+       SET status = 'registered', waitlisted_at = NULL
+       WHERE id IN (?)`,
+      [ids]
+    );
+
+    return ids;
+  }
+
+  // Count confirmed (non-waitlisted) attendees of an event, or of one
+  // occurrence of a recurring event
+  static async countRegistered(eventId, occurrenceStart = null, connection = pool) {
+    const [rows] = await connection.execute(
+      `SELECT COUNT(*) as total FROM event_registrations
+       WHERE event_id = ? AND occurrence_start <=> ? AND status = 'registered'`,
+      [eventId, occurrenceStart]
+    );
+    return rows[0].total;
+  }
+
+  // Count confirmed attendees per occurrence of one or more recurring events
+  static async countByOccurrence(eventIds) {
+    const ids = [].concat(eventIds);
+    if (ids.length === 0) return [];
+
+    const [rows] = await pool.query(
+      `SELECT event_id, occurrence_start, COUNT(*) as total FROM event_registrations
+       WHERE event_id IN (?) AND occurrence_start IS NOT NULL AND status = 'registered'
+       GROUP BY event_id, occurrence_start`,
+      [ids]
+    );
+    return rows;
+  }
+
+  // Find registration by ID, with the details of the occurrence registered for
+  static async findById(id) {
+    const [rows] = await pool.execute(
+      `SELECT r.*, COALESCE(o.title, e.title) as event_title,
+              COALESCE(o.start_datetime, r.occurrence_start, e.start_datetime) as event_start_datetime,
+              COALESCE(o.location, e.location) as event_location
+       FROM event_registrations r
+       JOIN events e ON r.event_id = e.id
+       LEFT JOIN event_occurrence_overrides o
+         ON o.event_id = r.event_id AND o.occurrence_start = r.occurrence_start
+       WHERE r.id = ?`,
+      [id]
+    );
+    return rows[0] || null;
+  }
+
+  // List the registrations of an event or one of its occurrences (waitlist in queue order)
+  static async findByEvent(eventId, { status = null, occurrenceStart = null } = {}) {
+    let query = 'SELECT * FROM event_registrations WHERE event_id = ?';
+    const params = [eventId];
+
+    if (occurrenceStart) {
+      query += ' AND occurrence_start = ?';
+      params.push(occurrenceStart);
+    }
+
+    if (status) {
+      query += ' AND status = ?';
+      params.push(status);
+    }
+
+    query += ` ORDER BY occurrence_start ASC, FIELD(status, 'registered', 'waitlisted', 'cancelled'),
+               waitlisted_at ASC, created_at ASC, id ASC`;
+
+    const [rows] = await pool.execute(query, params);
+    return rows;
+  }
+}
+
+export default EventRegistration;
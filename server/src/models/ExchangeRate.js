@@ -0,0 +1,202 @@
+import dotenv from 'dotenv';
+import { pool } from '../config/db.js';
+
+dotenv.config();
+
+// Currency that reports and dashboards total donations in
+export const REPORTING_CURRENCY = (process.env.REPORTING_CURRENCY || 'USD').toUpperCase();
+
+// DATE columns are compared against the UTC calendar day
+const toDateString = (date) => new Date(date).toISOString().slice(0, 10);
+
+// Recompute the rate and reporting amount of a currency's donations made on
+// or after a date, using the latest rate effective on each donation's day.
+// MySQL evaluates the assignments left to right, so reporting_amount sees
+// the new exchange_rate (or NULL when no rate is known yet).
+const renormalizeCurrency = async (connection, currency, from = null) => {
+  let query = `UPDATE donations d
+    SET d.exchange_rate = (
+          SELECT r.rate FROM exchange_rates r
+          WHERE r.currency = d.currency AND r.effective_date <= DATE(d.created_at)
+          ORDER BY r.effective_date DESC
+          LIMIT 1
+        ),
+        d.reporting_amount = ROUND(d.amount * d.exchange_rate, 2)
+    WHERE d.currency = ?`;
+  const params = [currency];
+
+  if (from) {
+    query += ' AND d.created_at >= ?';
+    params.push(`${toDateString(from)} 00:00:00`);
+  }
+
+  const [result] = await connection.execute(query, params);
+  return result.affectedRows;
+};
+
+class ExchangeRate {
+  // Rate of a currency on a given day, or null when no rate is known
+  static async rateFor(currency, date = new Date()) {
+    if (currency === REPORTING_CURRENCY) return 1;
+
+    const [rows] = await pool.execute(
+      `SELECT rate FROM exchange_rates
+       WHERE currency = ? AND effective_date <= ?
+       ORDER BY effective_date DESC
+       LIMIT 1`,
+      [currency, toDateString(date)]
+    );
+    return rows[0] ? Number(rows[0].rate) : null;
+  }
+
+  // Convert an amount to the reporting currency, rounded to cents
+  static async normalize(amount, currency, date = new Date()) {
+    const rate = await this.rateFor(currency, date);
+    return {
+      exchangeRate: rate,
+      reportingAmount: rate === null ? null : Math.round(Number(amount) * rate * 100) / 100
+    };
+  }
+
+  // Find exchange rate by ID
+  static async findById(id) {
+    const [rows] = await pool.execute('SELECT * FROM exchange_rates WHERE id = ?', [id]);
+    return rows[0] || null;
+  }
+
+  // Get all rates with pagination, newest first
+  static async findAll({ currency = null, page = 1, limit = 50 } = {}) {
+    const offset = (page - 1) * limit;
+    let query = 'FROM exchange_rates WHERE 1=1';
+    const params = [];
+
+    if (currency) {
+      query += ' AND currency = ?';
+      params.push(currency);
+    }
+
+    // Get total count for pagination
+    const [countRows] = await pool.execute(`SELECT COUNT(*) as total ${query}`, params);
+    const total = countRows[0].total;
+
+    query += ' ORDER BY effective_date DESC, currency ASC LIMIT ? OFFSET ?';
+    params.push(limit, offset);
+
+    const [rows] = await pool.execute(`SELECT * ${query}`, params);
+
+    return {
+      data: rows,
+      reportingCurrency: REPORTING_CURRENCY,
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  // Save dated rates (replacing a rate already entered for the same day) and
+  // re-normalize the donations they apply to. Returns the number of rates saved
+  // and of donations updated.
+  static async save(rates, createdBy = null) {
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      // Earliest changed day per currency; later donations may need a new rate
+      const earliest = new Map();
+
+      for (const { currency, rate, effectiveDate } of rates) {
+        await connection.execute(
+          `INSERT INTO exchange_rates (currency, rate, effective_date, created_by)
+           VALUES (?, ?, ?, ?)
+           ON DUPLICATE KEY UPDATE rate = VALUES(rate), created_by = VALUES(created_by)`,
+          [currency, rate, toDateString(effectiveDate), createdBy]
+        );
+
+        const day = toDateString(effectiveDate);
+        if (!earliest.has(currency) || day < earliest.get(currency)) {
+          earliest.set(currency, day);
+        }
+      }
+
+      let donations = 0;
+      for (const [currency, from] of earliest) {
+        donations += await renormalizeCurrency(connection, currency, from);
+      }
+
+      await connection.commit();
+      return { saved: rates.length, donations };
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Delete a rate; donations it applied to fall back to the previous rate
+  static async delete(id) {
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const [rows] = await connection.execute(
+        'SELECT * FROM exchange_rates WHERE id = ? FOR UPDATE',
+        [id]
+      );
+      if (rows.length === 0) {
+        await connection.rollback();
+        return false;
+      }
+
+      await connection.execute('DELETE FROM exchange_rates WHERE id = ?', [id]);
+      await renormalizeCurrency(connection, rows[0].currency, rows[0].effective_date);
+
+      await connection.commit();
+      return true;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Recompute the reporting amount of every donation, e.g. after changing
+  // REPORTING_CURRENCY or for donations recorded before rates existed
+  static async renormalizeAll() {
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const [reporting] = await connection.execute(
+        'UPDATE donations SET exchange_rate = 1, reporting_amount = amount WHERE currency = ?',
+        [REPORTING_CURRENCY]
+      );
+      let donations = reporting.affectedRows;
+
+      const [currencies] = await connection.execute(
+        'SELECT DISTINCT currency FROM donations WHERE currency != ?',
+        [REPORTING_CURRENCY]
+      );
+      for (const { currency } of currencies) {
+        donations += await renormalizeCurrency(connection, currency);
+      }
+
+      await connection.commit();
+      return donations;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+}
+
+export default ExchangeRate;
@@ -0,0 +1,59 @@
+import { pool } from '../config/db.js';
+
+export const LOGIN_OUTCOMES = ['success', 'failure', 'blocked'];
+
+class LoginEvent {
+  // Record a login attempt
+  static async record({ userId = null, email = null, ip = null, userAgent = null, outcome, reason = null }) {
+    await pool.execute(
+      `INSERT INTO login_events (user_id, email, ip_address, user_agent, outcome, reason)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [userId, email, ip, userAgent, outcome, reason]
+    );
+  }
+
+  // Get the login attempts of a user with pagination, newest first
+  static async findByUser(userId, { outcome = null, page = 1, limit = 20 } = {}) {
+    const offset = (page - 1) * limit;
+    let query = 'WHERE user_id = ?';
+    const params = [userId];
+
+    if (outcome) {
+      query += ' AND outcome = ?';
+      params.push(outcome);
+    }
+
+    // Get total count for pagination
+    const [countRows] = await pool.execute(`SELECT COUNT(*) as total FROM login_events ${query}`, params);
+    const total = countRows[0].total;
+
+    // Add sorting and pagination
+    query += ' ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?';
+    params.push(limit, offset);
+
+    const [rows] = await pool.query(`SELECT * FROM login_events ${query}`, params);
+
+    return {
+      data: rows,
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  // Failed attempts from an IP address since a moment, and when the earliest of them was
+  static async countFailuresByIp(ip, since) {
+    const [rows] = await pool.execute(
+      `SELECT COUNT(*) as total, MIN(created_at) as first_at
+       FROM login_events
+       WHERE ip_address = ? AND outcome = 'failure' AND created_at > ?`,
+      [ip, since]
+    );
+    return { total: rows[0].total, firstAt: rows[0].first_at };
+  }
+}
+
+export default LoginEvent;
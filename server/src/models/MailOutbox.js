@@ -0,0 +1,152 @@
+import { pool } from '../config/db.js';
+
+export const OUTBOX_STATUSES = ['pending', 'sent', 'failed'];
+
+const formatMessage = (row) => ({
+  ...row,
+  headers: row.headers ? JSON.parse(row.headers) : null
+});
+
+class MailOutbox {
+  // Store a rendered message. With a dedupe key that was used before, nothing
+  // is stored and null is returned.
+  static async create({
+    template = null,
+    dedupeKey = null,
+    to,
+    from,
+    subject,
+    html = null,
+    text = null,
+    headers = null,
+    sensitive = false,
+    messageId,
+    nextAttemptAt
+  }) {
+    const [result] = await pool.execute(
+      `INSERT IGNORE INTO mail_outbox
+       (template, dedupe_key, to_address, from_address, subject, html_body, text_body, headers, sensitive, message_id, next_attempt_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [template, dedupeKey, to, from, subject, html, text, headers ? JSON.stringify(headers) : null, sensitive, messageId, nextAttemptAt]
+    );
+    return result.affectedRows > 0 ? this.findById(result.insertId) : null;
+  }
+
+  // Find message by ID
+  static async findById(id) {
+    const [rows] = await pool.execute('SELECT * FROM mail_outbox WHERE id = ?', [id]);
+    return rows[0] ? formatMessage(rows[0]) : null;
+  }
+
+  // Get messages with pagination and filtering; bodies are left out
+  static async findAll({ status = null, template = null, search = '', page = 1, limit = 20 } = {}) {
+    const offset = (page - 1) * limit;
+    let query = 'WHERE 1=1';
+    const params = [];
+
+    if (status) {
+      query += ' AND status = ?';
+      params.push(status);
+    }
+
+    if (template) {
+      query += ' AND template = ?';
+      params.push(template);
+    }
+
+    if (search) {
+      query += ' AND (to_address LIKE ? OR subject LIKE ?)';
+      const searchTerm = `%${search}%`;
+      params.push(searchTerm, searchTerm);
+    }
+
+    // Get total count for pagination
+    const [countRows] = await pool.execute(`SELECT COUNT(*) as total FROM mail_outbox ${query}`, params);
+    const total = countRows[0].total;
+
+    // Add sorting and pagination
+    query += ' ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?';
+    params.push(limit, offset);
+
+    const [rows] = await pool.query(
+      `SELECT id, template, to_address, from_address, subject, message_id, status, attempts,
+              last_error, next_attempt_at, sent_at, created_at, updated_at
+       FROM mail_outbox ${query}`,
+      params
+    );
+
+    return {
+      data: rows,
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  // Pending messages whose next attempt is due
+  static async findDue(now = new Date(), limit = 50) {
+    const [rows] = await pool.query(
+      `SELECT * FROM mail_outbox
+       WHERE status = 'pending' AND next_attempt_at <= ?
+       ORDER BY next_attempt_at ASC, id ASC
+       LIMIT ?`,
+      [now, limit]
+    );
+    return rows.map(formatMessage);
+  }
+
+  // Take a due message for sending by pushing its next attempt back. Returns
+  // false when another worker got to it first.
+  static async claim(id, { now = new Date(), until }) {
+    const [result] = await pool.execute(
+      `UPDATE mail_outbox SET next_attempt_at = ?
+       WHERE id = ? AND status = 'pending' AND next_attempt_at <= ?`,
+      [until, id, now]
+    );
+    return result.affectedRows > 0;
+  }
+
+  // The message was handed to the transport; sensitive content is no longer needed
+  static async markSent(id, { messageId, sentAt = new Date() }) {
+    await pool.execute(
+      `UPDATE mail_outbox
+       SET status = 'sent', attempts = attempts + 1, message_id = ?, last_error = NULL,
+           next_attempt_at = NULL, sent_at = ?,
+           html_body = IF(sensitive, NULL, html_body), text_body = IF(sensitive, NULL, text_body)
+       WHERE id = ?`,
+      [messageId, sentAt, id]
+    );
+  }
+
+  // The transport rejected the message; without a next attempt it has failed for good
+  static async markFailed(id, { error, nextAttemptAt = null }) {
+    await pool.execute(
+      `UPDATE mail_outbox
+       SET attempts = attempts + 1, status = ?, last_error = ?, next_attempt_at = ?
+       WHERE id = ?`,
+      [nextAttemptAt ? 'pending' : 'failed', String(error).slice(0, 255), nextAttemptAt, id]
+    );
+  }
+
+  // Queue a failed message again, with a fresh set of attempts
+  static async retry(id, now = new Date()) {
+    const [result] = await pool.execute(
+      `UPDATE mail_outbox
+       SET status = 'pending', attempts = 0, next_attempt_at = ?
+       WHERE id = ? AND status = 'failed'`,
+      [now, id]
+    );
+
+    if (result.affectedRows === 0) {
+      const message = await this.findById(id);
+      throw new Error(message ? 'Only failed messages can be retried' : 'Message not found');
+    }
+
+    return this.findById(id);
+  }
+}
+
+export default MailOutbox;
@@ -0,0 +1,294 @@
+import { pool } from '../config/db.js';
+
+export const CAMPAIGN_STATUSES = ['draft', 'scheduled', 'sending', 'sent', 'cancelled'];
+
+// Delivery figures per campaign
+const SELECT_CAMPAIGN = `
+  SELECT nc.*, u.username AS created_by_username,
+         COALESCE(rs.recipient_count, 0) AS recipient_count,
+         COALESCE(rs.queued_count, 0) AS queued_count,
+         COALESCE(rs.sent_count, 0) AS sent_count,
+         COALESCE(rs.failed_count, 0) AS failed_count,
+         COALESCE(rs.skipped_count, 0) AS skipped_count
+  FROM newsletter_campaigns nc
+  LEFT JOIN users u ON u.id = nc.created_by
+  LEFT JOIN (
+    SELECT campaign_id, COUNT(*) AS recipient_count,
+           SUM(status = 'queued') AS queued_count,
+           SUM(status = 'sent') AS sent_count,
+           SUM(status = 'failed') AS failed_count,
+           SUM(status = 'skipped') AS skipped_count
+    FROM newsletter_campaign_recipients
+    GROUP BY campaign_id
+  ) rs ON rs.campaign_id = nc.id`;
+
+const COUNT_COLUMNS = ['recipient_count', 'queued_count', 'sent_count', 'failed_count', 'skipped_count'];
+
+const formatCampaign = (row) => {
+  const campaign = { ...row };
+  for (const column of COUNT_COLUMNS) {
+    campaign[column] = Number(row[column]);
+  }
+  return campaign;
+};
+
+// Active subscribers a campaign is addressed to
+const audienceFilter = (campaign) => {
+  let query = 'WHERE s.is_active = TRUE';
+  const params = [];
+
+  if (campaign.audience_source) {
+    query += ' AND s.consent_source = ?';
+    params.push(campaign.audience_source);
+  }
+  if (campaign.audience_confirmed_after) {
+    query += ' AND s.confirmed_at >= ?';
+    params.push(campaign.audience_confirmed_after);
+  }
+  if (campaign.audience_confirmed_before) {
+    query += ' AND s.confirmed_at <= ?';
+    params.push(campaign.audience_confirmed_before);
+  }
+
+  return { query, params };
+};
+
+// Explain why a campaign wasn't changed: it's missing or in the wrong state
+const notChanged = async (id, message) => {
+  const [rows] = await pool.execute('SELECT id FROM newsletter_campaigns WHERE id = ?', [id]);
+  throw new Error(rows.length === 0 ? 'Campaign not found' : message);
+};
+
+class NewsletterCampaign {
+  // Create a draft campaign
+  static async create({
+    subject,
+    htmlBody,
+    textBody = null,
+    audienceSource = null,
+    audienceConfirmedAfter = null,
+    audienceConfirmedBefore = null,
+    createdBy = null
+  }) {
+    const [result] = await pool.execute(
+      `INSERT INTO newsletter_campaigns
+       (subject, html_body, text_body, audience_source, audience_confirmed_after, audience_confirmed_before, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [subject, htmlBody, textBody, audienceSource, audienceConfirmedAfter, audienceConfirmedBefore, createdBy]
+    );
+    return this.findById(result.insertId);
+  }
+
+  // Find campaign by ID, with its delivery figures
+  static async findById(id) {
+    const [rows] = await pool.execute(`${SELECT_CAMPAIGN} WHERE nc.id = ?`, [id]);
+    return rows[0] ? formatCampaign(rows[0]) : null;
+  }
+
+  // Get all campaigns with pagination and filtering
+  static async findAll({ search = '', status = null, page = 1, limit = 20 } = {}) {
+    const offset = (page - 1) * limit;
+    let query = 'WHERE 1=1';
+    const params = [];
+
+    if (search) {
+      query += ' AND nc.subject LIKE ?';
+      params.push(`%${search}%`);
+    }
+
+    if (status) {
+      query += ' AND nc.status = ?';
+      params.push(status);
+    }
+
+    // Get total count for pagination
+    const [countRows] = await pool.execute(`SELECT COUNT(*) as total FROM newsletter_campaigns nc ${query}`, params);
+    const total = countRows[0].total;
+
+    // Add sorting and pagination
+    query += ' ORDER BY nc.created_at DESC, nc.id DESC LIMIT ? OFFSET ?';
+    params.push(limit, offset);
+
+    const [rows] = await pool.query(`${SELECT_CAMPAIGN} ${query}`, params);
+
+    return {
+      data: rows.map(formatCampaign),
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  // Number of subscribers the campaign would go to right now
+  static async countAudience(campaign) {
+    const { query, params } = audienceFilter(campaign);
+    const [rows] = await pool.execute(`SELECT COUNT(*) AS total FROM newsletter_subscribers s ${query}`, params);
+    return rows[0].total;
+  }
+
+  // Update the content or audience of a campaign that hasn't started sending
+  static async update(id, {
+    subject,
+    htmlBody,
+    textBody = null,
+    audienceSource = null,
+    audienceConfirmedAfter = null,
+    audienceConfirmedBefore = null
+  }) {
+    const [result] = await pool.execute(
+      `UPDATE newsletter_campaigns
+       SET subject = ?, html_body = ?, text_body = ?, audience_source = ?,
+           audience_confirmed_after = ?, audience_confirmed_before = ?
+       WHERE id = ? AND status IN ('draft', 'scheduled')`,
+      [subject, htmlBody, textBody, audienceSource, audienceConfirmedAfter, audienceConfirmedBefore, id]
+    );
+
+    if (result.affectedRows === 0) {
+      await notChanged(id, 'Only draft or scheduled campaigns can be edited');
+    }
+
+    return this.findById(id);
+  }
+
+  // Schedule a campaign. A cancelled campaign can be rescheduled as long as nothing was sent.
+  static async schedule(id, scheduledAt) {
+    const [result] = await pool.execute(
+      `UPDATE newsletter_campaigns
+       SET status = 'scheduled', scheduled_at = ?
+       WHERE id = ? AND (status IN ('draft', 'scheduled') OR (status = 'cancelled' AND started_at IS NULL))`,
+      [scheduledAt, id]
+    );
+
+    if (result.affectedRows === 0) {
+      await notChanged(id, 'This campaign can no longer be scheduled');
+    }
+
+    return this.findById(id);
+  }
+
+  // Stop a scheduled or sending campaign; recipients still queued are skipped
+  static async cancel(id) {
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const [result] = await connection.execute(
+        `UPDATE newsletter_campaigns SET status = 'cancelled'
+         WHERE id = ? AND status IN ('scheduled', 'sending')`,
+        [id]
+      );
+
+      if (result.affectedRows === 0) {
+        await notChanged(id, 'Only scheduled or sending campaigns can be cancelled');
+      }
+
+      await connection.execute(
+        `UPDATE newsletter_campaign_recipients
+         SET status = 'skipped', error = 'Campaign cancelled'
+         WHERE campaign_id = ? AND status = 'queued'`,
+        [id]
+      );
+
+      await connection.commit();
+      return this.findById(id);
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Delete a campaign, unless it is being sent
+  static async delete(id) {
+    const [result] = await pool.execute(
+      "DELETE FROM newsletter_campaigns WHERE id = ? AND status != 'sending'",
+      [id]
+    );
+
+    if (result.affectedRows === 0) {
+      await notChanged(id, 'Cancel the campaign before deleting it');
+    }
+
+    return true;
+  }
+
+  // Scheduled campaigns whose send time has come
+  static async findDueToStart(now = new Date()) {
+    const [rows] = await pool.execute(
+      `SELECT * FROM newsletter_campaigns
+       WHERE status = 'scheduled' AND scheduled_at <= ?
+       ORDER BY scheduled_at ASC, id ASC`,
+      [now]
+    );
+    return rows;
+  }
+
+  // Campaigns with recipients left to send to, oldest first
+  static async findSending() {
+    const [rows] = await pool.execute(
+      "SELECT * FROM newsletter_campaigns WHERE status = 'sending' ORDER BY started_at ASC, id ASC"
+    );
+    return rows;
+  }
+
+  // Queue every subscriber in the audience, as they are at send time
+  static async start(id, now = new Date()) {
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const [rows] = await connection.execute(
+        'SELECT * FROM newsletter_campaigns WHERE id = ? FOR UPDATE',
+        [id]
+      );
+
+      // Cancelled or started in the meantime
+      if (rows.length === 0 || rows[0].status !== 'scheduled') {
+        await connection.commit();
+        return null;
+      }
+
+      const { query, params } = audienceFilter(rows[0]);
+      await connection.execute(
+        `INSERT IGNORE INTO newsletter_campaign_recipients (campaign_id, subscriber_id, email)
+         SELECT ?, s.id, s.email FROM newsletter_subscribers s ${query}`,
+        [id, ...params]
+      );
+
+      await connection.execute(
+        "UPDATE newsletter_campaigns SET status = 'sending', started_at = ? WHERE id = ?",
+        [now, id]
+      );
+
+      await connection.commit();
+      return this.findById(id);
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Mark a sending campaign as sent once nothing is left in its queue
+  static async completeIfDone(id, now = new Date()) {
+    const [result] = await pool.execute(
+      `UPDATE newsletter_campaigns SET status = 'sent', completed_at = ?
+       WHERE id = ? AND status = 'sending'
+         AND NOT EXISTS (
+           SELECT 1 FROM newsletter_campaign_recipients
+           WHERE campaign_id = ? AND status = 'queued'
+         )`,
+      [now, id, id]
+    );
+    return result.affectedRows > 0;
+  }
+}
+
+export default NewsletterCampaign;
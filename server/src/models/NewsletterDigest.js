@@ -0,0 +1,66 @@
+import { pool } from '../config/db.js';
+
+class NewsletterDigest {
+  // The most recent digest, sent or skipped; the next one starts where it ended
+  static async findLatest() {
+    const [rows] = await pool.execute(
+      'SELECT * FROM newsletter_digests ORDER BY period_end DESC, id DESC LIMIT 1'
+    );
+    return rows[0] || null;
+  }
+
+  // Recent digests with the status of their campaign
+  static async findRecent(limit = 10) {
+    const [rows] = await pool.query(
+      `SELECT d.*, nc.subject, nc.status AS campaign_status
+       FROM newsletter_digests d
+       LEFT JOIN newsletter_campaigns nc ON nc.id = d.campaign_id
+       ORDER BY d.period_end DESC, d.id DESC
+       LIMIT ?`,
+      [limit]
+    );
+    return rows;
+  }
+
+  // Record a period with nothing to send
+  static async skip({ periodStart, periodEnd }) {
+    const [result] = await pool.execute(
+      `INSERT INTO newsletter_digests (period_start, period_end, post_count, status)
+       VALUES (?, ?, 0, 'skipped')`,
+      [periodStart, periodEnd]
+    );
+    return { id: result.insertId, campaign_id: null };
+  }
+
+  // Create the digest campaign, scheduled right away so the send queue picks
+  // it up, together with the digest record that moves the period on
+  static async queue({ periodStart, periodEnd, postCount, subject, htmlBody, textBody }) {
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const [campaign] = await connection.execute(
+        `INSERT INTO newsletter_campaigns (subject, html_body, text_body, status, scheduled_at)
+         VALUES (?, ?, ?, 'scheduled', ?)`,
+        [subject, htmlBody, textBody, periodEnd]
+      );
+
+      const [result] = await connection.execute(
+        `INSERT INTO newsletter_digests (campaign_id, period_start, period_end, post_count, status)
+         VALUES (?, ?, ?, ?, 'queued')`,
+        [campaign.insertId, periodStart, periodEnd, postCount]
+      );
+
+      await connection.commit();
+      return { id: result.insertId, campaign_id: campaign.insertId };
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+}
+
+export default NewsletterDigest;
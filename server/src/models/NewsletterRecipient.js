@@ -0,0 +1,111 @@
+import { pool } from '../config/db.js';
+
+export const RECIPIENT_STATUSES = ['queued', 'sent', 'failed', 'skipped'];
+
+class NewsletterRecipient {
+  // Next queued recipients of a campaign, with their current subscription state
+  static async nextBatch(campaignId, limit) {
+    const [rows] = await pool.query(
+      `SELECT r.*, s.first_name, s.last_name, s.is_active
+       FROM newsletter_campaign_recipients r
+       JOIN newsletter_subscribers s ON s.id = r.subscriber_id
+       WHERE r.campaign_id = ? AND r.status = 'queued'
+       ORDER BY r.id ASC
+       LIMIT ?`,
+      [campaignId, limit]
+    );
+    return rows;
+  }
+
+  // The message was handed to the transport
+  static async markSent(id, { messageId, sentAt = new Date() }) {
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      await connection.execute(
+        `UPDATE newsletter_campaign_recipients
+         SET status = 'sent', attempts = attempts + 1, message_id = ?, error = NULL, sent_at = ?
+         WHERE id = ?`,
+        [messageId, sentAt, id]
+      );
+      await connection.execute(
+        `UPDATE newsletter_subscribers s
+         JOIN newsletter_campaign_recipients r ON r.subscriber_id = s.id
+         SET s.last_sent_at = ?
+         WHERE r.id = ?`,
+        [sentAt, id]
+      );
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // The transport rejected the message; it stays queued until the attempts run out
+  static async markFailed(id, { error, maxAttempts }) {
+    await pool.execute(
+      `UPDATE newsletter_campaign_recipients
+       SET attempts = attempts + 1,
+           status = IF(attempts >= ?, 'failed', 'queued'),
+           error = ?
+       WHERE id = ?`,
+      [maxAttempts, String(error).slice(0, 255), id]
+    );
+  }
+
+  // Not sent, e.g. because the subscriber opted out after the campaign started
+  static async markSkipped(id, reason) {
+    await pool.execute(
+      "UPDATE newsletter_campaign_recipients SET status = 'skipped', error = ? WHERE id = ?",
+      [reason, id]
+    );
+  }
+
+  // Recipients of a campaign with pagination and filtering
+  static async findByCampaign(campaignId, { status = null, search = '', page = 1, limit = 50 } = {}) {
+    const offset = (page - 1) * limit;
+    let query = 'WHERE r.campaign_id = ?';
+    const params = [campaignId];
+
+    if (status) {
+      query += ' AND r.status = ?';
+      params.push(status);
+    }
+
+    if (search) {
+      query += ' AND r.email LIKE ?';
+      params.push(`%${search}%`);
+    }
+
+    // Get total count for pagination
+    const [countRows] = await pool.execute(
+      `SELECT COUNT(*) as total FROM newsletter_campaign_recipients r ${query}`,
+      params
+    );
+    const total = countRows[0].total;
+
+    // Add sorting and pagination
+    query += ' ORDER BY r.id ASC LIMIT ? OFFSET ?';
+    params.push(limit, offset);
+
+    const [rows] = await pool.query(`SELECT r.* FROM newsletter_campaign_recipients r ${query}`, params);
+
+    return {
+      data: rows,
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit)
+      }
+    };
+  }
+}
+
+export default NewsletterRecipient;
@@ -0,0 +1,247 @@
+import crypto from 'crypto';
+import { pool } from '../config/db.js';
+
+export const SUBSCRIBER_STATUSES = ['active', 'pending', 'unsubscribed'];
+
+const IMPORT_CHUNK_SIZE = 500;
+
+// Same rule as statusOf, in SQL
+const STATUS_COLUMN = `CASE WHEN s.is_active THEN 'active'
+  WHEN s.unsubscribed_at IS NOT NULL THEN 'unsubscribed'
+  ELSE 'pending' END AS status`;
+
+// Build the WHERE clause shared by the subscriber list and export
+const buildFilters = ({ search = '', status = null, source = null, confirmedFrom = null, confirmedTo = null } = {}) => {
+  let query = 'WHERE 1=1';
+  const params = [];
+
+  if (search) {
+    query += ' AND (s.email LIKE ? OR s.first_name LIKE ? OR s.last_name LIKE ?)';
+    const searchTerm = `%${search}%`;
+    params.push(searchTerm, searchTerm, searchTerm);
+  }
+
+  if (status === 'active') {
+    query += ' AND s.is_active = TRUE';
+  } else if (status === 'unsubscribed') {
+    query += ' AND s.is_active = FALSE AND s.unsubscribed_at IS NOT NULL';
+  } else if (status === 'pending') {
+    query += ' AND s.is_active = FALSE AND s.unsubscribed_at IS NULL';
+  }
+
+  if (source) {
+    query += ' AND s.consent_source = ?';
+    params.push(source);
+  }
+
+  if (confirmedFrom) {
+    query += ' AND s.confirmed_at >= ?';
+    params.push(confirmedFrom);
+  }
+  if (confirmedTo) {
+    query += ' AND s.confirmed_at <= ?';
+    params.push(confirmedTo);
+  }
+
+  return { query, params };
+};
+
+const chunk = (items, size) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+};
+
+class NewsletterSubscriber {
+  // pending: waiting for the confirmation link; unsubscribed: opted out after confirming or before
+  static statusOf(subscriber) {
+    if (subscriber.is_active) return 'active';
+    return subscriber.unsubscribed_at ? 'unsubscribed' : 'pending';
+  }
+
+  // Find subscriber by ID
+  static async findById(id) {
+    const [rows] = await pool.execute('SELECT * FROM newsletter_subscribers WHERE id = ?', [id]);
+    return rows[0] || null;
+  }
+
+  // Find subscriber by email
+  static async findByEmail(email) {
+    const [rows] = await pool.execute('SELECT * FROM newsletter_subscribers WHERE email = ?', [email]);
+    return rows[0] || null;
+  }
+
+  // Get subscribers with pagination and filtering
+  static async findAll({ page = 1, limit = 20, ...filters } = {}) {
+    const offset = (page - 1) * limit;
+    const { query: where, params } = buildFilters(filters);
+    let query = `FROM newsletter_subscribers s ${where}`;
+
+    // Get total count for pagination
+    const [countRows] = await pool.execute(`SELECT COUNT(*) as total ${query}`, params);
+    const total = countRows[0].total;
+
+    // Add sorting and pagination
+    query += ' ORDER BY s.subscribed_at DESC, s.id DESC LIMIT ? OFFSET ?';
+    params.push(limit, offset);
+
+    const [rows] = await pool.query(`SELECT s.*, ${STATUS_COLUMN} ${query}`, params);
+
+    return {
+      data: rows,
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  // Every subscriber matching the list filters, for export
+  static async findForExport(filters = {}) {
+    const { query, params } = buildFilters(filters);
+    const [rows] = await pool.execute(
+      `SELECT s.*, ${STATUS_COLUMN} FROM newsletter_subscribers s ${query} ORDER BY s.id ASC`,
+      params
+    );
+    return rows;
+  }
+
+  // Import subscribers who gave consent elsewhere (rows are { email, firstName,
+  // lastName, confirmedAt }, emails normalized and unique). New addresses are
+  // added as active, known ones updated; addresses that unsubscribed are left
+  // alone, since only the subscriber can opt back in. A dry run reports the
+  // same counts without writing anything.
+  static async import(rows, { source = 'import', dryRun = false } = {}) {
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const existing = new Map();
+      for (const emails of chunk(rows.map((row) => row.email), IMPORT_CHUNK_SIZE)) {
+        const [found] = await connection.query(
+          'SELECT email, is_active, unsubscribed_at FROM newsletter_subscribers WHERE email IN (?) FOR UPDATE',
+          [emails]
+        );
+        for (const subscriber of found) {
+          existing.set(subscriber.email.toLowerCase(), subscriber);
+        }
+      }
+
+      const summary = { created: 0, updated: 0, unsubscribed: 0 };
+      const writes = [];
+      const now = new Date();
+
+      for (const row of rows) {
+        const subscriber = existing.get(row.email);
+        if (subscriber && !subscriber.is_active && subscriber.unsubscribed_at) {
+          summary.unsubscribed += 1;
+          continue;
+        }
+
+        summary[subscriber ? 'updated' : 'created'] += 1;
+        writes.push([row.email, row.firstName, row.lastName, true, source, row.confirmedAt || now]);
+      }
+
+      if (!dryRun) {
+        for (const values of chunk(writes, IMPORT_CHUNK_SIZE)) {
+          await connection.query(
+            `INSERT INTO newsletter_subscribers
+             (email, first_name, last_name, is_active, consent_source, confirmed_at)
+             VALUES ?
+             ON DUPLICATE KEY UPDATE
+               first_name = COALESCE(VALUES(first_name), first_name),
+               last_name = COALESCE(VALUES(last_name), last_name),
+               consent_source = COALESCE(consent_source, VALUES(consent_source)),
+               confirmed_at = COALESCE(confirmed_at, VALUES(confirmed_at)),
+               is_active = TRUE,
+               confirmation_nonce = NULL`,
+            [values]
+          );
+        }
+      }
+
+      await (dryRun ? connection.rollback() : connection.commit());
+      return summary;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Start (or restart) the double opt-in for an address. Nothing changes for
+  // an active subscriber, and an unsubscribed address stays unsubscribed
+  // until the new confirmation link is followed. Returns the subscriber and
+  // the nonce the confirmation token must carry; markConfirmationSent
+  // records the email once it is out.
+  static async requestConfirmation({ email, firstName = null, lastName = null, source = null }) {
+    const nonce = crypto.randomBytes(24).toString('hex');
+
+    await pool.execute(
+      `INSERT INTO newsletter_subscribers
+       (email, first_name, last_name, is_active, consent_source, confirmation_nonce)
+       VALUES (?, ?, ?, FALSE, ?, ?)
+       ON DUPLICATE KEY UPDATE
+         first_name = IF(is_active, first_name, COALESCE(VALUES(first_name), first_name)),
+         last_name = IF(is_active, last_name, COALESCE(VALUES(last_name), last_name)),
+         consent_source = IF(is_active, consent_source, VALUES(consent_source)),
+         confirmation_nonce = IF(is_active, confirmation_nonce, VALUES(confirmation_nonce)),
+         confirmation_sent_at = IF(is_active, confirmation_sent_at, NULL)`,
+      [email, firstName, lastName, source, nonce]
+    );
+
+    const subscriber = await this.findByEmail(email);
+    return { subscriber, nonce: subscriber.is_active ? null : nonce };
+  }
+
+  // The confirmation email carrying this nonce went out; until then a new
+  // request may send another one straight away
+  static async markConfirmationSent(id, nonce) {
+    await pool.execute(
+      'UPDATE newsletter_subscribers SET confirmation_sent_at = NOW() WHERE id = ? AND confirmation_nonce = ?',
+      [id, nonce]
+    );
+  }
+
+  // Follow a confirmation link. The nonce is cleared so a link works once,
+  // and only the latest link sent to the address is accepted.
+  static async confirm(id, { nonce, ip = null }) {
+    const [result] = await pool.execute(
+      `UPDATE newsletter_subscribers
+       SET is_active = TRUE, confirmed_at = NOW(), consent_ip = ?, subscribed_at = NOW(),
+           unsubscribed_at = NULL, confirmation_nonce = NULL
+       WHERE id = ? AND confirmation_nonce = ?`,
+      [ip, id, nonce]
+    );
+
+    if (result.affectedRows === 0) {
+      throw new Error('Invalid or expired confirmation link');
+    }
+
+    return this.findById(id);
+  }
+
+  // Opt out. Pending confirmation links stop working too.
+  static async unsubscribe(id) {
+    const [result] = await pool.execute(
+      `UPDATE newsletter_subscribers
+       SET is_active = FALSE, unsubscribed_at = COALESCE(unsubscribed_at, NOW()), confirmation_nonce = NULL
+       WHERE id = ?`,
+      [id]
+    );
+
+    if (result.affectedRows === 0) {
+      throw new Error('Subscriber not found');
+    }
+
+    return this.findById(id);
+  }
+}
+
+export default NewsletterSubscriber;
@@ -0,0 +1,96 @@
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import { pool } from '../config/db.js';
+
+// The token is random enough that a plain SHA-256 hash can't be reversed
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+class PasswordReset {
+  // Most recent reset request of a user
+  static async findLatest(userId) {
+    const [rows] = await pool.execute(
+      'SELECT * FROM password_resets WHERE user_id = ? ORDER BY created_at DESC, id DESC LIMIT 1',
+      [userId]
+    );
+    return rows[0] || null;
+  }
+
+  // Issue a reset token. Only the latest link sent to a user works, so any
+  // earlier unused ones are withdrawn. Returns the token; it isn't stored.
+  static async create(userId, { expiresAt, ip = null }) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      await connection.execute(
+        'UPDATE password_resets SET used_at = NOW() WHERE user_id = ? AND used_at IS NULL',
+        [userId]
+      );
+      await connection.execute(
+        'INSERT INTO password_resets (user_id, token_hash, expires_at, requested_ip) VALUES (?, ?, ?, ?)',
+        [userId, hashToken(token), expiresAt, ip]
+      );
+
+      await connection.commit();
+      return token;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Set a new password with a reset token. The token is used up, and the
+  // user is signed out of every existing session.
+  static async reset(token, newPassword) {
+    const hashedPassword = await bcrypt.hash(newPassword, 10);
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const [rows] = await connection.execute(
+        `SELECT pr.id, pr.user_id
+         FROM password_resets pr
+         JOIN users u ON u.id = pr.user_id
+         WHERE pr.token_hash = ? AND pr.used_at IS NULL AND pr.expires_at > NOW() AND u.is_active = TRUE
+         FOR UPDATE`,
+        [hashToken(token)]
+      );
+
+      if (rows.length === 0) {
+        throw new Error('Invalid or expired reset link');
+      }
+
+      const { user_id: userId } = rows[0];
+
+      await connection.execute(
+        `UPDATE users
+         SET password = ?, token_version = token_version + 1, failed_login_count = 0, locked_until = NULL
+         WHERE id = ?`,
+        [hashedPassword, userId]
+      );
+      await connection.execute(
+        'UPDATE password_resets SET used_at = NOW() WHERE user_id = ? AND used_at IS NULL',
+        [userId]
+      );
+      await connection.execute(
+        "UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = 'password_reset' WHERE user_id = ? AND revoked_at IS NULL",
+        [userId]
+      );
+
+      await connection.commit();
+      return userId;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+}
+
+export default PasswordReset;
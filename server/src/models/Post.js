@@ -146,7 +146,9 @@ class Post {
     category = null, 
     page = 1, 
     limit = 10,
-    featured = null
+    featured = null,
+    publishedAfter = null,
+    publishedBefore = null
   } = {}) {
     const offset = (page - 1) * limit;
     let query = `FROM posts p 
@@ -183,6 +185,16 @@ class Post {
       params.push(featured);
     }
     
+    // Apply publication date window
+    if (publishedAfter) {
+      query += ' AND p.published_at > ?';
+      params.push(publishedAfter);
+    }
+    if (publishedBefore) {
+      query += ' AND p.published_at <= ?';
+      params.push(publishedBefore);
+    }
+    
     // Get total count for pagination
     const [countRows] = await pool.execute(
       `SELECT COUNT(DISTINCT p.id) as total ${query}`,
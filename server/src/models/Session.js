@@ -0,0 +1,172 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import { pool } from '../config/db.js';
+
+dotenv.config();
+
+const REFRESH_TOKEN_EXPIRES_DAYS = Number(process.env.REFRESH_TOKEN_EXPIRES_DAYS || 30);
+
+// The token is random enough that a plain SHA-256 hash can't be reversed
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Add a fresh refresh token to a session and return it
+const issueRefreshToken = async (connection, sessionId) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  await connection.execute(
+    'INSERT INTO refresh_tokens (session_id, token_hash, expires_at) VALUES (?, ?, ?)',
+    [sessionId, hashToken(token), new Date(Date.now() + REFRESH_TOKEN_EXPIRES_DAYS * 24 * 60 * 60 * 1000)]
+  );
+  return token;
+};
+
+class Session {
+  // Start a session for a user who just signed in. Returns the session and its first refresh token.
+  static async create(userId, { ip = null, userAgent = null } = {}) {
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const [result] = await connection.execute(
+        `INSERT INTO user_sessions (user_id, token_version, ip_address, user_agent, last_used_at)
+         SELECT id, token_version, ?, ?, NOW() FROM users WHERE id = ?`,
+        [ip, userAgent, userId]
+      );
+      const refreshToken = await issueRefreshToken(connection, result.insertId);
+
+      await connection.commit();
+      return { session: await this.findById(result.insertId), refreshToken };
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Find session by ID
+  static async findById(id) {
+    const [rows] = await pool.execute('SELECT * FROM user_sessions WHERE id = ?', [id]);
+    return rows[0] || null;
+  }
+
+  // Sessions of a user, most recently used first
+  static async findByUser(userId, { includeRevoked = false } = {}) {
+    const [rows] = await pool.execute(
+      `SELECT * FROM user_sessions
+       WHERE user_id = ? ${includeRevoked ? '' : 'AND revoked_at IS NULL'}
+       ORDER BY last_used_at DESC, id DESC`,
+      [userId]
+    );
+    return rows;
+  }
+
+  // Exchange a refresh token for a new one. A token that was already
+  // exchanged must have been copied, so the whole session is revoked, and so
+  // is a session from before the user's token version was raised.
+  static async rotate(refreshToken, { ip = null, userAgent = null } = {}) {
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const [rows] = await connection.execute(
+        `SELECT rt.id, rt.session_id, rt.expires_at, rt.used_at, s.user_id, s.revoked_at,
+                s.token_version, u.token_version AS user_token_version
+         FROM refresh_tokens rt
+         JOIN user_sessions s ON s.id = rt.session_id
+         JOIN users u ON u.id = s.user_id
+         WHERE rt.token_hash = ?
+         FOR UPDATE`,
+        [hashToken(refreshToken)]
+      );
+
+      const token = rows[0];
+      if (!token || token.revoked_at || new Date(token.expires_at) <= new Date()) {
+        throw new Error('Invalid refresh token');
+      }
+
+      if (token.token_version !== token.user_token_version) {
+        await connection.execute(
+          "UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = 'token_version' WHERE id = ?",
+          [token.session_id]
+        );
+        await connection.commit();
+        throw new Error('Invalid refresh token');
+      }
+
+      if (token.used_at) {
+        await connection.execute(
+          "UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = 'reuse' WHERE id = ?",
+          [token.session_id]
+        );
+        await connection.commit();
+        throw new Error('Refresh token reuse detected');
+      }
+
+      await connection.execute('UPDATE refresh_tokens SET used_at = NOW() WHERE id = ?', [token.id]);
+      await connection.execute(
+        `UPDATE user_sessions
+         SET last_used_at = NOW(), ip_address = COALESCE(?, ip_address), user_agent = COALESCE(?, user_agent)
+         WHERE id = ?`,
+        [ip, userAgent, token.session_id]
+      );
+      const nextToken = await issueRefreshToken(connection, token.session_id);
+
+      await connection.commit();
+      return { session: await this.findById(token.session_id), refreshToken: nextToken };
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Sign out the session a refresh token belongs to. Unknown tokens are ignored.
+  static async revokeByToken(refreshToken, reason = 'logout') {
+    const [result] = await pool.execute(
+      `UPDATE user_sessions s
+       JOIN refresh_tokens rt ON rt.session_id = s.id
+       SET s.revoked_at = NOW(), s.revoked_reason = ?
+       WHERE rt.token_hash = ? AND s.revoked_at IS NULL`,
+      [reason, hashToken(refreshToken)]
+    );
+    return result.affectedRows > 0;
+  }
+
+  // Sign out a single session
+  static async revoke(id, reason = 'logout') {
+    const [result] = await pool.execute(
+      'UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = ? WHERE id = ? AND revoked_at IS NULL',
+      [reason, id]
+    );
+    return result.affectedRows > 0;
+  }
+
+  // Sign a user out everywhere. Raising the token version also rejects the
+  // access tokens already handed out, including those without a session.
+  static async revokeAllForUser(userId, reason = 'admin') {
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const [result] = await connection.execute(
+        'UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = ? WHERE user_id = ? AND revoked_at IS NULL',
+        [reason, userId]
+      );
+      await connection.execute('UPDATE users SET token_version = token_version + 1 WHERE id = ?', [userId]);
+
+      await connection.commit();
+      return result.affectedRows;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+}
+
+export default Session;
@@ -0,0 +1,44 @@
+import { pool } from '../config/db.js';
+
+// Values are stored as JSON so numbers and booleans come back as such
+const parseValue = (value) => {
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+};
+
+class Setting {
+  // Values of the given settings; `defaults` maps each key to the value used until it is saved
+  static async get(defaults) {
+    const values = { ...defaults };
+    const [rows] = await pool.query(
+      'SELECT setting_key, value FROM settings WHERE setting_key IN (?)',
+      [Object.keys(defaults)]
+    );
+
+    for (const row of rows) {
+      values[row.setting_key] = parseValue(row.value);
+    }
+    return values;
+  }
+
+  // Save several settings at once
+  static async set(values, updatedBy = null) {
+    const rows = Object.entries(values)
+      .filter(([, value]) => value !== undefined)
+      .map(([key, value]) => [key, JSON.stringify(value), updatedBy]);
+
+    if (rows.length === 0) return;
+
+    await pool.query(
+      `INSERT INTO settings (setting_key, value, updated_by)
+       VALUES ?
+       ON DUPLICATE KEY UPDATE value = VALUES(value), updated_by = VALUES(updated_by)`,
+      [rows]
+    );
+  }
+}
+
+export default Setting;
@@ -0,0 +1,175 @@
+import crypto from 'crypto';
+import { pool } from '../config/db.js';
+import { generateSecret, verifyTotp } from '../utils/totp.js';
+
+const RECOVERY_CODE_COUNT = 10;
+
+// Codes are shown as xxxxx-xxxxx; dashes, spaces and case don't matter when one is entered
+const normalizeRecoveryCode = (code) => code.replace(/[\s-]/g, '').toLowerCase();
+
+const hashRecoveryCode = (code) =>
+  crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+
+// Six digits is an authenticator code, anything else a recovery code
+const isTotpCode = (code) => /^\d{6}$/.test(code.replace(/\s/g, ''));
+
+// Replace a user's recovery codes with new ones and return them
+const issueRecoveryCodes = async (connection, userId) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+
+  await connection.execute('DELETE FROM two_factor_recovery_codes WHERE user_id = ?', [userId]);
+  await connection.query(
+    'INSERT INTO two_factor_recovery_codes (user_id, code_hash) VALUES ?',
+    [codes.map((code) => [userId, hashRecoveryCode(code)])]
+  );
+  return codes;
+};
+
+class TwoFactor {
+  // Whether a user has two-factor authentication turned on
+  static isEnabled(user) {
+    return Boolean(user.two_factor_enabled_at);
+  }
+
+  // Recovery codes a user has left
+  static async countRecoveryCodes(userId) {
+    const [rows] = await pool.execute(
+      'SELECT COUNT(*) as total FROM two_factor_recovery_codes WHERE user_id = ? AND used_at IS NULL',
+      [userId]
+    );
+    return rows[0].total;
+  }
+
+  // Start enrollment with a new secret. 2FA stays off until a code from the
+  // app is confirmed, so starting over is harmless.
+  static async startEnrollment(userId) {
+    const secret = generateSecret();
+    const [result] = await pool.execute(
+      `UPDATE users SET two_factor_secret = ?, two_factor_last_step = NULL
+       WHERE id = ? AND two_factor_enabled_at IS NULL`,
+      [secret, userId]
+    );
+
+    if (result.affectedRows === 0) {
+      throw new Error('Two-factor authentication is already enabled');
+    }
+
+    return secret;
+  }
+
+  // Turn 2FA on with a code from the app the secret was added to. Returns the recovery codes.
+  static async confirmEnrollment(userId, code) {
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const [rows] = await connection.execute(
+        'SELECT two_factor_secret, two_factor_enabled_at FROM users WHERE id = ? FOR UPDATE',
+        [userId]
+      );
+      const user = rows[0];
+
+      if (!user || user.two_factor_enabled_at) {
+        throw new Error('Two-factor authentication is already enabled');
+      }
+      if (!user.two_factor_secret) {
+        throw new Error('Start two-factor enrollment first');
+      }
+
+      const step = verifyTotp(user.two_factor_secret, code.replace(/\s/g, ''));
+      if (step === null) {
+        throw new Error('Invalid verification code');
+      }
+
+      await connection.execute(
+        'UPDATE users SET two_factor_enabled_at = NOW(), two_factor_last_step = ? WHERE id = ?',
+        [step, userId]
+      );
+      const recoveryCodes = await issueRecoveryCodes(connection, userId);
+
+      await connection.commit();
+      return recoveryCodes;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Check a code from the app, or use up a recovery code. Returns the method
+  // that matched; an app code is accepted only once.
+  static async verify(user, code) {
+    if (!this.isEnabled(user)) {
+      throw new Error('Two-factor authentication is not enabled');
+    }
+
+    if (isTotpCode(code)) {
+      const step = verifyTotp(user.two_factor_secret, code.replace(/\s/g, ''));
+      if (step !== null) {
+        const [result] = await pool.execute(
+          `UPDATE users SET two_factor_last_step = ?
+           WHERE id = ? AND (two_factor_last_step IS NULL OR two_factor_last_step < ?)`,
+          [step, user.id, step]
+        );
+        if (result.affectedRows > 0) return 'totp';
+      }
+    } else {
+      const [result] = await pool.execute(
+        `UPDATE two_factor_recovery_codes SET used_at = NOW()
+         WHERE user_id = ? AND code_hash = ? AND used_at IS NULL
+         LIMIT 1`,
+        [user.id, hashRecoveryCode(code)]
+      );
+      if (result.affectedRows > 0) return 'recovery_code';
+    }
+
+    throw new Error('Invalid verification code');
+  }
+
+  // Replace the recovery codes, e.g. when they run out
+  static async regenerateRecoveryCodes(userId) {
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+      const recoveryCodes = await issueRecoveryCodes(connection, userId);
+      await connection.commit();
+      return recoveryCodes;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Turn 2FA off and forget the secret and recovery codes
+  static async disable(userId) {
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      await connection.execute(
+        `UPDATE users SET two_factor_secret = NULL, two_factor_enabled_at = NULL, two_factor_last_step = NULL
+         WHERE id = ?`,
+        [userId]
+      );
+      await connection.execute('DELETE FROM two_factor_recovery_codes WHERE user_id = ?', [userId]);
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+}
+
+export default TwoFactor;
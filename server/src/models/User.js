@@ -6,14 +6,16 @@ import dotenv from 'dotenv';
 dotenv.config();
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your_jwt_secret_key';
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
+// Access tokens are short-lived; clients renew them with a refresh token
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
 
 class User {
-  // Create a new user
-  static async create({ username, email, password, role = 'viewer', firstName, lastName }) {
+  // Create a new user; self-registered users still have to verify their email
+  static async create({ username, email, password, role = 'viewer', firstName, lastName, emailVerified = true }) {
     const hashedPassword = await bcrypt.hash(password, 10);
     const [result] = await pool.execute(
-      'INSERT INTO users (username, email, password, role, first_name, last_name) VALUES (?, ?, ?, ?, ?, ?)',
+      `INSERT INTO users (username, email, password, role, first_name, last_name, email_verified_at)
+       VALUES (?, ?, ?, ?, ?, ?, ${emailVerified ? 'NOW()' : 'NULL'})`,
       [username, email, hashedPassword, role, firstName, lastName]
     );
     return this.findById(result.insertId);
@@ -37,15 +39,38 @@ class User {
     return rows[0] || null;
   }
 
-  // Update user profile
+  // Update user profile. A new email address has to be verified again; MySQL
+  // assigns left to right, so the IF still sees the old address.
   static async updateProfile(id, { firstName, lastName, email, avatar }) {
     const [result] = await pool.execute(
-      'UPDATE users SET first_name = ?, last_name = ?, email = ?, avatar = ? WHERE id = ?',
-      [firstName, lastName, email, avatar, id]
+      `UPDATE users
+       SET first_name = ?, last_name = ?, email_verified_at = IF(email = ?, email_verified_at, NULL), email = ?, avatar = ?
+       WHERE id = ?`,
+      [firstName, lastName, email, email, avatar, id]
     );
     return this.findById(id);
   }
 
+  // Note that a verification email went out, to throttle resends
+  static async recordVerificationSent(id) {
+    await pool.execute('UPDATE users SET email_verification_sent_at = NOW() WHERE id = ?', [id]);
+  }
+
+  // Mark an email address verified. The address must still be the one the
+  // link was sent to. Returns whether it was unverified until now.
+  static async markEmailVerified(id, email) {
+    const [result] = await pool.execute(
+      'UPDATE users SET email_verified_at = NOW() WHERE id = ? AND email = ? AND email_verified_at IS NULL',
+      [id, email]
+    );
+    return result.affectedRows > 0;
+  }
+
+  // Check a password against the user's
+  static async checkPassword(user, password) {
+    return bcrypt.compare(password, user.password);
+  }
+
   // Change user password
   static async changePassword(id, currentPassword, newPassword) {
     const user = await this.findById(id);
@@ -63,10 +88,11 @@ class User {
     return true;
   }
 
-  // Generate JWT token
-  static generateJwt(user) {
+  // Generate JWT token for a session; it stops working once the session is
+  // revoked or the user's token version is raised
+  static generateJwt(user, sessionId) {
     return jwt.sign(
-      { id: user.id, username: user.username, role: user.role },
+      { id: user.id, username: user.username, role: user.role, tokenVersion: user.token_version || 0, sid: sessionId },
       JWT_SECRET,
       { expiresIn: JWT_EXPIRES_IN }
     );
@@ -81,7 +107,8 @@ class User {
     }
   }
 
-  // Login user
+  // Check a user's credentials. Returns the user without the password; the
+  // caller records the login and starts the session.
   static async login(email, password) {
     const user = await this.findByEmail(email);
     if (!user) {
@@ -97,22 +124,52 @@ class User {
       throw new Error('Account is deactivated');
     }
 
-    // Update last login
-    await pool.execute('UPDATE users SET last_login = NOW() WHERE id = ?', [user.id]);
-
-    // Generate JWT token
-    const token = this.generateJwt(user);
+    // Remove password and 2FA secret from user object
+    const { password: _, two_factor_secret: __, ...userWithoutPassword } = user;
     
-    // Remove password from user object
-    const { password: _, ...userWithoutPassword } = user;
-    
-    return { user: userWithoutPassword, token };
+    return userWithoutPassword;
+  }
+
+  // Update last login and clear the failed attempts before it
+  static async recordLogin(id) {
+    await pool.execute(
+      'UPDATE users SET last_login = NOW(), failed_login_count = 0, locked_until = NULL WHERE id = ?',
+      [id]
+    );
+  }
+
+  // Count a failed login; reaching maxFailures locks the account for a while.
+  // MySQL assigns left to right, so the IF sees the raised count.
+  static async recordFailedLogin(id, { maxFailures, lockoutMinutes }) {
+    await pool.execute(
+      `UPDATE users
+       SET failed_login_count = failed_login_count + 1,
+           last_failed_login_at = NOW(),
+           locked_until = IF(failed_login_count >= ?, NOW() + INTERVAL ? MINUTE, locked_until)
+       WHERE id = ?`,
+      [maxFailures, lockoutMinutes, id]
+    );
+    return this.findById(id);
+  }
+
+  // Lift a lockout and forget the failed attempts (admin only)
+  static async unlock(id) {
+    const [result] = await pool.execute(
+      'UPDATE users SET failed_login_count = 0, last_failed_login_at = NULL, locked_until = NULL WHERE id = ?',
+      [id]
+    );
+    if (result.affectedRows === 0) {
+      throw new Error('User not found');
+    }
+    return this.findById(id);
   }
 
   // Get all users (admin only)
   static async getAllUsers() {
     const [rows] = await pool.execute(
-      'SELECT id, username, email, role, first_name, last_name, is_active, last_login, created_at FROM users'
+      `SELECT id, username, email, role, first_name, last_name, is_active, last_login,
+              email_verified_at, failed_login_count, locked_until, created_at
+       FROM users`
     );
     return rows;
   }
@@ -0,0 +1,100 @@
+import express from 'express';
+import { authenticate, authenticateForTwoFactorSetup, authorize } from '../middleware/auth.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+import {
+  registerValidator,
+  loginValidator,
+  refreshTokenValidator,
+  twoFactorLoginValidator,
+  twoFactorCodeValidator,
+  disableTwoFactorValidator,
+  securitySettingsValidator,
+  loginEventsValidator,
+  verifyEmailValidator,
+  resendVerificationValidator,
+  forgotPasswordValidator,
+  resetPasswordValidator
+} from '../middleware/validators/authValidators.js';
+import {
+  register,
+  login,
+  verifyTwoFactorLogin,
+  refresh,
+  logout,
+  verifyEmail,
+  resendVerificationEmail,
+  forgotPassword,
+  resetPassword,
+  getUserSessions,
+  revokeUserSessions,
+  unlockUser,
+  getUserLoginEvents
+} from '../controllers/authController.js';
+import {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  resetUserTwoFactor,
+  getSecuritySettings,
+  updateSecuritySettings
+} from '../controllers/twoFactorController.js';
+
+// Reset requests per IP; each one may send an email
+const passwordResetRateLimit = rateLimit({
+  windowMs: Number(process.env.PASSWORD_RESET_RATE_LIMIT_WINDOW_MINUTES || 15) * 60 * 1000,
+  max: Number(process.env.PASSWORD_RESET_RATE_LIMIT_MAX || 5),
+  message: 'Too many password reset requests, please try again later'
+});
+
+// Registrations and verification resends per IP; each one sends an email
+const verificationEmailRateLimit = rateLimit({
+  windowMs: Number(process.env.EMAIL_VERIFICATION_RATE_LIMIT_WINDOW_MINUTES || 15) * 60 * 1000,
+  max: Number(process.env.EMAIL_VERIFICATION_RATE_LIMIT_MAX || 5),
+  message: 'Too many verification emails requested, please try again later'
+});
+
+// Code attempts per IP in the second login step
+const twoFactorRateLimit = rateLimit({
+  windowMs: Number(process.env.TWO_FACTOR_RATE_LIMIT_WINDOW_MINUTES || 15) * 60 * 1000,
+  max: Number(process.env.TWO_FACTOR_RATE_LIMIT_MAX || 10),
+  message: 'Too many verification attempts, please try again later'
+});
+
+const router = express.Router();
+
+// Registration and email verification
+router.post('/register', verificationEmailRateLimit, registerValidator, register);
+router.post('/verify-email', verifyEmailValidator, verifyEmail);
+router.post('/verify-email/resend', verificationEmailRateLimit, resendVerificationValidator, resendVerificationEmail);
+
+// Sessions
+router.post('/login', loginValidator, login);
+router.post('/login/2fa', twoFactorRateLimit, twoFactorLoginValidator, verifyTwoFactorLogin);
+router.post('/refresh', refreshTokenValidator, refresh);
+router.post('/logout', refreshTokenValidator, logout);
+
+// Password reset
+router.post('/forgot-password', passwordResetRateLimit, forgotPasswordValidator, forgotPassword);
+router.post('/reset-password', resetPasswordValidator, resetPassword);
+
+// Two-factor authentication; the setup routes stay open to users who are required to turn it on
+router.get('/2fa', authenticateForTwoFactorSetup, getTwoFactorStatus);
+router.post('/2fa/setup', authenticateForTwoFactorSetup, setupTwoFactor);
+router.post('/2fa/enable', authenticateForTwoFactorSetup, twoFactorCodeValidator, enableTwoFactor);
+router.post('/2fa/recovery-codes', authenticate, twoFactorRateLimit, twoFactorCodeValidator, regenerateRecoveryCodes);
+router.post('/2fa/disable', authenticate, twoFactorRateLimit, disableTwoFactorValidator, disableTwoFactor);
+
+// Account security (admin only)
+router.get('/security-settings', authenticate, authorize('admin'), getSecuritySettings);
+router.put('/security-settings', authenticate, authorize('admin'), securitySettingsValidator, updateSecuritySettings);
+router.delete('/users/:id/2fa', authenticate, authorize('admin'), resetUserTwoFactor);
+router.put('/users/:id/unlock', authenticate, authorize('admin'), unlockUser);
+router.get('/users/:id/login-events', authenticate, authorize('admin'), loginEventsValidator, getUserLoginEvents);
+
+// Session management (admin only)
+router.get('/users/:id/sessions', authenticate, authorize('admin'), getUserSessions);
+router.delete('/users/:id/sessions', authenticate, authorize('admin'), revokeUserSessions);
+
+export default router;
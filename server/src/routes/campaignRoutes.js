@@ -0,0 +1,22 @@
+import express from 'express';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { campaignValidator, listCampaignsValidator } from '../middleware/validators/campaignValidators.js';
+import {
+  getCampaigns,
+  getCampaign,
+  createCampaign,
+  updateCampaign,
+  deleteCampaign
+} from '../controllers/campaignController.js';
+
+const router = express.Router();
+
+router.use(authenticate, authorize(['admin', 'editor']));
+
+router.get('/', listCampaignsValidator, getCampaigns);
+router.post('/', campaignValidator, createCampaign);
+router.get('/:id', getCampaign);
+router.put('/:id', campaignValidator, updateCampaign);
+router.delete('/:id', authorize('admin'), deleteCampaign);
+
+export default router;
@@ -0,0 +1,40 @@
+import express from 'express';
+import { authenticate, authorize } from '../middleware/auth.js';
+import {
+  listContactSubmissionsValidator,
+  markReadValidator,
+  archiveValidator,
+  folderValidator,
+  assignValidator,
+  noteValidator,
+  replyValidator
+} from '../middleware/validators/contactValidators.js';
+import {
+  getContactSubmissions,
+  getContactCounts,
+  getContactSubmission,
+  markContactSubmissionRead,
+  archiveContactSubmission,
+  moveContactSubmission,
+  assignContactSubmission,
+  addContactNote,
+  replyToContactSubmission,
+  deleteContactSubmission
+} from '../controllers/contactController.js';
+
+const router = express.Router();
+
+router.use(authenticate, authorize(['admin', 'editor']));
+
+router.get('/', listContactSubmissionsValidator, getContactSubmissions);
+router.get('/counts', getContactCounts);
+router.get('/:id', getContactSubmission);
+router.put('/:id/read', markReadValidator, markContactSubmissionRead);
+router.put('/:id/archive', archiveValidator, archiveContactSubmission);
+router.put('/:id/folder', folderValidator, moveContactSubmission);
+router.put('/:id/assign', assignValidator, assignContactSubmission);
+router.post('/:id/notes', noteValidator, addContactNote);
+router.post('/:id/replies', replyValidator, replyToContactSubmission);
+router.delete('/:id', authorize('admin'), deleteContactSubmission);
+
+export default router;
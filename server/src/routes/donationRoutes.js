@@ -0,0 +1,70 @@
+import express from 'express';
+import { authenticate, authorize } from '../middleware/auth.js';
+import {
+  listDonationsValidator,
+  exportDonationsValidator,
+  donationReportValidator,
+  updateDonationStatusValidator,
+  listSubscriptionsValidator,
+  statementValidator,
+  refundValidator
+} from '../middleware/validators/donationValidators.js';
+import {
+  getDonations,
+  getDonation,
+  updateDonationStatus
+} from '../controllers/donationController.js';
+import {
+  getSubscriptions,
+  getSubscription,
+  pauseSubscription,
+  resumeSubscription,
+  cancelSubscription
+} from '../controllers/subscriptionController.js';
+import {
+  getDonationReceipt,
+  getDonationReceiptLink,
+  getDonationStatement,
+  getDonationStatementLink
+} from '../controllers/receiptController.js';
+import {
+  createRefund,
+  getRefunds,
+  getRefundConfirmation
+} from '../controllers/refundController.js';
+import {
+  getDonationReports,
+  exportDonations
+} from '../controllers/donationReportController.js';
+
+const router = express.Router();
+
+router.use(authenticate, authorize('admin'));
+
+// Recurring subscriptions (before /:id so "subscriptions" isn't taken as an id)
+router.get('/subscriptions', listSubscriptionsValidator, getSubscriptions);
+router.get('/subscriptions/:id', getSubscription);
+router.put('/subscriptions/:id/pause', pauseSubscription);
+router.put('/subscriptions/:id/resume', resumeSubscription);
+router.put('/subscriptions/:id/cancel', cancelSubscription);
+
+// Annual statements per donor
+router.get('/statements', statementValidator, getDonationStatement);
+router.get('/statements/link', statementValidator, getDonationStatementLink);
+
+// Reporting and export
+router.get('/reports', donationReportValidator, getDonationReports);
+router.get('/export', exportDonationsValidator, exportDonations);
+
+router.get('/', listDonationsValidator, getDonations);
+router.get('/:id', getDonation);
+router.get('/:id/receipt', getDonationReceipt);
+router.get('/:id/receipt/link', getDonationReceiptLink);
+router.put('/:id/status', updateDonationStatusValidator, updateDonationStatus);
+
+// Refunds
+router.get('/:id/refunds', getRefunds);
+router.post('/:id/refunds', refundValidator, createRefund);
+router.get('/:id/refunds/:refundId/confirmation', getRefundConfirmation);
+
+export default router;
@@ -0,0 +1,26 @@
+import express from 'express';
+import { authenticate, authorize } from '../middleware/auth.js';
+import {
+  listDonorsValidator,
+  updateDonorValidator,
+  mergeDonorValidator
+} from '../middleware/validators/donorValidators.js';
+import {
+  getDonors,
+  getDonor,
+  updateDonor,
+  mergeDonor,
+  linkDonations
+} from '../controllers/donorController.js';
+
+const router = express.Router();
+
+router.use(authenticate, authorize('admin'));
+
+router.get('/', listDonorsValidator, getDonors);
+router.post('/link-donations', linkDonations);
+router.get('/:id', getDonor);
+router.put('/:id', updateDonorValidator, updateDonor);
+router.post('/:id/merge', mergeDonorValidator, mergeDonor);
+
+export default router;
@@ -0,0 +1,49 @@
+import express from 'express';
+import { authenticate, authorize } from '../middleware/auth.js';
+import {
+  eventValidator,
+  listEventsValidator,
+  listRegistrationsValidator,
+  listOccurrencesValidator,
+  occurrenceParamValidator,
+  occurrenceOverrideValidator
+} from '../middleware/validators/eventValidators.js';
+import {
+  getEvents,
+  getEvent,
+  createEvent,
+  updateEvent,
+  deleteEvent,
+  getEventOccurrences,
+  overrideOccurrence,
+  deleteOccurrenceOverride,
+  cancelOccurrence
+} from '../controllers/eventController.js';
+import {
+  getEventRegistrations,
+  exportEventRegistrations,
+  adminCancelRegistration
+} from '../controllers/registrationController.js';
+
+const router = express.Router();
+
+router.use(authenticate, authorize(['admin', 'editor']));
+
+router.get('/', listEventsValidator, getEvents);
+router.post('/', eventValidator, createEvent);
+router.get('/:id', getEvent);
+router.put('/:id', eventValidator, updateEvent);
+router.delete('/:id', authorize('admin'), deleteEvent);
+
+// Occurrences of recurring events
+router.get('/:id/occurrences', listOccurrencesValidator, getEventOccurrences);
+router.put('/:id/occurrences/:occurrenceStart', occurrenceOverrideValidator, overrideOccurrence);
+router.delete('/:id/occurrences/:occurrenceStart', occurrenceParamValidator, cancelOccurrence);
+router.delete('/:id/occurrences/:occurrenceStart/override', occurrenceParamValidator, deleteOccurrenceOverride);
+
+// Registrations
+router.get('/:id/registrations', listRegistrationsValidator, getEventRegistrations);
+router.get('/:id/registrations/export', listRegistrationsValidator, exportEventRegistrations);
+router.delete('/:eventId/registrations/:id', adminCancelRegistration);
+
+export default router;
@@ -0,0 +1,26 @@
+import express from 'express';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { csvUpload } from '../middleware/csvUpload.js';
+import {
+  exchangeRateValidator,
+  listExchangeRatesValidator
+} from '../middleware/validators/exchangeRateValidators.js';
+import {
+  getExchangeRates,
+  saveExchangeRate,
+  importExchangeRates,
+  deleteExchangeRate,
+  renormalizeDonations
+} from '../controllers/exchangeRateController.js';
+
+const router = express.Router();
+
+router.use(authenticate, authorize('admin'));
+
+router.get('/', listExchangeRatesValidator, getExchangeRates);
+router.post('/', exchangeRateValidator, saveExchangeRate);
+router.post('/import', csvUpload, importExchangeRates);
+router.post('/renormalize', renormalizeDonations);
+router.delete('/:id', deleteExchangeRate);
+
+export default router;
@@ -0,0 +1,25 @@
+import express from 'express';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { listOutboxValidator } from '../middleware/validators/mailValidators.js';
+import {
+  getMailTemplates,
+  previewMailTemplate,
+  getOutbox,
+  getOutboxMessage,
+  retryOutboxMessage
+} from '../controllers/mailController.js';
+
+const router = express.Router();
+
+router.use(authenticate, authorize('admin'));
+
+// Templates
+router.get('/templates', getMailTemplates);
+router.get('/templates/:name/preview', previewMailTemplate);
+
+// Outbox
+router.get('/outbox', listOutboxValidator, getOutbox);
+router.get('/outbox/:id', getOutboxMessage);
+router.put('/outbox/:id/retry', retryOutboxMessage);
+
+export default router;
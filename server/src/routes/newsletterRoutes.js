@@ -0,0 +1,64 @@
+import express from 'express';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { csvUpload } from '../middleware/csvUpload.js';
+import {
+  newsletterCampaignValidator,
+  listNewsletterCampaignsValidator,
+  scheduleNewsletterValidator,
+  testNewsletterValidator,
+  listNewsletterRecipientsValidator,
+  listSubscribersValidator,
+  exportSubscribersValidator,
+  importSubscribersValidator,
+  digestSettingsValidator
+} from '../middleware/validators/newsletterValidators.js';
+import {
+  getNewsletterCampaigns,
+  getNewsletterCampaign,
+  createNewsletterCampaign,
+  updateNewsletterCampaign,
+  scheduleNewsletterCampaign,
+  cancelNewsletterCampaign,
+  sendTestNewsletter,
+  getNewsletterRecipients,
+  deleteNewsletterCampaign
+} from '../controllers/newsletterCampaignController.js';
+import {
+  getSubscribers,
+  exportSubscribers,
+  importSubscribers
+} from '../controllers/newsletterSubscriberController.js';
+import {
+  getDigestSettings,
+  updateDigestSettings,
+  previewDigest,
+  runDigest
+} from '../controllers/newsletterDigestController.js';
+
+const router = express.Router();
+
+router.use(authenticate, authorize(['admin', 'editor']));
+
+// Campaigns
+router.get('/campaigns', listNewsletterCampaignsValidator, getNewsletterCampaigns);
+router.post('/campaigns', newsletterCampaignValidator, createNewsletterCampaign);
+router.get('/campaigns/:id', getNewsletterCampaign);
+router.put('/campaigns/:id', newsletterCampaignValidator, updateNewsletterCampaign);
+router.delete('/campaigns/:id', authorize('admin'), deleteNewsletterCampaign);
+router.put('/campaigns/:id/schedule', scheduleNewsletterValidator, scheduleNewsletterCampaign);
+router.put('/campaigns/:id/cancel', cancelNewsletterCampaign);
+router.post('/campaigns/:id/test', testNewsletterValidator, sendTestNewsletter);
+router.get('/campaigns/:id/recipients', listNewsletterRecipientsValidator, getNewsletterRecipients);
+
+// Subscribers
+router.get('/subscribers', authorize('admin'), listSubscribersValidator, getSubscribers);
+router.get('/subscribers/export', authorize('admin'), exportSubscribersValidator, exportSubscribers);
+router.post('/subscribers/import', authorize('admin'), csvUpload, importSubscribersValidator, importSubscribers);
+
+// Post digest
+router.get('/digest', authorize('admin'), getDigestSettings);
+router.put('/digest', authorize('admin'), digestSettingsValidator, updateDigestSettings);
+router.get('/digest/preview', authorize('admin'), previewDigest);
+router.post('/digest/run', authorize('admin'), runDigest);
+
+export default router;
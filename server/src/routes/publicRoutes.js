@@ -0,0 +1,83 @@
+import express from 'express';
+import {
+  listEventsValidator,
+  registrationValidator,
+  cancelRegistrationValidator
+} from '../middleware/validators/eventValidators.js';
+import {
+  getPublicEvents,
+  getPublicEvent,
+  getEventsFeed,
+  getEventIcs
+} from '../controllers/eventController.js';
+import { registerForEvent, cancelRegistration } from '../controllers/registrationController.js';
+import { createDonationValidator, confirmDonationValidator } from '../middleware/validators/donationValidators.js';
+import { createDonation, confirmDonation } from '../controllers/donationController.js';
+import { getPublicReceipt, getPublicStatement } from '../controllers/receiptController.js';
+import { getPublicRefundConfirmation } from '../controllers/refundController.js';
+import { listCampaignsValidator, campaignProgressValidator } from '../middleware/validators/campaignValidators.js';
+import {
+  getPublicCampaigns,
+  getPublicCampaign,
+  getCampaignProgress
+} from '../controllers/campaignController.js';
+import { contactValidator } from '../middleware/validators/contactValidators.js';
+import { getContactFormToken, submitContactForm } from '../controllers/contactController.js';
+import { subscribeValidator } from '../middleware/validators/newsletterValidators.js';
+import {
+  subscribe,
+  confirmSubscription,
+  getUnsubscribe,
+  unsubscribe
+} from '../controllers/newsletterController.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+
+// Contact form submissions per IP
+const contactRateLimit = rateLimit({
+  windowMs: Number(process.env.CONTACT_RATE_LIMIT_WINDOW_MINUTES || 15) * 60 * 1000,
+  max: Number(process.env.CONTACT_RATE_LIMIT_MAX || 5),
+  message: 'Too many messages sent, please try again later'
+});
+
+// Subscription requests per IP; each one may send a confirmation email
+const newsletterRateLimit = rateLimit({
+  windowMs: Number(process.env.NEWSLETTER_RATE_LIMIT_WINDOW_MINUTES || 15) * 60 * 1000,
+  max: Number(process.env.NEWSLETTER_RATE_LIMIT_MAX || 5),
+  message: 'Too many subscription requests, please try again later'
+});
+
+const router = express.Router();
+
+// Events
+router.get('/events.ics', getEventsFeed);
+router.get('/events', listEventsValidator, getPublicEvents);
+router.get('/events/:id(\\d+).ics', getEventIcs);
+router.get('/events/:id', getPublicEvent);
+
+// Event registrations
+router.post('/events/:id/register', registrationValidator, registerForEvent);
+router.post('/registrations/cancel', cancelRegistrationValidator, cancelRegistration);
+
+// Donations
+router.post('/donations', createDonationValidator, createDonation);
+router.post('/donations/:id/confirm', confirmDonationValidator, confirmDonation);
+router.get('/donations/receipt', getPublicReceipt);
+router.get('/donations/statement', getPublicStatement);
+router.get('/donations/refund-confirmation', getPublicRefundConfirmation);
+
+// Campaigns
+router.get('/campaigns', listCampaignsValidator, getPublicCampaigns);
+router.get('/campaigns/:slug', getPublicCampaign);
+router.get('/campaigns/:slug/progress', campaignProgressValidator, getCampaignProgress);
+
+// Contact form
+router.get('/contact/token', getContactFormToken);
+router.post('/contact', contactRateLimit, contactValidator, submitContactForm);
+
+// Newsletter
+router.post('/newsletter/subscribe', newsletterRateLimit, subscribeValidator, subscribe);
+router.get('/newsletter/confirm', confirmSubscription);
+router.get('/newsletter/unsubscribe', getUnsubscribe);
+router.post('/newsletter/unsubscribe', unsubscribe);
+
+export default router;
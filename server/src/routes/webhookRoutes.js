@@ -0,0 +1,8 @@
+import express from 'express';
+import { handlePaymentWebhook } from '../controllers/webhookController.js';
+
+const router = express.Router();
+
+router.post('/payments/:provider', handlePaymentWebhook);
+
+export default router;
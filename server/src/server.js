@@ -5,9 +5,26 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import mysql from 'mysql2/promise';
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
 import multer from 'multer';
 import fs from 'fs';
+import eventRoutes from './routes/eventRoutes.js';
+import publicRoutes from './routes/publicRoutes.js';
+import donationRoutes from './routes/donationRoutes.js';
+import webhookRoutes from './routes/webhookRoutes.js';
+import campaignRoutes from './routes/campaignRoutes.js';
+import donorRoutes from './routes/donorRoutes.js';
+import exchangeRateRoutes from './routes/exchangeRateRoutes.js';
+import contactRoutes from './routes/contactRoutes.js';
+import newsletterRoutes from './routes/newsletterRoutes.js';
+import mailRoutes from './routes/mailRoutes.js';
+import authRoutes from './routes/authRoutes.js';
+import { authenticate } from './middleware/auth.js';
+import User from './models/User.js';
+import Session from './models/Session.js';
+import { startScheduler } from './services/recurringDonationScheduler.js';
+import { startNewsletterSender } from './services/newsletterSender.js';
+import { startNewsletterDigest } from './services/newsletterDigest.js';
+import { startMailOutbox } from './services/mail/outbox.js';
 
 // Load environment variables
 dotenv.config();
@@ -21,8 +38,17 @@ const corsOptions = {
 };
 
 const app = express();
+// Number of proxies in front of the app, so req.ip is the client's address
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', Number(process.env.TRUST_PROXY));
+}
 app.use(cors(corsOptions));
-app.use(express.json());
+// Keep the raw body around so payment webhooks can verify their signature
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 
 // Handle preflight requests
 app.options('*', cors(corsOptions));
@@ -86,19 +112,8 @@ pool.getConnection()
     process.exit(1);
   });
 
-// Authentication Middleware
-const authenticateToken = (req, res, next) => {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
-  
-  if (!token) return res.sendStatus(401);
-
-  jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key', (err, user) => {
-    if (err) return res.sendStatus(403);
-    req.user = user;
-    next();
-  });
-};
+// Authentication Middleware; the shared one also rejects revoked sessions and deactivated users
+const authenticateToken = authenticate;
 
 // Helper function to handle database errors
 const handleDbError = (res, error) => {
@@ -344,18 +359,19 @@ app.post('/api/auth/register-admin', async (req, res) => {
       [name, email, hashedPassword, 'admin']
     );
 
-    // Create token
-    const token = jwt.sign(
-      { id: result.insertId, email, role: 'admin' },
-      process.env.JWT_SECRET || 'your_jwt_secret',
-      { expiresIn: '1d' }
-    );
+    // Sign the new admin in; access tokens have to belong to a session
+    const { session, refreshToken } = await Session.create(result.insertId, {
+      ip: req.ip,
+      userAgent: req.get('User-Agent')?.slice(0, 255) || null
+    });
+    const token = User.generateJwt({ id: result.insertId, role: 'admin', token_version: 0 }, session.id);
 
     // Return success response
     res.status(201).json({
       success: true,
       message: 'Admin registered successfully',
       token,
+      refreshToken,
       user: {
         id: result.insertId,
         name,
@@ -442,55 +458,31 @@ app.get('/api/auth/me', authenticateToken, async (req, res) => {
   }
 });
 
-// Login Route
-app.post('/api/auth/login', async (req, res) => {
-  try {
-    const { email, password } = req.body;
-
-    // Check if user exists
-    const [users] = await pool.query('SELECT * FROM users WHERE email = ?', [email]);
-    if (users.length === 0) {
-      return res.status(400).json({ success: false, message: 'Invalid credentials' });
-    }
-
-    const user = users[0];
-
-    // Verify password
-    const isMatch = await bcrypt.compare(password, user.password);
-    if (!isMatch) {
-      return res.status(400).json({ success: false, message: 'Invalid credentials' });
-    }
-
-    // Create token
-    const token = jwt.sign(
-      { id: user.id, email: user.email, role: user.role },
-      process.env.JWT_SECRET || 'your_jwt_secret',
-      { expiresIn: '1d' }
-    );
-
-    // Don't send password back
-    delete user.password;
-
-    res.json({
-      success: true,
-      token,
-      user
-    });
-
-  } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error during login',
-      error: error.message
-    });
-  }
-});
+// API Routes
+app.use('/api/auth', authRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api/public', publicRoutes);
+app.use('/api/donations', donationRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/campaigns', campaignRoutes);
+app.use('/api/donors', donorRoutes);
+app.use('/api/exchange-rates', exchangeRateRoutes);
+app.use('/api/contact', contactRoutes);
+app.use('/api/newsletter', newsletterRoutes);
+app.use('/api/mail', mailRoutes);
 
 // Start server
 const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
+  // Charge recurring donations that fall due
+  startScheduler();
+  // Send scheduled newsletters
+  startNewsletterSender();
+  // Queue the post digest when it falls due
+  startNewsletterDigest();
+  // Retry transactional emails that failed to send
+  startMailOutbox();
 });
 
 // Handle unhandled promise rejections
@@ -0,0 +1,91 @@
+import dotenv from 'dotenv';
+import User from '../models/User.js';
+import LoginEvent from '../models/LoginEvent.js';
+
+dotenv.config();
+
+// Failed logins in a row before an account is locked, and for how long
+const MAX_FAILURES = Number(process.env.LOGIN_MAX_FAILURES || 5);
+const LOCKOUT_MINUTES = Number(process.env.LOGIN_LOCKOUT_MINUTES || 15);
+// Wait after a failed login, doubling with each one
+const DELAY_BASE_SECONDS = Number(process.env.LOGIN_DELAY_BASE_SECONDS || 1);
+const DELAY_MAX_SECONDS = Number(process.env.LOGIN_DELAY_MAX_SECONDS || 30);
+// Failed logins from one IP, across all accounts, within the window
+const IP_MAX_FAILURES = Number(process.env.LOGIN_IP_MAX_FAILURES || 20);
+const IP_WINDOW_MINUTES = Number(process.env.LOGIN_IP_WINDOW_MINUTES || 15);
+
+// Only wrong secrets count toward a lockout; a deactivated account is refused anyway
+const COUNTED_REASONS = ['invalid_credentials', 'invalid_code'];
+
+const secondsUntil = (time, now) => Math.max(1, Math.ceil((new Date(time).getTime() - now.getTime()) / 1000));
+
+/**
+ * How long to wait after a number of failed logins in a row
+ */
+export const loginDelaySeconds = (failures) =>
+  (failures > 0 ? Math.min(DELAY_BASE_SECONDS * 2 ** (failures - 1), DELAY_MAX_SECONDS) : 0);
+
+/**
+ * Whether a login attempt may go ahead. Returns null when it may, otherwise
+ * the reason, a message and the seconds until the next attempt is allowed.
+ * `user` is the account the email belongs to, if any.
+ */
+export const checkLoginAttempt = async ({ user, ip, now = new Date() }) => {
+  const windowMs = IP_WINDOW_MINUTES * 60 * 1000;
+  const failures = await LoginEvent.countFailuresByIp(ip, new Date(now.getTime() - windowMs));
+
+  if (failures.total >= IP_MAX_FAILURES) {
+    return {
+      reason: 'ip_limit',
+      message: 'Too many failed login attempts, please try again later',
+      retryAfter: secondsUntil(new Date(failures.firstAt).getTime() + windowMs, now)
+    };
+  }
+
+  if (!user) return null;
+
+  if (user.locked_until && new Date(user.locked_until) > now) {
+    return {
+      reason: 'locked',
+      message: 'This account is temporarily locked after too many failed login attempts',
+      retryAfter: secondsUntil(user.locked_until, now)
+    };
+  }
+
+  if (user.last_failed_login_at) {
+    const waitUntil = new Date(user.last_failed_login_at).getTime() + loginDelaySeconds(user.failed_login_count) * 1000;
+    if (waitUntil > now.getTime()) {
+      return {
+        reason: 'too_soon',
+        message: 'Too many failed login attempts, please wait before trying again',
+        retryAfter: secondsUntil(waitUntil, now)
+      };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Record a login attempt that was refused before the password was checked
+ */
+export const recordLoginBlocked = ({ user, email, ip, userAgent, reason }) =>
+  LoginEvent.record({ userId: user?.id ?? null, email, ip, userAgent, outcome: 'blocked', reason });
+
+/**
+ * Record a failed login, counting it toward the account's lockout
+ */
+export const recordLoginFailure = async ({ user, email, ip, userAgent, reason }) => {
+  if (user && COUNTED_REASONS.includes(reason)) {
+    await User.recordFailedLogin(user.id, { maxFailures: MAX_FAILURES, lockoutMinutes: LOCKOUT_MINUTES });
+  }
+  await LoginEvent.record({ userId: user?.id ?? null, email, ip, userAgent, outcome: 'failure', reason });
+};
+
+/**
+ * Record a completed login, which clears the failed attempts before it
+ */
+export const recordLoginSuccess = async ({ user, ip, userAgent }) => {
+  await User.recordLogin(user.id);
+  await LoginEvent.record({ userId: user.id, email: user.email, ip, userAgent, outcome: 'success' });
+};
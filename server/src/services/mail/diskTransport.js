@@ -0,0 +1,44 @@
+import fs from 'fs/promises';
+import path from 'path';
+import dotenv from 'dotenv';
+import nodemailer from 'nodemailer';
+
+dotenv.config();
+
+const MAIL_DIR = path.resolve(process.env.MAIL_DISK_DIR || 'tmp/mail');
+
+// Builds the raw message without sending it anywhere
+const composer = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+
+/**
+ * Development and test transport: writes each message to MAIL_DISK_DIR as an
+ * .eml file, which any mail client can open.
+ */
+const diskTransport = {
+  name: 'disk',
+
+  async send({ from, to, subject, text, html, messageId, inReplyTo, references, headers }) {
+    const info = await composer.sendMail({
+      from,
+      to,
+      subject,
+      text,
+      html,
+      messageId,
+      inReplyTo: inReplyTo || undefined,
+      references: references && references.length > 0 ? references : undefined,
+      headers
+    });
+
+    // Timestamp first so the files sort in the order they were sent
+    const id = info.messageId.replace(/[<>]/g, '').replace(/[^\w.@-]/g, '_');
+    const file = path.join(MAIL_DIR, `${new Date().toISOString().replace(/[:.]/g, '-')}-${id}.eml`);
+
+    await fs.mkdir(MAIL_DIR, { recursive: true });
+    await fs.writeFile(file, info.message);
+
+    return { messageId: info.messageId };
+  }
+};
+
+export default diskTransport;
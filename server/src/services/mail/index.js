@@ -0,0 +1,53 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import logTransport from './logTransport.js';
+import smtpTransport from './smtpTransport.js';
+import diskTransport from './diskTransport.js';
+
+dotenv.config();
+
+/**
+ * Mail transports all implement the same interface:
+ *
+ *   name                                                Transport key used in MAIL_TRANSPORT
+ *   send({ from, to, subject, text, html, messageId,    -> { messageId }
+ *          inReplyTo, references, headers })
+ *
+ * send must throw when the message could not be handed over for delivery.
+ */
+const transports = new Map([
+  [logTransport.name, logTransport],
+  [smtpTransport.name, smtpTransport],
+  [diskTransport.name, diskTransport]
+]);
+
+export const DEFAULT_TRANSPORT = process.env.MAIL_TRANSPORT || 'log';
+export const MAIL_FROM = process.env.MAIL_FROM || 'Global Outreach <no-reply@globaloutreach.org>';
+const MAIL_DOMAIN = process.env.MAIL_DOMAIN || 'globaloutreach.org';
+
+export const registerTransport = (transport) => {
+  transports.set(transport.name, transport);
+};
+
+export const getTransport = (name = DEFAULT_TRANSPORT) => {
+  const transport = transports.get(name);
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+  return transport;
+};
+
+/**
+ * Globally unique Message-ID, optionally prefixed to make it recognisable
+ */
+export const createMessageId = (prefix = 'mail') => `<${prefix}.${crypto.randomUUID()}@${MAIL_DOMAIN}>`;
+
+/**
+ * Send a message through the configured transport
+ */
+export const sendMail = (message) =>
+  getTransport().send({
+    from: MAIL_FROM,
+    messageId: createMessageId(),
+    ...message
+  });
@@ -0,0 +1,14 @@
+/**
+ * Development transport: prints each message to the console instead of
+ * delivering it.
+ */
+const logTransport = {
+  name: 'log',
+
+  async send({ from, to, subject, text, messageId }) {
+    console.log(`[mail] ${messageId}\nFrom: ${from}\nTo: ${to}\nSubject: ${subject}\n\n${text}\n`);
+    return { messageId };
+  }
+};
+
+export default logTransport;
@@ -0,0 +1,125 @@
+import dotenv from 'dotenv';
+import MailOutbox from '../../models/MailOutbox.js';
+import { renderTemplate } from './templates/index.js';
+import { MAIL_FROM, createMessageId, getTransport } from './index.js';
+
+dotenv.config();
+
+const INTERVAL_SECONDS = parseInt(process.env.MAIL_OUTBOX_INTERVAL_SECONDS, 10) || 60;
+const MAX_ATTEMPTS = parseInt(process.env.MAIL_MAX_ATTEMPTS, 10) || 5;
+const RETRY_BASE_MINUTES = parseInt(process.env.MAIL_RETRY_MINUTES, 10) || 5;
+const BATCH_SIZE = 50;
+// A message being sent is left alone this long before it counts as due again
+const CLAIM_MINUTES = 10;
+
+// Only one run at a time, even if a run outlasts the interval
+let running = false;
+
+const claimUntil = (now) => new Date(now.getTime() + CLAIM_MINUTES * 60 * 1000);
+
+/**
+ * When to retry after the given number of failed attempts, doubling the wait
+ * each time. Returns null once the attempts are used up.
+ */
+export const nextAttemptAt = (attempts, now = new Date()) => {
+  if (attempts >= MAX_ATTEMPTS) return null;
+  const minutes = RETRY_BASE_MINUTES * 2 ** (attempts - 1);
+  return new Date(now.getTime() + minutes * 60 * 1000);
+};
+
+// Send a stored message and record the outcome
+const deliver = async (message) => {
+  try {
+    const result = await getTransport().send({
+      from: message.from_address,
+      to: message.to_address,
+      subject: message.subject,
+      text: message.text_body,
+      html: message.html_body,
+      messageId: message.message_id,
+      headers: message.headers || undefined
+    });
+
+    await MailOutbox.markSent(message.id, { messageId: result.messageId || message.message_id });
+    return 'sent';
+  } catch (error) {
+    console.error(`Mail delivery error (outbox ${message.id}):`, error);
+    const retryAt = nextAttemptAt(message.attempts + 1);
+    await MailOutbox.markFailed(message.id, { error: error.message, nextAttemptAt: retryAt });
+    return retryAt ? 'retrying' : 'failed';
+  }
+};
+
+/**
+ * Render a template and store the message in the outbox, then send it in
+ * the background; when that fails the outbox worker retries it. A dedupe key
+ * makes sure a message about the same thing is only queued once; sensitive
+ * messages (with login links and the like) are not kept once sent. Returns
+ * the outbox entry, or null for a duplicate.
+ */
+export const queueMail = async (template, to, variables, { dedupeKey = null, headers = null, sensitive = false } = {}) => {
+  const { subject, html, text } = renderTemplate(template, variables);
+
+  const message = await MailOutbox.create({
+    template,
+    dedupeKey,
+    to,
+    from: MAIL_FROM,
+    subject,
+    html,
+    text,
+    headers,
+    sensitive,
+    messageId: createMessageId(template),
+    // Claimed for the first attempt below
+    nextAttemptAt: claimUntil(new Date())
+  });
+
+  if (message) {
+    deliver(message).catch((error) => {
+      console.error(`Mail outbox error (outbox ${message.id}):`, error);
+    });
+  }
+
+  return message;
+};
+
+/**
+ * Send the outbox messages that are due. Returns how many were sent, will
+ * be retried and failed for good.
+ */
+export const processMailOutbox = async (now = new Date()) => {
+  const summary = { sent: 0, retrying: 0, failed: 0 };
+  if (running) return summary;
+
+  running = true;
+  try {
+    for (const message of await MailOutbox.findDue(now, BATCH_SIZE)) {
+      // Another instance may have taken it in the meantime
+      if (!(await MailOutbox.claim(message.id, { now, until: claimUntil(now) }))) continue;
+
+      summary[await deliver(message)] += 1;
+    }
+  } finally {
+    running = false;
+  }
+
+  return summary;
+};
+
+/**
+ * Retry outbox messages on an interval. Set MAIL_OUTBOX_INTERVAL_SECONDS to
+ * 0 to disable it, e.g. when another instance does the sending.
+ */
+export const startMailOutbox = () => {
+  if (process.env.MAIL_OUTBOX_INTERVAL_SECONDS === '0') return null;
+
+  const run = () => processMailOutbox().catch((error) => {
+    console.error('Mail outbox error:', error);
+  });
+
+  const timer = setInterval(run, INTERVAL_SECONDS * 1000);
+  // Don't keep the process alive just for the outbox
+  timer.unref();
+  return timer;
+};
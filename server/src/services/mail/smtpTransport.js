@@ -0,0 +1,46 @@
+import dotenv from 'dotenv';
+import nodemailer from 'nodemailer';
+
+dotenv.config();
+
+let transporter = null;
+
+// Created on first use so the app starts without SMTP settings
+const getTransporter = () => {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST || 'localhost',
+      port: Number(process.env.SMTP_PORT || 1025),
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+        : undefined
+    });
+  }
+  return transporter;
+};
+
+/**
+ * Delivers through an SMTP server. The defaults point at a local catcher
+ * such as MailHog or Mailpit on port 1025.
+ */
+const smtpTransport = {
+  name: 'smtp',
+
+  async send({ from, to, subject, text, html, messageId, inReplyTo, references, headers }) {
+    const info = await getTransporter().sendMail({
+      from,
+      to,
+      subject,
+      text,
+      html,
+      messageId,
+      inReplyTo: inReplyTo || undefined,
+      references: references && references.length > 0 ? references : undefined,
+      headers
+    });
+    return { messageId: info.messageId };
+  }
+};
+
+export default smtpTransport;
@@ -0,0 +1,19 @@
+// Sent to whoever used the contact form, so they know it arrived. Nothing
+// that was typed into the form is repeated, not even the name: the form
+// accepts any address, and echoing what was typed would let it be used to
+// send spam.
+export default {
+  name: 'contact-auto-reply',
+  subject: 'We received your message',
+  html: `<p>Hello,</p>
+<p>Thank you for contacting {{siteName}}. This is an automatic reply to let you know we received your message of {{date}}; a member of our team will get back to you soon.</p>
+<p style="color:#666">If you didn't use our contact form, you can ignore this email.</p>`,
+  text: `Hello,
+
+Thank you for contacting {{siteName}}. This is an automatic reply to let you know we received your message of {{date}}; a member of our team will get back to you soon.
+
+If you didn't use our contact form, you can ignore this email.`,
+  sample: {
+    date: 'January 15, 2026'
+  }
+};
@@ -0,0 +1,37 @@
+// Sent when a donation completes, with a link to its PDF receipt
+export default {
+  name: 'donation-receipt',
+  subject: 'Thank you for your donation (receipt {{receiptNumber}})',
+  html: `<p>Dear {{name}},</p>
+<p>Thank you for your {{#recurring}}recurring {{/recurring}}donation of <strong>{{amount}}</strong>{{#campaign}} to {{campaign}}{{/campaign}}. Your support makes our work possible.</p>
+<table role="presentation" cellpadding="0" cellspacing="0" style="margin:0 0 16px">
+<tr><td style="padding:2px 16px 2px 0;color:#666">Receipt number</td><td>{{receiptNumber}}</td></tr>
+<tr><td style="padding:2px 16px 2px 0;color:#666">Date</td><td>{{date}}</td></tr>
+<tr><td style="padding:2px 16px 2px 0;color:#666">Amount</td><td>{{amount}}</td></tr>
+{{#paymentMethod}}<tr><td style="padding:2px 16px 2px 0;color:#666">Payment method</td><td>{{paymentMethod}}</td></tr>{{/paymentMethod}}
+</table>
+<p><a href="{{receiptUrl}}" style="display:inline-block;padding:10px 20px;background:#0066cc;color:#ffffff;text-decoration:none;border-radius:4px">Download your receipt</a></p>
+<p style="color:#666">Please keep the receipt for your records.</p>`,
+  text: `Dear {{name}},
+
+Thank you for your {{#recurring}}recurring {{/recurring}}donation of {{amount}}{{#campaign}} to {{campaign}}{{/campaign}}. Your support makes our work possible.
+
+Receipt number: {{receiptNumber}}
+Date: {{date}}
+Amount: {{amount}}
+{{#paymentMethod}}Payment method: {{paymentMethod}}
+{{/paymentMethod}}
+Download your receipt: {{receiptUrl}}
+
+Please keep the receipt for your records.`,
+  sample: {
+    name: 'Jane Doe',
+    amount: '$50.00',
+    date: 'January 15, 2026',
+    receiptNumber: 'R-000042',
+    receiptUrl: 'https://example.org/api/public/donations/receipt?token=sample',
+    campaign: 'Clean Water Fund',
+    paymentMethod: 'card',
+    recurring: false
+  }
+};
@@ -0,0 +1,21 @@
+// Sent after registering, and again on request, to confirm the email address
+export default {
+  name: 'email-verification',
+  subject: 'Verify your email address for {{siteName}}',
+  html: `<p>Hi {{name}},</p>
+<p>Please confirm that this is your email address by using the button below. The link expires in {{expiresIn}}.</p>
+<p><a href="{{verifyUrl}}" style="display:inline-block;padding:10px 20px;background:#0066cc;color:#ffffff;text-decoration:none;border-radius:4px">Verify email address</a></p>
+<p style="color:#666">If you didn't create an account, you can ignore this email.</p>`,
+  text: `Hi {{name}},
+
+Please confirm that this is your email address by opening the link below. The link expires in {{expiresIn}}.
+
+{{verifyUrl}}
+
+If you didn't create an account, you can ignore this email.`,
+  sample: {
+    name: 'Jane',
+    verifyUrl: 'https://example.org/verify-email?token=sample',
+    expiresIn: '24 hours'
+  }
+};
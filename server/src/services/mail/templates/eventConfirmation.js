@@ -0,0 +1,29 @@
+// Sent when someone registers for an event, or joins its waitlist
+export default {
+  name: 'event-confirmation',
+  subject: '{{#waitlisted}}Waitlisted{{/waitlisted}}{{^waitlisted}}Registration confirmed{{/waitlisted}}: {{eventTitle}}',
+  html: `<p>Hi {{name}},</p>
+{{^waitlisted}}<p>You are registered for <strong>{{eventTitle}}</strong>. We look forward to seeing you there.</p>{{/waitlisted}}
+{{#waitlisted}}<p><strong>{{eventTitle}}</strong> is full, so you have been added to the waitlist. We will let you know if a place becomes available.</p>{{/waitlisted}}
+<table role="presentation" cellpadding="0" cellspacing="0" style="margin:0 0 16px">
+<tr><td style="padding:2px 16px 2px 0;color:#666">When</td><td>{{eventDate}}</td></tr>
+{{#location}}<tr><td style="padding:2px 16px 2px 0;color:#666">Where</td><td>{{location}}</td></tr>{{/location}}
+</table>
+<p style="color:#666">Can't make it? <a href="{{cancelUrl}}" style="color:#0066cc">Cancel your registration</a> so someone else can take your place.</p>`,
+  text: `Hi {{name}},
+
+{{^waitlisted}}You are registered for {{eventTitle}}. We look forward to seeing you there.{{/waitlisted}}{{#waitlisted}}{{eventTitle}} is full, so you have been added to the waitlist. We will let you know if a place becomes available.{{/waitlisted}}
+
+When: {{eventDate}}
+{{#location}}Where: {{location}}
+{{/location}}
+Can't make it? Cancel your registration so someone else can take your place: {{cancelUrl}}`,
+  sample: {
+    name: 'Jane',
+    eventTitle: 'Community Volunteer Day',
+    eventDate: 'Saturday, March 14, 2026 at 9:00 AM UTC',
+    location: 'Springfield Community Center',
+    cancelUrl: 'https://example.org/events/cancel?token=sample',
+    waitlisted: false
+  }
+};
@@ -0,0 +1,72 @@
+import { escapeHtml } from '../../../utils/html.js';
+import { SITE_NAME, SITE_URL } from '../../../config/site.js';
+import layout from './layout.js';
+import welcome from './welcome.js';
+import passwordReset from './passwordReset.js';
+import emailVerification from './emailVerification.js';
+import donationReceipt from './donationReceipt.js';
+import eventConfirmation from './eventConfirmation.js';
+import contactAutoReply from './contactAutoReply.js';
+
+/**
+ * Email templates all have the same shape:
+ *
+ *   name      Template key passed to renderTemplate and queueMail
+ *   subject   Subject line
+ *   html      HTML body, wrapped in the shared layout
+ *   text      Plain-text body
+ *   sample    Example variables, used for previews
+ *
+ * {{name}} is replaced by a variable (HTML-escaped in the HTML body) and
+ * must be given. {{#name}}...{{/name}} is only kept when the variable is set,
+ * {{^name}}...{{/name}} only when it isn't. siteName and siteUrl are always
+ * available.
+ */
+const templates = new Map(
+  [welcome, passwordReset, emailVerification, donationReceipt, eventConfirmation, contactAutoReply]
+    .map((template) => [template.name, template])
+);
+
+const SECTION = /{{([#^])\s*(\w+)\s*}}([\s\S]*?){{\/\s*\2\s*}}/g;
+const VARIABLE = /{{\s*(\w+)\s*}}/g;
+
+const isSet = (value) => value !== undefined && value !== null && value !== false && value !== '';
+
+const fill = (template, variables, escape) =>
+  template
+    .replace(SECTION, (match, type, key, content) => (isSet(variables[key]) === (type === '#') ? content : ''))
+    .replace(VARIABLE, (match, key) => {
+      if (variables[key] === undefined || variables[key] === null) {
+        throw new Error(`Missing template variable: ${key}`);
+      }
+      return escape(variables[key]);
+    });
+
+export const registerTemplate = (template) => {
+  templates.set(template.name, template);
+};
+
+export const getTemplate = (name) => {
+  const template = templates.get(name);
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+  return template;
+};
+
+export const listTemplates = () => [...templates.values()];
+
+/**
+ * Render a template to { subject, html, text }
+ */
+export const renderTemplate = (name, variables = {}) => {
+  const template = getTemplate(name);
+  const values = { siteName: SITE_NAME, siteUrl: SITE_URL, ...variables };
+  const subject = fill(template.subject, values, String).replace(/\s+/g, ' ').trim();
+
+  return {
+    subject,
+    html: layout(fill(template.html, values, escapeHtml), { title: subject }),
+    text: `${fill(template.text, values, String).replace(/\n{3,}/g, '\n\n').trim()}\n\n--\n${SITE_NAME}\n${SITE_URL}\n`
+  };
+};
@@ -0,0 +1,30 @@
+import { escapeHtml } from '../../../utils/html.js';
+import { SITE_NAME, SITE_URL } from '../../../config/site.js';
+
+/**
+ * Shared HTML frame of the transactional emails. Styles are inline since
+ * most mail clients ignore style sheets.
+ */
+const layout = (content, { title }) => `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+</head>
+<body style="margin:0;padding:0;background:#f4f4f4">
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="background:#f4f4f4">
+<tr><td style="padding:24px 12px">
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="max-width:600px;margin:0 auto;background:#ffffff;font-family:Arial,Helvetica,sans-serif;font-size:15px;line-height:1.5;color:#1a1a1a">
+<tr><td style="padding:20px 24px;border-bottom:1px solid #eee;font-size:18px;font-weight:bold">${escapeHtml(SITE_NAME)}</td></tr>
+<tr><td style="padding:24px">
+${content}
+</td></tr>
+<tr><td style="padding:16px 24px;border-top:1px solid #eee;font-size:12px;color:#666"><a href="${escapeHtml(SITE_URL)}" style="color:#666">${escapeHtml(SITE_URL)}</a></td></tr>
+</table>
+</td></tr>
+</table>
+</body>
+</html>`;
+
+export default layout;
@@ -0,0 +1,21 @@
+// Sent when someone asks for a password reset link
+export default {
+  name: 'password-reset',
+  subject: 'Reset your {{siteName}} password',
+  html: `<p>Hi {{name}},</p>
+<p>We received a request to reset the password of your account. Use the button below to choose a new one. The link expires in {{expiresIn}} and can only be used once.</p>
+<p><a href="{{resetUrl}}" style="display:inline-block;padding:10px 20px;background:#0066cc;color:#ffffff;text-decoration:none;border-radius:4px">Reset password</a></p>
+<p style="color:#666">If you didn't ask for this, you can ignore this email; your password stays the same.</p>`,
+  text: `Hi {{name}},
+
+We received a request to reset the password of your account. Open the link below to choose a new one. The link expires in {{expiresIn}} and can only be used once.
+
+{{resetUrl}}
+
+If you didn't ask for this, you can ignore this email; your password stays the same.`,
+  sample: {
+    name: 'Jane',
+    resetUrl: 'https://example.org/reset-password?token=sample',
+    expiresIn: '1 hour'
+  }
+};
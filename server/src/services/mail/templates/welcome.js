@@ -0,0 +1,18 @@
+// Sent when someone creates an account
+export default {
+  name: 'welcome',
+  subject: 'Welcome to {{siteName}}',
+  html: `<p>Hi {{name}},</p>
+<p>Thank you for joining {{siteName}}. Your account <strong>{{username}}</strong> is ready.</p>
+<p><a href="{{loginUrl}}" style="display:inline-block;padding:10px 20px;background:#0066cc;color:#ffffff;text-decoration:none;border-radius:4px">Sign in</a></p>`,
+  text: `Hi {{name}},
+
+Thank you for joining {{siteName}}. Your account {{username}} is ready.
+
+Sign in: {{loginUrl}}`,
+  sample: {
+    name: 'Jane',
+    username: 'jane',
+    loginUrl: 'https://example.org/login'
+  }
+};
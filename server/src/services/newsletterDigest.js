@@ -0,0 +1,230 @@
+import dotenv from 'dotenv';
+import Post from '../models/Post.js';
+import Setting from '../models/Setting.js';
+import NewsletterDigest from '../models/NewsletterDigest.js';
+import { addBillingPeriod } from '../utils/billing.js';
+import { escapeHtml, htmlToText } from '../utils/html.js';
+import { SITE_NAME, SITE_URL } from '../config/site.js';
+
+dotenv.config();
+
+export const DIGEST_FREQUENCIES = ['off', 'daily', 'weekly', 'monthly'];
+
+const INTERVAL_MINUTES = parseInt(process.env.NEWSLETTER_DIGEST_INTERVAL_MINUTES, 10) || 60;
+const EXCERPT_LENGTH = 200;
+
+// Stored settings and their defaults; the digest stays off until an admin turns it on
+const DIGEST_SETTINGS = {
+  digest_frequency: 'off',
+  digest_skip_empty: true,
+  digest_max_posts: 10
+};
+
+const PERIOD_LABELS = { daily: 'day', weekly: 'week', monthly: 'month' };
+
+// Only one run at a time, even if a run outlasts the interval
+let running = false;
+
+/**
+ * Digest settings as the admin panel sees them
+ */
+export const getDigestSettings = async () => {
+  const settings = await Setting.get(DIGEST_SETTINGS);
+  return {
+    frequency: settings.digest_frequency,
+    skipWhenEmpty: settings.digest_skip_empty,
+    maxPosts: settings.digest_max_posts
+  };
+};
+
+/**
+ * Save the digest settings that are given, leaving the others as they are
+ */
+export const updateDigestSettings = async ({ frequency, skipWhenEmpty, maxPosts }, updatedBy = null) => {
+  await Setting.set({
+    digest_frequency: frequency,
+    digest_skip_empty: skipWhenEmpty,
+    digest_max_posts: maxPosts
+  }, updatedBy);
+  return getDigestSettings();
+};
+
+// One digest period after (or, with count -1, before) a date. A digest that
+// is turned off but run by hand covers a week.
+const shiftPeriod = (date, frequency, count = 1) => {
+  if (frequency === 'monthly') {
+    if (count > 0) return addBillingPeriod(date, 'monthly');
+    const shifted = new Date(date);
+    shifted.setUTCMonth(shifted.getUTCMonth() - 1);
+    return shifted;
+  }
+
+  const days = frequency === 'daily' ? 1 : 7;
+  return new Date(new Date(date).getTime() + count * days * 24 * 60 * 60 * 1000);
+};
+
+/**
+ * When the next digest is due, or null when it is turned off. Without a
+ * previous digest the first one is due right away.
+ */
+export const nextDigestAt = (latest, frequency, now = new Date()) => {
+  if (frequency === 'off') return null;
+  return latest ? shiftPeriod(latest.period_end, frequency) : now;
+};
+
+const postUrl = (post) => `${SITE_URL}/blog/${encodeURIComponent(post.slug)}`;
+
+// Uploaded images are stored as paths relative to the site
+const absoluteUrl = (url) => new URL(url, `${SITE_URL}/`).toString();
+
+const postExcerpt = (post) => {
+  if (post.excerpt) return post.excerpt;
+  const text = htmlToText(post.content || '').replace(/\s+/g, ' ');
+  return text.length > EXCERPT_LENGTH ? `${text.slice(0, EXCERPT_LENGTH).trim()}…` : text;
+};
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' });
+
+const renderPostHtml = (post) => {
+  const url = escapeHtml(postUrl(post));
+  const image = post.featured_image
+    ? `<a href="${url}"><img src="${escapeHtml(absoluteUrl(post.featured_image))}" alt="${escapeHtml(post.title)}" width="560" style="display:block;width:100%;max-width:560px;height:auto;border:0;margin:0 0 12px"></a>`
+    : '';
+
+  return `<tr><td style="padding:0 0 32px">
+${image}<h2 style="margin:0 0 8px;font-size:20px;line-height:1.3"><a href="${url}" style="color:#1a1a1a;text-decoration:none">${escapeHtml(post.title)}</a></h2>
+<p style="margin:0 0 8px;font-size:15px;line-height:1.5;color:#444">${escapeHtml(postExcerpt(post))}</p>
+<a href="${url}" style="font-size:15px;color:#0066cc">Read more</a>
+</td></tr>`;
+};
+
+/**
+ * Render the digest email for the posts of a period. `total` is the number
+ * of posts published, which may be more than the posts listed. The bodies
+ * keep the {{unsubscribe_url}} placeholder for the send queue to fill in.
+ */
+export const renderDigest = ({ posts, total, periodStart, periodEnd, frequency }) => {
+  const period = `${formatDate(periodStart)} – ${formatDate(periodEnd)}`;
+  const more = total - posts.length;
+  const blogUrl = `${SITE_URL}/blog`;
+
+  let subject = `${SITE_NAME} ${PERIOD_LABELS[frequency] || 'week'} in review: no new posts`;
+  if (posts.length > 0) {
+    subject = `New on ${SITE_NAME}: ${posts[0].title}`;
+    if (total > 1) subject += ` and ${total - 1} more`;
+  }
+
+  const html = `<table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="max-width:600px;margin:0 auto;font-family:Arial,Helvetica,sans-serif">
+<tr><td style="padding:24px 20px 16px">
+<h1 style="margin:0 0 4px;font-size:24px;color:#1a1a1a">What's new at ${escapeHtml(SITE_NAME)}</h1>
+<p style="margin:0;font-size:14px;color:#666">${escapeHtml(period)}</p>
+</td></tr>
+<tr><td style="padding:0 20px"><table role="presentation" width="100%" cellpadding="0" cellspacing="0">
+${posts.length > 0
+    ? posts.map(renderPostHtml).join('\n')
+    : `<tr><td style="padding:0 0 32px;font-size:15px;color:#444">Nothing new was published this ${PERIOD_LABELS[frequency] || 'week'}. <a href="${escapeHtml(blogUrl)}" style="color:#0066cc">Catch up on earlier posts</a>.</td></tr>`}
+</table></td></tr>
+${more > 0 ? `<tr><td style="padding:0 20px 32px;font-size:15px"><a href="${escapeHtml(blogUrl)}" style="color:#0066cc">See all ${total} new posts</a></td></tr>\n` : ''}<tr><td style="padding:16px 20px;border-top:1px solid #eee;font-size:12px;color:#666">
+You are receiving this because you subscribed to updates from ${escapeHtml(SITE_NAME)}. <a href="{{unsubscribe_url}}" style="color:#666">Unsubscribe</a>
+</td></tr>
+</table>`;
+
+  const sections = posts.map((post) => `${post.title}\n${postExcerpt(post)}\nRead more: ${postUrl(post)}`);
+  if (posts.length === 0) {
+    sections.push(`Nothing new was published this ${PERIOD_LABELS[frequency] || 'week'}. Catch up on earlier posts: ${blogUrl}`);
+  }
+  if (more > 0) {
+    sections.push(`See all ${total} new posts: ${blogUrl}`);
+  }
+
+  const text = [
+    `What's new at ${SITE_NAME}\n${period}`,
+    ...sections,
+    `You are receiving this because you subscribed to updates from ${SITE_NAME}.\nUnsubscribe: {{unsubscribe_url}}`
+  ].join('\n\n');
+
+  return { subject, html, text };
+};
+
+/**
+ * Collect the posts published since the last digest (or in the last period,
+ * for the first one) and render them, without saving anything.
+ */
+export const buildDigest = async (settings, now = new Date()) => {
+  const latest = await NewsletterDigest.findLatest();
+  const periodStart = latest ? new Date(latest.period_end) : shiftPeriod(now, settings.frequency, -1);
+
+  const { data: posts, pagination } = await Post.findAll({
+    status: 'published',
+    publishedAfter: periodStart,
+    publishedBefore: now,
+    page: 1,
+    limit: settings.maxPosts
+  });
+
+  return {
+    periodStart,
+    periodEnd: now,
+    posts,
+    total: pagination.total,
+    ...renderDigest({ posts, total: pagination.total, periodStart, periodEnd: now, frequency: settings.frequency })
+  };
+};
+
+/**
+ * Queue the digest when it is due, or right away with `force`. Returns the
+ * outcome: disabled, not_due (with dueAt), busy, skipped or queued.
+ */
+export const runNewsletterDigest = async ({ now = new Date(), force = false } = {}) => {
+  if (running) return { status: 'busy' };
+
+  running = true;
+  try {
+    const settings = await getDigestSettings();
+
+    if (!force) {
+      if (settings.frequency === 'off') return { status: 'disabled' };
+
+      const dueAt = nextDigestAt(await NewsletterDigest.findLatest(), settings.frequency, now);
+      if (dueAt > now) return { status: 'not_due', dueAt };
+    }
+
+    const digest = await buildDigest(settings, now);
+    const period = { periodStart: digest.periodStart, periodEnd: digest.periodEnd };
+
+    if (digest.total === 0 && settings.skipWhenEmpty) {
+      const record = await NewsletterDigest.skip(period);
+      return { status: 'skipped', digestId: record.id, postCount: 0, ...period };
+    }
+
+    const record = await NewsletterDigest.queue({
+      ...period,
+      postCount: digest.total,
+      subject: digest.subject,
+      htmlBody: digest.html,
+      textBody: digest.text
+    });
+    return { status: 'queued', digestId: record.id, campaignId: record.campaign_id, postCount: digest.total, ...period };
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Check on an interval whether a digest is due. Set
+ * NEWSLETTER_DIGEST_INTERVAL_MINUTES to 0 to disable the check, e.g. when
+ * another instance runs it.
+ */
+export const startNewsletterDigest = () => {
+  if (process.env.NEWSLETTER_DIGEST_INTERVAL_MINUTES === '0') return null;
+
+  const run = () => runNewsletterDigest().catch((error) => {
+    console.error('Newsletter digest error:', error);
+  });
+
+  const timer = setInterval(run, INTERVAL_MINUTES * 60 * 1000);
+  // Don't keep the process alive just for the digest
+  timer.unref();
+  return timer;
+};
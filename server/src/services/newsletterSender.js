@@ -0,0 +1,125 @@
+import dotenv from 'dotenv';
+import NewsletterCampaign from '../models/NewsletterCampaign.js';
+import NewsletterRecipient from '../models/NewsletterRecipient.js';
+import { sendMail } from './mail/index.js';
+import { unsubscribeHeaders, unsubscribeLink } from '../utils/newsletterLinks.js';
+import { escapeHtml, htmlToText } from '../utils/html.js';
+
+dotenv.config();
+
+const INTERVAL_SECONDS = parseInt(process.env.NEWSLETTER_QUEUE_INTERVAL_SECONDS, 10) || 60;
+// Messages sent per run, across all campaigns; together with the interval this is the throttle
+const BATCH_SIZE = parseInt(process.env.NEWSLETTER_BATCH_SIZE, 10) || 50;
+const MAX_ATTEMPTS = parseInt(process.env.NEWSLETTER_MAX_ATTEMPTS, 10) || 3;
+
+// Only one run at a time, even if a run outlasts the interval
+let running = false;
+
+const fillPlaceholders = (template, values, escape) =>
+  template.replace(/{{\s*(\w+)\s*}}/g, (match, key) => (key in values ? escape(values[key]) : match));
+
+/**
+ * Personalise a campaign for one recipient. Bodies may use {{first_name}},
+ * {{last_name}}, {{email}} and {{unsubscribe_url}}; an unsubscribe footer is
+ * added when the body has no link of its own.
+ */
+export const renderCampaign = (campaign, recipient, unsubscribeUrl) => {
+  const values = {
+    first_name: recipient.first_name || '',
+    last_name: recipient.last_name || '',
+    email: recipient.email,
+    unsubscribe_url: unsubscribeUrl
+  };
+
+  let html = fillPlaceholders(campaign.html_body, values, escapeHtml);
+  let text = fillPlaceholders(campaign.text_body || htmlToText(campaign.html_body), values, String);
+
+  if (!/{{\s*unsubscribe_url\s*}}/.test(campaign.html_body)) {
+    html += `<p style="font-size:12px;color:#666"><a href="${escapeHtml(unsubscribeUrl)}">Unsubscribe</a></p>`;
+  }
+  if (!/{{\s*unsubscribe_url\s*}}/.test(campaign.text_body || campaign.html_body)) {
+    text += `\n\nUnsubscribe: ${unsubscribeUrl}`;
+  }
+
+  return { subject: campaign.subject, html, text };
+};
+
+// Send a campaign to one queued recipient and record the outcome
+const deliver = async (campaign, recipient) => {
+  // Opted out since the campaign was queued
+  if (!recipient.is_active) {
+    await NewsletterRecipient.markSkipped(recipient.id, 'Unsubscribed');
+    return 'skipped';
+  }
+
+  let result;
+  try {
+    const message = renderCampaign(campaign, recipient, unsubscribeLink(recipient.subscriber_id));
+    result = await sendMail({
+      ...message,
+      to: recipient.email,
+      headers: unsubscribeHeaders(recipient.subscriber_id)
+    });
+  } catch (error) {
+    console.error(`Newsletter delivery error (campaign ${campaign.id}, recipient ${recipient.id}):`, error);
+    await NewsletterRecipient.markFailed(recipient.id, { error: error.message, maxAttempts: MAX_ATTEMPTS });
+    return 'failed';
+  }
+
+  // The message is out. If recording that fails the error ends the run rather
+  // than counting as a failed delivery, so the rest of the batch isn't sent
+  // while nothing can be recorded.
+  await NewsletterRecipient.markSent(recipient.id, { messageId: result.messageId });
+  return 'sent';
+};
+
+/**
+ * Start campaigns that are due and send the next batch of queued messages.
+ * Returns how many messages were sent, failed and skipped.
+ */
+export const processNewsletterQueue = async (now = new Date()) => {
+  const summary = { sent: 0, failed: 0, skipped: 0 };
+  if (running) return summary;
+
+  running = true;
+  try {
+    for (const campaign of await NewsletterCampaign.findDueToStart(now)) {
+      await NewsletterCampaign.start(campaign.id, now);
+    }
+
+    let remaining = BATCH_SIZE;
+    for (const campaign of await NewsletterCampaign.findSending()) {
+      if (remaining <= 0) break;
+
+      const batch = await NewsletterRecipient.nextBatch(campaign.id, remaining);
+      remaining -= batch.length;
+
+      for (const recipient of batch) {
+        summary[await deliver(campaign, recipient)] += 1;
+      }
+
+      await NewsletterCampaign.completeIfDone(campaign.id, new Date());
+    }
+  } finally {
+    running = false;
+  }
+
+  return summary;
+};
+
+/**
+ * Run the send queue on an interval. Set NEWSLETTER_QUEUE_INTERVAL_SECONDS
+ * to 0 to disable it, e.g. when another instance does the sending.
+ */
+export const startNewsletterSender = () => {
+  if (process.env.NEWSLETTER_QUEUE_INTERVAL_SECONDS === '0') return null;
+
+  const run = () => processNewsletterQueue().catch((error) => {
+    console.error('Newsletter sender error:', error);
+  });
+
+  const timer = setInterval(run, INTERVAL_SECONDS * 1000);
+  // Don't keep the process alive just for the sender
+  timer.unref();
+  return timer;
+};
@@ -0,0 +1,121 @@
+import Campaign from '../models/Campaign.js';
+import DonationReceipt from '../models/DonationReceipt.js';
+import { queueMail } from './mail/outbox.js';
+import { API_URL, SITE_URL } from '../config/site.js';
+import { receiptLink } from '../utils/receiptLinks.js';
+
+const formatAmount = (amount, currency) =>
+  new Intl.NumberFormat('en-US', { style: 'currency', currency: currency || 'USD' }).format(Number(amount));
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' });
+
+const formatDateTime = (date) =>
+  new Date(date).toLocaleString('en-US', {
+    weekday: 'long',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZone: 'UTC',
+    timeZoneName: 'short'
+  });
+
+const formatDuration = (minutes) => {
+  if (minutes % 60 !== 0) return `${minutes} minutes`;
+  return minutes === 60 ? '1 hour' : `${minutes / 60} hours`;
+};
+
+// An email that can't be queued must not fail the action that triggered it
+const notify = async (label, send) => {
+  try {
+    return await send();
+  } catch (error) {
+    console.error(`${label} email error:`, error);
+    return null;
+  }
+};
+
+/**
+ * Welcome a new account holder
+ */
+export const sendWelcomeEmail = (user) => notify('Welcome', () =>
+  queueMail('welcome', user.email, {
+    name: user.first_name || user.username,
+    username: user.username,
+    loginUrl: `${SITE_URL}/login`
+  }, { dedupeKey: `welcome:${user.id}` })
+);
+
+/**
+ * Send a password reset link. The message isn't kept once sent, since the
+ * link gives access to the account.
+ */
+export const sendPasswordResetEmail = (user, token, expiryMinutes) => notify('Password reset', () =>
+  queueMail('password-reset', user.email, {
+    name: user.first_name || user.username,
+    resetUrl: `${SITE_URL}/reset-password?token=${encodeURIComponent(token)}`,
+    expiresIn: formatDuration(expiryMinutes)
+  }, { sensitive: true })
+);
+
+/**
+ * Send a link to verify the email address of an account. Like a reset link,
+ * the message isn't kept once sent.
+ */
+export const sendVerificationEmail = (user, token, expiryMinutes) => notify('Email verification', () =>
+  queueMail('email-verification', user.email, {
+    name: user.first_name || user.username,
+    verifyUrl: `${SITE_URL}/verify-email?token=${encodeURIComponent(token)}`,
+    expiresIn: formatDuration(expiryMinutes)
+  }, { sensitive: true })
+);
+
+/**
+ * Thank the donor of a completed donation, with a link to the receipt. Safe
+ * to call more than once: the receipt is only emailed the first time.
+ */
+export const sendDonationReceiptEmail = (donation) => notify('Donation receipt', async () => {
+  if (!donation || donation.payment_status !== 'completed') return null;
+
+  const receipt = await DonationReceipt.findByDonation(donation.id);
+  if (!receipt) return null;
+
+  const campaign = receipt.campaign_id ? await Campaign.findById(receipt.campaign_id) : null;
+
+  return queueMail('donation-receipt', receipt.donor_email, {
+    name: receipt.donor_name,
+    amount: formatAmount(receipt.amount, receipt.currency),
+    date: formatDate(receipt.created_at),
+    receiptNumber: receipt.receipt_number,
+    receiptUrl: `${API_URL}${receiptLink(receipt.id).url}`,
+    campaign: campaign ? campaign.title : null,
+    paymentMethod: receipt.payment_method,
+    recurring: Boolean(receipt.is_recurring)
+  }, { dedupeKey: `donation-receipt:${donation.id}` });
+});
+
+/**
+ * Confirm an event registration (or a place on the waitlist), with the
+ * link to cancel it
+ */
+export const sendEventConfirmationEmail = (registration, cancelToken) => notify('Event confirmation', () =>
+  queueMail('event-confirmation', registration.email, {
+    name: registration.name,
+    eventTitle: registration.event_title,
+    eventDate: formatDateTime(registration.event_start_datetime),
+    location: registration.event_location,
+    cancelUrl: `${SITE_URL}/events/cancel-registration?token=${encodeURIComponent(cancelToken)}`,
+    waitlisted: registration.status === 'waitlisted'
+  })
+);
+
+/**
+ * Let someone who used the contact form know their message arrived
+ */
+export const sendContactAutoReply = (submission) => notify('Contact auto-reply', () =>
+  queueMail('contact-auto-reply', submission.email, {
+    date: formatDate(submission.created_at || new Date())
+  })
+);
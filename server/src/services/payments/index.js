@@ -0,0 +1,53 @@
+import dotenv from 'dotenv';
+import mockProvider from './mockProvider.js';
+
+dotenv.config();
+
+/**
+ * Payment providers all implement the same interface, with amounts in
+ * major currency units:
+ *
+ *   name                                            Provider key used in URLs and payment_method
+ *   createIntent({ amount, currency, donationId,    -> { transactionId, clientSecret, status }
+ *                  donorEmail, paymentMethod })
+ *   confirm(transactionId)                          -> { transactionId, status: 'succeeded' | 'failed' }
+ *   refund({ transactionId, amount })               -> { refundId, transactionId, amount, status }
+ *   parseWebhook(rawBody, headers)                  -> { id, type, transactionId }
+ *
+ * parseWebhook must verify the request signature and throw when it does not
+ * match. Webhook types are normalized to payment.succeeded, payment.failed
+ * and payment.refunded. confirm throws "Unknown transaction" for a
+ * transaction the provider has no record of.
+ *
+ * The mock confirms anything, so production only has the providers it registers.
+ */
+const providers = new Map(process.env.NODE_ENV === 'production' ? [] : [[mockProvider.name, mockProvider]]);
+
+// Provider used for new donations. Production never falls back to the mock,
+// which confirms every payment without moving any money.
+export const DEFAULT_PROVIDER = process.env.PAYMENT_PROVIDER
+  || (process.env.NODE_ENV === 'production' ? null : 'mock');
+
+// Webhook event types mapped to the donation payment_status they lead to
+export const WEBHOOK_STATUS = {
+  'payment.succeeded': 'completed',
+  'payment.failed': 'failed',
+  'payment.refunded': 'refunded'
+};
+
+export const registerProvider = (provider) => {
+  providers.set(provider.name, provider);
+};
+
+export const getProvider = (name = DEFAULT_PROVIDER) => {
+  if (!name) {
+    throw new Error('No payment provider configured, set PAYMENT_PROVIDER');
+  }
+  const provider = providers.get(name);
+  if (!provider) {
+    throw new Error(`Unknown payment provider: ${name}`);
+  }
+  return provider;
+};
+
+export const hasProvider = (name) => providers.has(name);
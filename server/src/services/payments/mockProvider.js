@@ -0,0 +1,75 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import { signPayload, verifySignature } from './signature.js';
+
+dotenv.config();
+
+// No default: without a secret of its own every mock webhook is rejected
+const WEBHOOK_SECRET = process.env.MOCK_PAYMENT_WEBHOOK_SECRET;
+
+// Payment method that makes the mock gateway decline, for testing failures
+export const DECLINED_PAYMENT_METHOD = 'mock_declined';
+
+// Intents only live in memory; the mock never talks to a real gateway
+const intents = new Map();
+
+/**
+ * Offline payment provider for development and tests. Every intent is
+ * confirmed successfully unless it was created with the "mock_declined"
+ * payment method. It is not registered in production.
+ */
+const mockProvider = {
+  name: 'mock',
+
+  async createIntent({ amount, currency, donationId, paymentMethod = null }) {
+    const transactionId = `mock_${crypto.randomUUID()}`;
+    intents.set(transactionId, { amount, currency, donationId, paymentMethod, status: 'requires_confirmation' });
+
+    return {
+      transactionId,
+      clientSecret: `${transactionId}_secret_${crypto.randomBytes(16).toString('hex')}`,
+      status: 'requires_confirmation'
+    };
+  },
+
+  async confirm(transactionId) {
+    const intent = intents.get(transactionId);
+    if (!intent) {
+      throw new Error('Unknown transaction');
+    }
+
+    intent.status = intent.paymentMethod === DECLINED_PAYMENT_METHOD ? 'failed' : 'succeeded';
+    return { transactionId, status: intent.status };
+  },
+
+  async refund({ transactionId, amount }) {
+    return {
+      refundId: `mock_refund_${crypto.randomUUID()}`,
+      transactionId,
+      amount,
+      status: 'succeeded'
+    };
+  },
+
+  // Webhooks carry a JSON body { id, type, transactionId } signed with
+  // the X-Mock-Signature header (hex HMAC-SHA256 of the raw body)
+  parseWebhook(rawBody, headers) {
+    if (!WEBHOOK_SECRET) {
+      throw new Error('MOCK_PAYMENT_WEBHOOK_SECRET is not set');
+    }
+    if (!verifySignature(rawBody, headers['x-mock-signature'], WEBHOOK_SECRET)) {
+      throw new Error('Invalid webhook signature');
+    }
+
+    const { id, type, transactionId } = JSON.parse(rawBody.toString('utf8'));
+    return { id, type, transactionId };
+  },
+
+  // Build a signed webhook request, e.g. to simulate the gateway locally
+  buildWebhook(event) {
+    const body = JSON.stringify(event);
+    return { body, headers: { 'X-Mock-Signature': signPayload(body, WEBHOOK_SECRET) } };
+  }
+};
+
+export default mockProvider;
@@ -0,0 +1,19 @@
+import crypto from 'crypto';
+
+/**
+ * Compute the hex HMAC-SHA256 signature of a webhook payload
+ */
+export const signPayload = (payload, secret) =>
+  crypto.createHmac('sha256', secret).update(payload).digest('hex');
+
+/**
+ * Compare a received signature with the expected one in constant time
+ */
+export const verifySignature = (payload, signature, secret) => {
+  if (!payload || !signature || !secret) return false;
+
+  const expected = Buffer.from(signPayload(payload, secret), 'hex');
+  const received = Buffer.from(String(signature), 'hex');
+
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
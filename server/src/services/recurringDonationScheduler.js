@@ -0,0 +1,121 @@
+import dotenv from 'dotenv';
+import Donation from '../models/Donation.js';
+import DonationSubscription from '../models/DonationSubscription.js';
+import { getProvider } from './payments/index.js';
+import { sendDonationReceiptEmail } from './notifications.js';
+
+dotenv.config();
+
+const INTERVAL_MINUTES = parseInt(process.env.RECURRING_DONATIONS_INTERVAL_MINUTES, 10) || 60;
+const MAX_RETRIES = parseInt(process.env.RECURRING_DONATIONS_MAX_RETRIES, 10) || 3;
+const RETRY_BASE_MINUTES = parseInt(process.env.RECURRING_DONATIONS_RETRY_MINUTES, 10) || 60;
+const BATCH_SIZE = 50;
+
+// Only one run at a time, even if a run outlasts the interval
+let running = false;
+
+/**
+ * When to retry after the given number of consecutive failures, doubling the
+ * wait each time. Returns null once the retries are used up.
+ */
+export const nextRetryAt = (failureCount, now = new Date()) => {
+  if (failureCount > MAX_RETRIES) return null;
+  const minutes = RETRY_BASE_MINUTES * 2 ** (failureCount - 1);
+  return new Date(now.getTime() + minutes * 60 * 1000);
+};
+
+// Charge one subscription through its gateway, recording a child donation
+const chargeSubscription = async (subscription, now) => {
+  let donation = await Donation.create({
+    donorName: subscription.donor_name,
+    donorEmail: subscription.donor_email,
+    amount: subscription.amount,
+    currency: subscription.currency,
+    paymentMethod: subscription.payment_method,
+    isRecurring: true,
+    recurringFrequency: subscription.frequency,
+    subscriptionId: subscription.id,
+    campaignId: subscription.campaign_id,
+    isAnonymous: Boolean(subscription.is_anonymous)
+  });
+
+  let succeeded = false;
+  try {
+    const provider = getProvider(subscription.payment_provider);
+    const intent = await provider.createIntent({
+      amount: Number(subscription.amount),
+      currency: subscription.currency,
+      donationId: donation.id,
+      donorEmail: subscription.donor_email,
+      paymentMethod: subscription.payment_method
+    });
+    donation = await Donation.attachTransaction(donation.id, {
+      provider: provider.name,
+      transactionId: intent.transactionId
+    });
+
+    const result = await provider.confirm(intent.transactionId);
+    succeeded = result.status === 'succeeded';
+  } catch (error) {
+    console.error(`Recurring charge error (subscription ${subscription.id}):`, error);
+  }
+
+  donation = await Donation.updateStatus(donation.id, succeeded ? 'completed' : 'failed');
+  await sendDonationReceiptEmail(donation);
+
+  if (succeeded) {
+    return DonationSubscription.recordSuccess(subscription.id, { chargedAt: now });
+  }
+  return DonationSubscription.recordFailure(subscription.id, {
+    retryAt: nextRetryAt(subscription.failure_count + 1, now)
+  });
+};
+
+/**
+ * Charge every subscription that is due. Returns how many charges
+ * succeeded and failed.
+ */
+export const processDueSubscriptions = async (now = new Date()) => {
+  const summary = { charged: 0, failed: 0 };
+  if (running) return summary;
+
+  running = true;
+  try {
+    const due = await DonationSubscription.findDue(now, BATCH_SIZE);
+
+    for (const subscription of due) {
+      try {
+        const updated = await chargeSubscription(subscription, now);
+        if (updated.failure_count === 0) {
+          summary.charged += 1;
+        } else {
+          summary.failed += 1;
+        }
+      } catch (error) {
+        summary.failed += 1;
+        console.error(`Recurring donation error (subscription ${subscription.id}):`, error);
+      }
+    }
+  } finally {
+    running = false;
+  }
+
+  return summary;
+};
+
+/**
+ * Run the scheduler on an interval. Set RECURRING_DONATIONS_INTERVAL_MINUTES
+ * to 0 to disable it, e.g. when another instance does the charging.
+ */
+export const startScheduler = () => {
+  if (process.env.RECURRING_DONATIONS_INTERVAL_MINUTES === '0') return null;
+
+  const run = () => processDueSubscriptions().catch((error) => {
+    console.error('Recurring donation scheduler error:', error);
+  });
+
+  const timer = setInterval(run, INTERVAL_MINUTES * 60 * 1000);
+  // Don't keep the process alive just for the scheduler
+  timer.unref();
+  return timer;
+};
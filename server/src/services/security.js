@@ -0,0 +1,51 @@
+import Setting from '../models/Setting.js';
+
+// allow: no difference; restrict: signed in, but no role-based access; block: no login
+export const UNVERIFIED_EMAIL_POLICIES = ['allow', 'restrict', 'block'];
+
+// Stored settings and their defaults
+const SECURITY_SETTINGS = {
+  require_2fa_admin: false,
+  unverified_email_policy: 'restrict'
+};
+
+/**
+ * Account security settings as the admin panel sees them
+ */
+export const getSecuritySettings = async () => {
+  const settings = await Setting.get(SECURITY_SETTINGS);
+  return {
+    requireTwoFactorForAdmins: settings.require_2fa_admin,
+    unverifiedEmailPolicy: settings.unverified_email_policy
+  };
+};
+
+/**
+ * Save the security settings that are given, leaving the others as they are
+ */
+export const updateSecuritySettings = async ({ requireTwoFactorForAdmins, unverifiedEmailPolicy }, updatedBy = null) => {
+  await Setting.set({
+    require_2fa_admin: requireTwoFactorForAdmins,
+    unverified_email_policy: unverifiedEmailPolicy
+  }, updatedBy);
+  return getSecuritySettings();
+};
+
+/**
+ * Whether a user has to turn on two-factor authentication before using the API
+ */
+export const isTwoFactorRequired = async (user) => {
+  if (user.role !== 'admin') return false;
+  const settings = await getSecuritySettings();
+  return settings.requireTwoFactorForAdmins;
+};
+
+/**
+ * How a user's unverified email address limits them: allow for a verified
+ * address, otherwise the configured policy
+ */
+export const getUnverifiedEmailPolicy = async (user) => {
+  if (user.email_verified_at) return 'allow';
+  const settings = await getSecuritySettings();
+  return settings.unverifiedEmailPolicy;
+};
@@ -0,0 +1,48 @@
+export const BILLING_FREQUENCIES = ['monthly', 'quarterly', 'yearly'];
+
+const MONTHS_PER_PERIOD = {
+  monthly: 1,
+  quarterly: 3,
+  yearly: 12
+};
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+/**
+ * Add one billing period to a charge date. The anchor day is the day of the
+ * month the subscription started on: a gift started on the 31st is charged on
+ * the last day of shorter months and goes back to the 31st when possible,
+ * instead of drifting to the 28th forever.
+ */
+export const addBillingPeriod = (date, frequency, anchorDay = new Date(date).getUTCDate()) => {
+  const current = new Date(date);
+  const months = MONTHS_PER_PERIOD[frequency];
+  if (!months) {
+    throw new Error(`Unknown billing frequency: ${frequency}`);
+  }
+
+  const target = new Date(Date.UTC(current.getUTCFullYear(), current.getUTCMonth() + months, 1));
+  const year = target.getUTCFullYear();
+  const month = target.getUTCMonth();
+
+  return new Date(Date.UTC(
+    year,
+    month,
+    Math.min(anchorDay, daysInMonth(year, month)),
+    current.getUTCHours(),
+    current.getUTCMinutes(),
+    current.getUTCSeconds()
+  ));
+};
+
+/**
+ * First scheduled charge date strictly after `after`, stepping whole periods
+ * from `date`. Used when resuming so missed periods are skipped, not billed.
+ */
+export const nextBillingDateAfter = (date, frequency, anchorDay, after = new Date()) => {
+  let next = new Date(date);
+  while (next <= after) {
+    next = addBillingPeriod(next, frequency, anchorDay);
+  }
+  return next;
+};
@@ -0,0 +1,101 @@
+// Leading characters that spreadsheet apps evaluate as formulas
+const FORMULA_PREFIXES = ['=', '+', '-', '@', '\t', '\r'];
+
+/**
+ * Escape a single CSV field (RFC 4180), neutralising spreadsheet formulas
+ */
+export const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+
+  if (typeof value === 'string' && FORMULA_PREFIXES.includes(text.charAt(0))) {
+    text = `'${text}`;
+  }
+
+  if (/[",\r\n]/.test(text)) {
+    text = `"${text.replace(/"/g, '""')}"`;
+  }
+
+  return text;
+};
+
+/**
+ * Build one CSV line from an array of values
+ */
+export const toCsvRow = (values) => values.map(escapeCsvValue).join(',') + '\r\n';
+
+/**
+ * Build a CSV document from rows and a column list of { key, header }
+ */
+export const toCsv = (rows, columns) =>
+  toCsvRow(columns.map(column => column.header)) +
+  rows.map(row => toCsvRow(columns.map(column => row[column.key]))).join('');
+
+/**
+ * Parse a CSV document (RFC 4180) into an array of records, each an array
+ * of field strings. Quoted fields may contain commas, quotes and line breaks.
+ * A leading byte order mark and blank lines are ignored.
+ */
+export const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  const endRecord = () => {
+    record.push(field);
+    if (record.length > 1 || record[0] !== '') {
+      records.push(record);
+    }
+    record = [];
+    field = '';
+  };
+
+  for (; i < text.length; i += 1) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i += 1;
+      }
+      endRecord();
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || record.length > 0) {
+    endRecord();
+  }
+
+  return records;
+};
+
+/**
+ * Parse a CSV document with a header row into objects keyed by the
+ * (trimmed, lowercased) header names
+ */
+export const parseCsvObjects = (text) => {
+  const [header = [], ...rows] = parseCsv(text);
+  const keys = header.map(name => name.trim().toLowerCase());
+
+  return rows.map(row =>
+    Object.fromEntries(keys.map((key, index) => [key, (row[index] || '').trim()]))
+  );
+};
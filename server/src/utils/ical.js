@@ -0,0 +1,159 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const CALENDAR_NAME = process.env.ICAL_CALENDAR_NAME || 'Global Outreach Events';
+const UID_DOMAIN = process.env.ICAL_UID_DOMAIN || 'globaloutreach.org';
+const PRODID = '-//Global Outreach//Events//EN';
+
+// RFC 5545 limits content lines to 75 octets, excluding the line break
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Escape a TEXT property value (RFC 5545 section 3.3.11)
+ */
+export const escapeText = (value) =>
+  String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r\n|\r|\n/g, '\\n');
+
+/**
+ * Fold a content line into 75-octet chunks (RFC 5545 section 3.1).
+ * Continuation lines start with a single space, which counts towards
+ * their length, and multi-byte characters are never split.
+ */
+export const foldLine = (line) => {
+  const chunks = [];
+  let current = '';
+  let currentOctets = 0;
+
+  for (const char of line) {
+    const octets = Buffer.byteLength(char, 'utf8');
+    const limit = chunks.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+
+    if (currentOctets + octets > limit) {
+      chunks.push(current);
+      current = '';
+      currentOctets = 0;
+    }
+
+    current += char;
+    currentOctets += octets;
+  }
+  chunks.push(current);
+
+  return chunks.join('\r\n ');
+};
+
+/**
+ * Format a date as a UTC DATE-TIME value, e.g. 20260101T090000Z.
+ * The pool runs with timezone '+00:00', so DATETIME columns come back
+ * as Date objects holding the stored UTC instant.
+ */
+export const formatDateTime = (date) =>
+  new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Stable UID for an event. It only depends on the row id so calendar
+ * clients update the existing entry when the event is edited.
+ */
+export const eventUid = (event) => `event-${event.id}@${UID_DOMAIN}`;
+
+const property = (name, value) => foldLine(`${name}:${value}`);
+
+// Properties shared by an event and the overridden occurrences of a series
+const detailLines = ({ description, location, registration_url: registrationUrl }) => {
+  const lines = [];
+  if (description) {
+    lines.push(property('DESCRIPTION', escapeText(description)));
+  }
+  if (location) {
+    lines.push(property('LOCATION', escapeText(location)));
+  }
+  if (registrationUrl) {
+    lines.push(property('URL;VALUE=URI', registrationUrl));
+  }
+  return lines;
+};
+
+// A modified occurrence of a recurring event, identified by RECURRENCE-ID
+const buildOverride = (event, override) => {
+  const duration = new Date(event.end_datetime) - new Date(event.start_datetime);
+  const start = new Date(override.start_datetime || override.occurrence_start);
+  const end = override.end_datetime ? new Date(override.end_datetime) : new Date(start.getTime() + duration);
+  const value = (field) => (override[field] !== null ? override[field] : event[field]);
+
+  return [
+    'BEGIN:VEVENT',
+    property('UID', eventUid(event)),
+    property('DTSTAMP', formatDateTime(override.updated_at || event.updated_at || new Date())),
+    property('RECURRENCE-ID', formatDateTime(override.occurrence_start)),
+    property('DTSTART', formatDateTime(start)),
+    property('DTEND', formatDateTime(end)),
+    property('SUMMARY', escapeText(value('title'))),
+    ...detailLines({
+      description: value('description'),
+      location: value('location'),
+      registration_url: event.registration_url
+    }),
+    'END:VEVENT'
+  ];
+};
+
+const buildEvent = (event) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    property('UID', eventUid(event)),
+    property('DTSTAMP', formatDateTime(event.updated_at || event.created_at || new Date())),
+    property('DTSTART', formatDateTime(event.start_datetime)),
+    property('DTEND', formatDateTime(event.end_datetime)),
+    property('SUMMARY', escapeText(event.title))
+  ];
+
+  if (event.recurrence_rule) {
+    lines.push(property('RRULE', event.recurrence_rule));
+    if (event.recurrence_exdates) {
+      lines.push(property('EXDATE', event.recurrence_exdates));
+    }
+  }
+  if (event.created_at) {
+    lines.push(property('CREATED', formatDateTime(event.created_at)));
+  }
+  if (event.updated_at) {
+    lines.push(property('LAST-MODIFIED', formatDateTime(event.updated_at)));
+  }
+
+  lines.push(...detailLines(event), 'END:VEVENT');
+
+  for (const override of event.overrides || []) {
+    lines.push(...buildOverride(event, override));
+  }
+
+  return lines;
+};
+
+/**
+ * Build a VCALENDAR document for one or more events
+ */
+export const buildCalendar = (events, { name = CALENDAR_NAME } = {}) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    property('PRODID', PRODID),
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    property('X-WR-CALNAME', escapeText(name)),
+    'X-WR-TIMEZONE:UTC'
+  ];
+
+  for (const event of events) {
+    lines.push(...buildEvent(event));
+  }
+
+  lines.push('END:VCALENDAR');
+
+  // Every content line, including the last one, ends with CRLF
+  return lines.join('\r\n') + '\r\n';
+};
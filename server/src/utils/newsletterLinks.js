@@ -0,0 +1,41 @@
+import dotenv from 'dotenv';
+import { signToken, verifyToken } from './tokens.js';
+import { API_URL } from '../config/site.js';
+
+dotenv.config();
+
+const CONFIRM_TOKEN_PURPOSE = 'newsletter-confirm';
+const UNSUBSCRIBE_TOKEN_PURPOSE = 'newsletter-unsubscribe';
+const CONFIRM_EXPIRY = process.env.NEWSLETTER_CONFIRM_EXPIRY || '2d';
+
+/**
+ * Double opt-in link. The nonce ties it to the latest confirmation request.
+ */
+export const confirmLink = (subscriber, nonce) => {
+  const token = signToken(
+    CONFIRM_TOKEN_PURPOSE,
+    { subscriberId: subscriber.id, nonce },
+    { expiresIn: CONFIRM_EXPIRY }
+  );
+  return `${API_URL}/api/public/newsletter/confirm?token=${encodeURIComponent(token)}`;
+};
+
+/**
+ * Unsubscribe link. It never expires: it has to keep working in old issues.
+ */
+export const unsubscribeLink = (subscriberId) => {
+  const token = signToken(UNSUBSCRIBE_TOKEN_PURPOSE, { subscriberId: Number(subscriberId) });
+  return `${API_URL}/api/public/newsletter/unsubscribe?token=${encodeURIComponent(token)}`;
+};
+
+/**
+ * List-Unsubscribe headers for one-click unsubscribe (RFC 8058)
+ */
+export const unsubscribeHeaders = (subscriberId) => ({
+  'List-Unsubscribe': `<${unsubscribeLink(subscriberId)}>`,
+  'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+});
+
+export const verifyConfirmToken = (token) => verifyToken(CONFIRM_TOKEN_PURPOSE, token);
+
+export const verifyUnsubscribeToken = (token) => verifyToken(UNSUBSCRIBE_TOKEN_PURPOSE, token);
@@ -0,0 +1,25 @@
+import dotenv from 'dotenv';
+import { signToken, verifyToken } from './tokens.js';
+
+dotenv.config();
+
+const RECEIPT_TOKEN_PURPOSE = 'donation-receipt';
+const STATEMENT_TOKEN_PURPOSE = 'donation-statement';
+export const LINK_EXPIRY = process.env.DONOR_LINK_EXPIRY || '30d';
+
+/**
+ * Signed links a donor can use without an account
+ */
+export const receiptLink = (donationId) => {
+  const token = signToken(RECEIPT_TOKEN_PURPOSE, { donationId: Number(donationId) }, { expiresIn: LINK_EXPIRY });
+  return { token, url: `/api/public/donations/receipt?token=${encodeURIComponent(token)}` };
+};
+
+export const statementLink = (email, year) => {
+  const token = signToken(STATEMENT_TOKEN_PURPOSE, { email, year }, { expiresIn: LINK_EXPIRY });
+  return { token, url: `/api/public/donations/statement?token=${encodeURIComponent(token)}` };
+};
+
+export const verifyReceiptToken = (token) => verifyToken(RECEIPT_TOKEN_PURPOSE, token);
+
+export const verifyStatementToken = (token) => verifyToken(STATEMENT_TOKEN_PURPOSE, token);
@@ -0,0 +1,169 @@
+import PDFDocument from 'pdfkit';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Organization details printed on every receipt. The address may span
+// several lines, separated by "\n" in the environment variable.
+const ORGANIZATION = {
+  name: process.env.RECEIPT_ORG_NAME || 'Global Outreach',
+  address: (process.env.RECEIPT_ORG_ADDRESS || '').replace(/\\n/g, '\n'),
+  taxId: process.env.RECEIPT_ORG_TAX_ID || ''
+};
+
+const RECEIPT_NOTE = 'No goods or services were provided in exchange for this contribution.';
+
+export const formatAmount = (amount, currency) =>
+  new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(Number(amount));
+
+// Dates are printed in UTC, like everything else stored by the API
+export const formatDate = (date) =>
+  new Date(date).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    timeZone: 'UTC'
+  });
+
+const writeHeader = (doc, title) => {
+  doc.fontSize(18).font('Helvetica-Bold').text(ORGANIZATION.name);
+  doc.fontSize(10).font('Helvetica');
+  if (ORGANIZATION.address) {
+    doc.text(ORGANIZATION.address);
+  }
+  if (ORGANIZATION.taxId) {
+    doc.text(`Tax ID: ${ORGANIZATION.taxId}`);
+  }
+
+  doc.moveDown(2).fontSize(16).font('Helvetica-Bold').text(title);
+  doc.moveDown().fontSize(11).font('Helvetica');
+};
+
+const writeField = (doc, label, value) => {
+  doc.font('Helvetica-Bold').text(`${label}: `, { continued: true });
+  doc.font('Helvetica').text(String(value));
+};
+
+/**
+ * Stream a PDF document to the response as a download
+ */
+export const sendPdf = (res, doc, filename) => {
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  doc.pipe(res);
+};
+
+/**
+ * Build the PDF receipt of a single donation. Returns the PDFKit document,
+ * a readable stream the caller pipes into the response.
+ */
+export const buildReceiptPdf = (receipt) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+
+  writeHeader(doc, 'Donation Receipt');
+  writeField(doc, 'Receipt number', receipt.receipt_number);
+  writeField(doc, 'Issued', formatDate(receipt.issued_at));
+  doc.moveDown();
+  writeField(doc, 'Donor', receipt.donor_name);
+  writeField(doc, 'Email', receipt.donor_email);
+  doc.moveDown();
+  writeField(doc, 'Amount', formatAmount(receipt.amount, receipt.currency));
+  if (Number(receipt.refunded_amount) > 0) {
+    writeField(doc, 'Refunded', formatAmount(receipt.refunded_amount, receipt.currency));
+    writeField(doc, 'Net amount', formatAmount(receipt.amount - receipt.refunded_amount, receipt.currency));
+  }
+  writeField(doc, 'Currency', receipt.currency);
+  writeField(doc, 'Date of donation', formatDate(receipt.created_at));
+  if (receipt.transaction_id) {
+    writeField(doc, 'Transaction ID', receipt.transaction_id);
+  }
+
+  doc.moveDown(2).fontSize(10).text(RECEIPT_NOTE);
+  doc.end();
+
+  return doc;
+};
+
+/**
+ * Build the consolidated statement of a donor for one calendar year
+ */
+export const buildStatementPdf = (statement) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+
+  writeHeader(doc, `Annual Donation Statement ${statement.year}`);
+  if (statement.donorName) {
+    writeField(doc, 'Donor', statement.donorName);
+  }
+  writeField(doc, 'Email', statement.email);
+  doc.moveDown();
+
+  if (statement.donations.length === 0) {
+    doc.text(`No completed donations were received in ${statement.year}.`);
+  } else {
+    const columns = [50, 160, 250, 340, 420];
+    const row = (values, font) => {
+      // Start a new page ourselves so a row's columns never get split across pages
+      if (doc.y > doc.page.height - doc.page.margins.bottom - 30) {
+        doc.addPage();
+      }
+      const y = doc.y;
+      doc.font(font);
+      values.forEach((value, index) => {
+        doc.text(value, columns[index], y, { width: (columns[index + 1] || 545) - columns[index] - 10 });
+      });
+      doc.x = columns[0];
+      doc.moveDown(0.5);
+    };
+
+    // Amounts are net of refunds, so the rows add up to the totals below
+    row(['Date', 'Receipt', 'Net amount', 'Refunded', 'Transaction ID'], 'Helvetica-Bold');
+    for (const donation of statement.donations) {
+      row([
+        formatDate(donation.created_at),
+        donation.receipt_number || '-',
+        formatAmount(donation.amount - donation.refunded_amount, donation.currency),
+        Number(donation.refunded_amount) > 0 ? formatAmount(donation.refunded_amount, donation.currency) : '-',
+        donation.transaction_id || '-'
+      ], 'Helvetica');
+    }
+
+    doc.moveDown();
+    for (const total of statement.totals) {
+      writeField(doc, `Total (${total.currency})`, formatAmount(total.amount, total.currency));
+    }
+  }
+
+  doc.moveDown(2).fontSize(10).text(RECEIPT_NOTE);
+  doc.end();
+
+  return doc;
+};
+
+/**
+ * Build the donor-facing confirmation of a refund
+ */
+export const buildRefundConfirmationPdf = (refund) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+
+  writeHeader(doc, 'Refund Confirmation');
+  writeField(doc, 'Confirmation number', refund.confirmation_number);
+  writeField(doc, 'Date', formatDate(refund.updated_at || refund.created_at));
+  doc.moveDown();
+  writeField(doc, 'Donor', refund.donor_name);
+  writeField(doc, 'Email', refund.donor_email);
+  doc.moveDown();
+  writeField(doc, 'Refunded amount', formatAmount(refund.amount, refund.currency));
+  writeField(doc, 'Original donation', formatAmount(refund.donation_amount, refund.currency));
+  writeField(doc, 'Date of donation', formatDate(refund.donation_date));
+  if (refund.transaction_id) {
+    writeField(doc, 'Transaction ID', refund.transaction_id);
+  }
+
+  doc.moveDown(2).fontSize(10).text(
+    'The refunded amount is no longer tax-deductible. Please use this confirmation '
+    + 'together with your original receipt when filing.'
+  );
+  doc.end();
+
+  return doc;
+};
@@ -0,0 +1,188 @@
+import { formatDateTime } from './ical.js';
+
+export const FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly'];
+
+// Indexed like Date#getUTCDay()
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+export const BY_DAY_PATTERN = /^([+-]?[1-5])?(MO|TU|WE|TH|FR|SA|SU)$/;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Guards against rules that never produce a match (e.g. the 31st of every other February)
+const MAX_PERIODS = 10000;
+
+/**
+ * Parse an iCalendar UTC DATE-TIME (20260101T090000Z) or DATE (20260101)
+ */
+export const parseIcalDate = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(value);
+  if (!match) return null;
+  const [, y, mo, d, h = '00', mi = '00', s = '00'] = match;
+  return new Date(Date.UTC(+y, +mo - 1, +d, +h, +mi, +s));
+};
+
+/**
+ * Parse a stored RRULE string into a recurrence object
+ */
+export const parseRule = (rule) => {
+  if (!rule) return null;
+
+  const parts = {};
+  for (const part of rule.replace(/^RRULE:/i, '').split(';')) {
+    const [key, value] = part.split('=');
+    if (key && value) parts[key.toUpperCase()] = value;
+  }
+
+  return {
+    frequency: (parts.FREQ || '').toLowerCase(),
+    interval: parseInt(parts.INTERVAL, 10) || 1,
+    byDay: parts.BYDAY ? parts.BYDAY.split(',') : [],
+    until: parts.UNTIL ? parseIcalDate(parts.UNTIL) : null,
+    count: parts.COUNT ? parseInt(parts.COUNT, 10) : null
+  };
+};
+
+/**
+ * Serialize a recurrence object into an RRULE string (without the "RRULE:" prefix)
+ */
+export const formatRule = ({ frequency, interval = 1, byDay = [], until = null, count = null }) => {
+  const parts = [`FREQ=${frequency.toUpperCase()}`];
+
+  if (interval > 1) parts.push(`INTERVAL=${interval}`);
+  if (byDay && byDay.length) parts.push(`BYDAY=${byDay.join(',')}`);
+  if (until) {
+    parts.push(`UNTIL=${formatDateTime(until)}`);
+  } else if (count) {
+    parts.push(`COUNT=${count}`);
+  }
+
+  return parts.join(';');
+};
+
+/**
+ * Exception dates are stored as a comma-separated list of UTC DATE-TIMEs,
+ * the same format used by EXDATE in iCalendar output.
+ */
+export const formatExdates = (dates = []) =>
+  dates.length ? dates.map(formatDateTime).join(',') : null;
+
+export const parseExdates = (value) =>
+  value ? value.split(',').map(parseIcalDate).filter(Boolean) : [];
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+// Occurrence starts for one period (day, week, month or year) of the rule
+const periodCandidates = (rule, dtstart, period) => {
+  const hours = dtstart.getUTCHours();
+  const minutes = dtstart.getUTCMinutes();
+  const seconds = dtstart.getUTCSeconds();
+  const at = (year, month, day) => new Date(Date.UTC(year, month, day, hours, minutes, seconds));
+
+  const byDay = rule.byDay.map(entry => {
+    const [, ordinal, day] = BY_DAY_PATTERN.exec(entry);
+    return { ordinal: ordinal ? parseInt(ordinal, 10) : null, weekday: WEEKDAYS.indexOf(day) };
+  });
+
+  switch (rule.frequency) {
+    case 'daily':
+      return [new Date(dtstart.getTime() + period * DAY_MS)];
+
+    case 'weekly': {
+      // Weeks start on Monday (WKST=MO)
+      const offsetFromMonday = (dtstart.getUTCDay() + 6) % 7;
+      const weekStart = at(dtstart.getUTCFullYear(), dtstart.getUTCMonth(),
+        dtstart.getUTCDate() - offsetFromMonday + period * 7);
+      const weekdays = byDay.length ? byDay.map(entry => entry.weekday) : [dtstart.getUTCDay()];
+
+      return weekdays
+        .map(weekday => new Date(weekStart.getTime() + ((weekday + 6) % 7) * DAY_MS))
+        .sort((a, b) => a - b);
+    }
+
+    case 'monthly': {
+      const first = new Date(Date.UTC(dtstart.getUTCFullYear(), dtstart.getUTCMonth() + period, 1));
+      const year = first.getUTCFullYear();
+      const month = first.getUTCMonth();
+      const lastDay = daysInMonth(year, month);
+
+      if (!byDay.length) {
+        // Months without this day (e.g. the 31st) are skipped, as in RFC 5545
+        const day = dtstart.getUTCDate();
+        return day <= lastDay ? [at(year, month, day)] : [];
+      }
+
+      const dates = [];
+      for (const { ordinal, weekday } of byDay) {
+        const matches = [];
+        for (let day = 1; day <= lastDay; day++) {
+          if (new Date(Date.UTC(year, month, day)).getUTCDay() === weekday) matches.push(day);
+        }
+
+        if (ordinal === null) {
+          matches.forEach(day => dates.push(at(year, month, day)));
+        } else {
+          const day = ordinal > 0 ? matches[ordinal - 1] : matches[matches.length + ordinal];
+          if (day) dates.push(at(year, month, day));
+        }
+      }
+
+      return dates.sort((a, b) => a - b);
+    }
+
+    case 'yearly': {
+      const year = dtstart.getUTCFullYear() + period;
+      const month = dtstart.getUTCMonth();
+      const day = dtstart.getUTCDate();
+      // February 29th only happens in leap years
+      return day <= daysInMonth(year, month) ? [at(year, month, day)] : [];
+    }
+
+    default:
+      return [];
+  }
+};
+
+/**
+ * Expand a recurrence rule into occurrence start dates between rangeStart
+ * and rangeEnd (inclusive). Iteration always begins at dtstart so COUNT is
+ * honoured; exception dates still count towards COUNT, as in RFC 5545.
+ */
+export const expandOccurrences = (rule, { dtstart, exdates = [], rangeStart = null, rangeEnd = null }) => {
+  const start = new Date(dtstart);
+  const excluded = new Set(exdates.map(date => new Date(date).getTime()));
+  const occurrences = [];
+  let generated = 0;
+
+  for (let index = 0; index < MAX_PERIODS; index++) {
+    for (const candidate of periodCandidates(rule, start, index * rule.interval)) {
+      if (candidate < start) continue;
+      if (rule.until && candidate > rule.until) return occurrences;
+      if (rule.count && generated >= rule.count) return occurrences;
+      if (rangeEnd && candidate > rangeEnd) return occurrences;
+
+      generated++;
+
+      if ((!rangeStart || candidate >= rangeStart) && !excluded.has(candidate.getTime())) {
+        occurrences.push(candidate);
+      }
+    }
+  }
+
+  return occurrences;
+};
+
+/**
+ * Latest moment any occurrence of the series can end, or null for
+ * open-ended series. Stored on the event so SQL can skip finished series.
+ */
+export const getSeriesEnd = (rule, { dtstart, duration }) => {
+  if (rule.until) {
+    return new Date(rule.until.getTime() + duration);
+  }
+  if (rule.count) {
+    const occurrences = expandOccurrences(rule, { dtstart });
+    const last = occurrences[occurrences.length - 1] || new Date(dtstart);
+    return new Date(last.getTime() + duration);
+  }
+  return null;
+};
@@ -0,0 +1,87 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Comma separated, case-insensitive lists
+const listFromEnv = (name) =>
+  (process.env[name] || '')
+    .split(',')
+    .map((item) => item.trim().toLowerCase())
+    .filter(Boolean);
+
+const BLOCKED_WORDS = listFromEnv('CONTACT_BLOCKED_WORDS');
+const BLOCKED_DOMAINS = listFromEnv('CONTACT_BLOCKED_DOMAINS');
+const MAX_LINKS = Number(process.env.CONTACT_MAX_LINKS || 2);
+
+export const MIN_SUBMIT_SECONDS = Number(process.env.CONTACT_MIN_SUBMIT_SECONDS || 3);
+// Submissions scoring at least this much go to the spam folder
+export const SPAM_THRESHOLD = Number(process.env.CONTACT_SPAM_THRESHOLD || 5);
+
+// How much each signal adds to the score
+const WEIGHTS = {
+  honeypot: 10,
+  blocked_domain: 10,
+  too_fast: 5,
+  missing_form_token: 3,
+  blocked_word: 3,
+  too_many_links: 3,
+  link_in_name: 3
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const matchesDomain = (host, domain) => host === domain || host.endsWith(`.${domain}`);
+
+const linkHosts = (text) =>
+  [...text.matchAll(/https?:\/\/([^\s/?#:]+)/gi)].map((match) => match[1].toLowerCase());
+
+/**
+ * Score a contact form submission. `honeypot` is the value of the hidden
+ * field real visitors never fill in, `elapsedMs` the time between the form
+ * being served and submitted (null when the form token is missing or
+ * invalid). Returns the score, the reasons behind it and whether it is spam.
+ */
+export const scoreSubmission = ({ name = '', email = '', subject = '', message = '', honeypot = '', elapsedMs = null }) => {
+  const reasons = [];
+  const text = `${name} ${subject || ''} ${message}`;
+  const lowerText = text.toLowerCase();
+
+  if (honeypot) {
+    reasons.push('honeypot');
+  }
+
+  if (elapsedMs === null) {
+    reasons.push('missing_form_token');
+  } else if (elapsedMs < MIN_SUBMIT_SECONDS * 1000) {
+    reasons.push('too_fast');
+  }
+
+  const emailDomain = email.split('@').pop().toLowerCase();
+  const hosts = [emailDomain, ...linkHosts(text)];
+  if (BLOCKED_DOMAINS.some((domain) => hosts.some((host) => matchesDomain(host, domain)))) {
+    reasons.push('blocked_domain');
+  }
+
+  // Each blocked word counts once, however often it appears
+  for (const word of BLOCKED_WORDS) {
+    if (new RegExp(`\\b${escapeRegExp(word)}\\b`, 'i').test(lowerText)) {
+      reasons.push('blocked_word');
+    }
+  }
+
+  if (linkHosts(message).length > MAX_LINKS) {
+    reasons.push('too_many_links');
+  }
+
+  if (/https?:\/\/|www\./i.test(name)) {
+    reasons.push('link_in_name');
+  }
+
+  const score = reasons.reduce((total, reason) => total + WEIGHTS[reason], 0);
+
+  return {
+    score,
+    reasons: [...new Set(reasons)],
+    isSpam: score >= SPAM_THRESHOLD
+  };
+};
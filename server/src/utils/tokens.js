@@ -0,0 +1,27 @@
+import jwt from 'jsonwebtoken';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your_jwt_secret_key';
+
+/**
+ * Sign a single-purpose token (cancellation links, signed downloads, ...).
+ * The purpose is part of the payload so a token issued for one action can
+ * never be replayed against another.
+ */
+export const signToken = (purpose, payload, options = {}) =>
+  jwt.sign({ ...payload, purpose }, JWT_SECRET, options);
+
+/**
+ * Verify a token issued by signToken. Returns the payload, or null when the
+ * token is invalid, expired or was issued for a different purpose.
+ */
+export const verifyToken = (purpose, token) => {
+  try {
+    const payload = jwt.verify(token, JWT_SECRET);
+    return payload.purpose === purpose ? payload : null;
+  } catch (error) {
+    return null;
+  }
+};
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { escapeText, foldLine, formatDateTime, buildCalendar } from '../src/utils/ical.js';
+
+const unfold = (text) => text.replace(/\r\n /g, '');
+const octets = (line) => Buffer.byteLength(line, 'utf8');
+
+test('escapeText escapes backslashes, semicolons, commas and newlines', () => {
+  assert.equal(escapeText('a\\b;c,d'), 'a\\\\b\\;c\\,d');
+  assert.equal(escapeText('one\ntwo\r\nthree\rfour'), 'one\\ntwo\\nthree\\nfour');
+  assert.equal(escapeText(42), '42');
+});
+
+test('foldLine leaves lines of up to 75 octets alone', () => {
+  const line = 'X'.repeat(75);
+  assert.equal(foldLine(line), line);
+});
+
+test('foldLine folds longer lines into 75-octet lines', () => {
+  const line = `DESCRIPTION:${'a'.repeat(200)}`;
+  const folded = foldLine(line);
+  const lines = folded.split('\r\n');
+
+  assert.equal(lines[0].length, 75);
+  for (const continuation of lines.slice(1)) {
+    assert.ok(continuation.startsWith(' '));
+    assert.ok(continuation.length <= 75);
+  }
+  assert.equal(unfold(folded), line);
+});
+
+test('foldLine never splits a multi-byte character', () => {
+  const line = `SUMMARY:${'é'.repeat(60)}${'🎉'.repeat(20)}`;
+  const folded = foldLine(line);
+
+  for (const physical of folded.split('\r\n')) {
+    assert.ok(octets(physical) <= 75, `${octets(physical)} octets`);
+    assert.ok(!physical.includes('�'));
+  }
+  assert.equal(unfold(folded), line);
+});
+
+test('formatDateTime formats a UTC DATE-TIME', () => {
+  assert.equal(formatDateTime(new Date('2026-01-05T09:30:00.250Z')), '20260105T093000Z');
+});
+
+test('buildCalendar ends every line with CRLF and keeps lines within 75 octets', () => {
+  const calendar = buildCalendar([{
+    id: 7,
+    title: 'Spring gala; dinner, dance',
+    description: `Line one\nLine two, ${'with a long description '.repeat(10)}`,
+    location: 'Main hall',
+    start_datetime: new Date('2026-04-01T18:00:00Z'),
+    end_datetime: new Date('2026-04-01T22:00:00Z'),
+    recurrence_rule: null
+  }]);
+
+  assert.ok(calendar.endsWith('\r\n'));
+  assert.ok(!/[^\r]\n/.test(calendar));
+  for (const line of calendar.split('\r\n')) {
+    assert.ok(octets(line) <= 75);
+  }
+
+  const lines = unfold(calendar).split('\r\n');
+  assert.ok(lines.includes('SUMMARY:Spring gala\\; dinner\\, dance'));
+  assert.ok(lines.includes('DTSTART:20260401T180000Z'));
+  assert.ok(lines.some(line => line.startsWith('DESCRIPTION:Line one\\nLine two\\, with')));
+});
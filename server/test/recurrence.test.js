@@ -0,0 +1,140 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseRule,
+  formatRule,
+  parseExdates,
+  formatExdates,
+  expandOccurrences,
+  getSeriesEnd
+} from '../src/utils/recurrence.js';
+
+const utc = (value) => new Date(`${value}Z`);
+const expand = (rule, dtstart, options = {}) =>
+  expandOccurrences(parseRule(rule), { dtstart: utc(dtstart), ...options }).map(date => date.toISOString());
+const iso = (...values) => values.map(value => utc(value).toISOString());
+
+test('parseRule and formatRule round-trip', () => {
+  const rule = 'FREQ=MONTHLY;INTERVAL=2;BYDAY=2TU,-1FR;COUNT=6';
+  assert.deepEqual(parseRule(`RRULE:${rule}`), {
+    frequency: 'monthly',
+    interval: 2,
+    byDay: ['2TU', '-1FR'],
+    until: null,
+    count: 6
+  });
+  assert.equal(formatRule(parseRule(rule)), rule);
+  assert.equal(formatRule(parseRule('FREQ=DAILY;UNTIL=20260110T090000Z')), 'FREQ=DAILY;UNTIL=20260110T090000Z');
+});
+
+test('parseExdates and formatExdates round-trip', () => {
+  const dates = [utc('2026-01-02T09:00:00'), utc('2026-01-09T09:00:00')];
+  assert.equal(formatExdates(dates), '20260102T090000Z,20260109T090000Z');
+  assert.deepEqual(parseExdates(formatExdates(dates)), dates);
+  assert.equal(formatExdates([]), null);
+  assert.deepEqual(parseExdates(null), []);
+});
+
+test('COUNT limits the number of occurrences', () => {
+  assert.deepEqual(
+    expand('FREQ=WEEKLY;BYDAY=MO,WE;COUNT=4', '2026-01-05T10:00:00'),
+    iso('2026-01-05T10:00:00', '2026-01-07T10:00:00', '2026-01-12T10:00:00', '2026-01-14T10:00:00')
+  );
+});
+
+test('UNTIL is inclusive', () => {
+  assert.deepEqual(
+    expand('FREQ=DAILY;UNTIL=20260103T100000Z', '2026-01-01T10:00:00'),
+    iso('2026-01-01T10:00:00', '2026-01-02T10:00:00', '2026-01-03T10:00:00')
+  );
+});
+
+test('INTERVAL skips periods', () => {
+  assert.deepEqual(
+    expand('FREQ=WEEKLY;INTERVAL=2;COUNT=3', '2026-01-05T10:00:00'),
+    iso('2026-01-05T10:00:00', '2026-01-19T10:00:00', '2026-02-02T10:00:00')
+  );
+});
+
+test('weekly BYDAY does not produce dates before the series start', () => {
+  assert.deepEqual(
+    expand('FREQ=WEEKLY;BYDAY=MO,FR;COUNT=3', '2026-01-07T10:00:00'),
+    iso('2026-01-09T10:00:00', '2026-01-12T10:00:00', '2026-01-16T10:00:00')
+  );
+});
+
+test('exception dates are left out but still count towards COUNT', () => {
+  assert.deepEqual(
+    expand('FREQ=DAILY;COUNT=3', '2026-01-01T10:00:00', { exdates: [utc('2026-01-02T10:00:00')] }),
+    iso('2026-01-01T10:00:00', '2026-01-03T10:00:00')
+  );
+});
+
+test('an exception date that is not an occurrence changes nothing', () => {
+  assert.deepEqual(
+    expand('FREQ=DAILY;COUNT=2', '2026-01-01T10:00:00', { exdates: [utc('2026-01-02T09:00:00')] }),
+    iso('2026-01-01T10:00:00', '2026-01-02T10:00:00')
+  );
+});
+
+test('a range still honours COUNT from the series start', () => {
+  assert.deepEqual(
+    expand('FREQ=DAILY;COUNT=5', '2026-01-01T10:00:00', {
+      rangeStart: utc('2026-01-04T00:00:00'),
+      rangeEnd: utc('2026-02-01T00:00:00')
+    }),
+    iso('2026-01-04T10:00:00', '2026-01-05T10:00:00')
+  );
+});
+
+test('range bounds are inclusive', () => {
+  const occurrence = utc('2026-01-08T10:00:00');
+  assert.deepEqual(
+    expand('FREQ=WEEKLY', '2026-01-01T10:00:00', { rangeStart: occurrence, rangeEnd: occurrence }),
+    iso('2026-01-08T10:00:00')
+  );
+});
+
+test('monthly on the 31st skips shorter months', () => {
+  assert.deepEqual(
+    expand('FREQ=MONTHLY;COUNT=4', '2026-01-31T18:00:00'),
+    iso('2026-01-31T18:00:00', '2026-03-31T18:00:00', '2026-05-31T18:00:00', '2026-07-31T18:00:00')
+  );
+});
+
+test('yearly on February 29th only occurs in leap years', () => {
+  assert.deepEqual(
+    expand('FREQ=YEARLY;COUNT=3', '2024-02-29T12:00:00'),
+    iso('2024-02-29T12:00:00', '2028-02-29T12:00:00', '2032-02-29T12:00:00')
+  );
+});
+
+test('monthly BYDAY ordinals count from the start and the end of the month', () => {
+  assert.deepEqual(
+    expand('FREQ=MONTHLY;BYDAY=2TU;COUNT=3', '2026-01-13T19:00:00'),
+    iso('2026-01-13T19:00:00', '2026-02-10T19:00:00', '2026-03-10T19:00:00')
+  );
+  assert.deepEqual(
+    expand('FREQ=MONTHLY;BYDAY=-1FR;COUNT=3', '2026-01-30T19:00:00'),
+    iso('2026-01-30T19:00:00', '2026-02-27T19:00:00', '2026-03-27T19:00:00')
+  );
+});
+
+test('a fifth weekday skips the months that have only four', () => {
+  assert.deepEqual(
+    expand('FREQ=MONTHLY;BYDAY=5MO;COUNT=2', '2026-03-30T19:00:00'),
+    iso('2026-03-30T19:00:00', '2026-06-29T19:00:00')
+  );
+});
+
+test('getSeriesEnd covers the last occurrence, or is open-ended', () => {
+  const hour = 60 * 60 * 1000;
+  const dtstart = utc('2026-01-01T10:00:00');
+
+  assert.deepEqual(getSeriesEnd(parseRule('FREQ=DAILY;COUNT=3'), { dtstart, duration: hour }), utc('2026-01-03T11:00:00'));
+  assert.deepEqual(
+    getSeriesEnd(parseRule('FREQ=DAILY;UNTIL=20260110T100000Z'), { dtstart, duration: hour }),
+    utc('2026-01-10T11:00:00')
+  );
+  assert.equal(getSeriesEnd(parseRule('FREQ=DAILY'), { dtstart, duration: hour }), null);
+});
@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { base32Encode, base32Decode, generateTotp, verifyTotp, timeStep } from '../src/utils/totp.js';
+
+// The SHA-1 key of the RFC 6238 test vectors, base32-encoded
+const SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+// RFC 6238 appendix B (SHA-1). The RFC lists 8-digit codes; authenticator
+// apps show 6, which are the last 6 digits of the same value.
+const VECTORS = [
+  [59, '94287082'],
+  [1111111109, '07081804'],
+  [1111111111, '14050471'],
+  [1234567890, '89005924'],
+  [2000000000, '69279037'],
+  [20000000000, '65353130']
+];
+
+test('base32 matches the RFC 4648 test vectors', () => {
+  const vectors = [['', ''], ['f', 'MY'], ['fo', 'MZXQ'], ['foo', 'MZXW6'], ['foob', 'MZXW6YQ'], ['fooba', 'MZXW6YTB'], ['foobar', 'MZXW6YTBOI']];
+  for (const [plain, encoded] of vectors) {
+    assert.equal(base32Encode(Buffer.from(plain)), encoded);
+    assert.equal(base32Decode(encoded).toString(), plain);
+  }
+});
+
+test('base32Decode accepts padding, spaces and lower case', () => {
+  assert.equal(base32Decode('mzxw 6ytb oi======').toString(), 'foobar');
+  assert.throws(() => base32Decode('MZXW1'), /Invalid base32 string/);
+});
+
+test('generateTotp matches the RFC 6238 test vectors', () => {
+  for (const [seconds, code] of VECTORS) {
+    assert.equal(generateTotp(SECRET, seconds * 1000), code.slice(-6), `T=${seconds}`);
+  }
+});
+
+test('verifyTotp returns the time step of a matching code', () => {
+  for (const [seconds, code] of VECTORS) {
+    assert.equal(verifyTotp(SECRET, code.slice(-6), { time: seconds * 1000 }), timeStep(seconds * 1000));
+  }
+});
+
+test('verifyTotp allows one step of clock drift by default', () => {
+  const time = 1111111111 * 1000;
+  const code = generateTotp(SECRET, time);
+
+  assert.equal(verifyTotp(SECRET, code, { time: time + 30 * 1000 }), timeStep(time));
+  assert.equal(verifyTotp(SECRET, code, { time: time - 30 * 1000 }), timeStep(time));
+  assert.equal(verifyTotp(SECRET, code, { time: time + 60 * 1000 }), null);
+  assert.equal(verifyTotp(SECRET, code, { time: time + 60 * 1000, window: 2 }), timeStep(time));
+});
+
+test('verifyTotp rejects codes of the wrong length', () => {
+  assert.equal(verifyTotp(SECRET, '94287082', { time: 59 * 1000 }), null);
+  assert.equal(verifyTotp(SECRET, '28708', { time: 59 * 1000 }), null);
+});